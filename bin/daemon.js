@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+
+// Internal entry point: started in the background by the CLI, not meant to be run by hand
+import { runDaemon } from '../lib/daemon.js';
+
+runDaemon().catch((err) => {
+    console.error('[Daemon] Failed to start:', err.message);
+    process.exit(1);
+});
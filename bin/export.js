@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import ora from 'ora';
+import { getSessions } from '../lib/store.js';
+import { getRepoInfo } from '../lib/git.js';
+import { EXPORT_FORMATS, formatSessions } from '../lib/export.js';
+import { parseDateRange } from '../lib/timeparse.js';
+
+function fail(message) {
+    console.error(chalk.red(`❌ ${message}`));
+    process.exit(1);
+}
+
+/**
+ * Pick the format from --format, or from the output file's extension
+ */
+function resolveFormat(format, output) {
+    if (format) {
+        const normalized = String(format).toLowerCase();
+        if (!EXPORT_FORMATS.includes(normalized)) {
+            fail(`Unknown format "${format}" (choose from ${EXPORT_FORMATS.join(', ')})`);
+        }
+        return normalized;
+    }
+
+    const extension = output ? path.extname(output).slice(1).toLowerCase() : '';
+    return EXPORT_FORMATS.includes(extension) ? extension : 'csv';
+}
+
+function toList(value) {
+    if (value === undefined) return [];
+    return (Array.isArray(value) ? value : [value]).map(v => String(v).toLowerCase());
+}
+
+/**
+ * Export sessions, e.g. `dev-timr export --format ics --from 2026-09-01 -o september.ics`
+ * Writes to stdout unless --output is given; messages go to stderr so output can be piped
+ * @param {Object} options
+ * @param {string} [options.format] - csv, json, ndjson or ics
+ * @param {string} [options.output] - File to write
+ * @param {string} [options.from] - Range start (default: everything)
+ * @param {string} [options.to] - Range end, whole days inclusive (default: now)
+ * @param {string|Array<string>} [options.task] - Only these tasks
+ * @param {string|Array<string>} [options.member] - Only these members (GitHub usernames)
+ * @param {boolean} [options.me] - Only my sessions
+ * @param {boolean} [options.local] - Use the local store even when logged in
+ */
+async function exportSessions(options = {}) {
+    const format = resolveFormat(options.format, options.output);
+
+    let range;
+    try {
+        range = parseDateRange(options.from, options.to);
+    } catch (err) {
+        fail(err.message);
+    }
+    if (options.from === undefined) {
+        range.from = 0;
+    }
+
+    const spinner = ora('Loading sessions...').start();
+    let result;
+    try {
+        result = await getSessions({
+            ...range,
+            personalOnly: !!options.me,
+            forceLocal: !!options.local,
+        });
+        spinner.stop();
+    } catch (err) {
+        spinner.stop();
+        fail(`Failed to load sessions: ${err.message}`);
+    }
+
+    const tasks = toList(options.task);
+    const members = toList(options.member);
+    const sessions = result.sessions.filter(session =>
+        (tasks.length === 0 || tasks.includes((session.taskName || '').toLowerCase())) &&
+        (members.length === 0 || members.includes((session.member || '').toLowerCase()))
+    );
+
+    const repo = getRepoInfo()?.fullName || null;
+    const document = formatSessions(sessions, format, { repo });
+
+    if (options.output) {
+        fs.writeFileSync(options.output, document);
+        console.error(chalk.green(`✅ Exported ${sessions.length} session(s) to ${options.output} (${result.source === 'cloud' ? 'cloud' : 'local data'})`));
+    } else {
+        process.stdout.write(document);
+    }
+}
+
+export default exportSessions;
@@ -0,0 +1,259 @@
+import fs from 'fs';
+import chalk from 'chalk';
+import ora from 'ora';
+import inquirer from 'inquirer';
+import { getLocalSessions, getSessionId, importSessions } from '../lib/store.js';
+import { syncSessionBatch } from '../lib/api.js';
+import { queueSession } from '../lib/queue.js';
+import { isLoggedIn, getCurrentUser } from '../lib/auth.js';
+import { getRepoInfo, LOCAL_GIT_HOST } from '../lib/git.js';
+import { getSessionSegments, sumSegments } from '../lib/segments.js';
+import { parseImportFile, listEntryUsers, filterEntriesByUser, parseMappings, parseRepoTarget, mapEntries } from '../lib/import.js';
+import { formatElapsed } from './prompts.js';
+
+const PREVIEW_LIMIT = 10;
+const TOOL_NAMES = { toggl: 'Toggl', clockify: 'Clockify', wakatime: 'WakaTime' };
+
+function fail(message, hint) {
+    console.error(chalk.red(`❌ ${message}`));
+    if (hint) console.log(chalk.gray(hint));
+    process.exit(1);
+}
+
+function formatDate(ms) {
+    return new Date(ms).toLocaleString(undefined, { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Drop sessions that were imported before or that overlap time already recorded here
+ * Only the current repository has a local history to compare against
+ */
+function filterAgainstLocal(sessions, currentRepo, allowOverlaps) {
+    const local = currentRepo ? getLocalSessions() : [];
+    const knownIds = new Set(local.map(getSessionId));
+    const localSegments = local.flatMap(getSessionSegments);
+
+    const result = { sessions: [], duplicates: 0, overlaps: 0 };
+    for (const session of sessions) {
+        const isLocal = currentRepo && session.repo.fullName === currentRepo.fullName;
+        if (isLocal && knownIds.has(session.clientId)) {
+            result.duplicates++;
+        } else if (isLocal && !allowOverlaps && sumSegments(localSegments, session.start, session.end) > 0) {
+            result.overlaps++;
+        } else {
+            result.sessions.push(session);
+        }
+    }
+    return result;
+}
+
+function printPreview({ tool, sessions, invalid, unmapped, duplicates, overlaps }) {
+    console.log(chalk.bold.blue(`\n📥 Import from ${TOOL_NAMES[tool]}\n`));
+
+    if (sessions.length > 0) {
+        const first = sessions[0].start;
+        const last = sessions[sessions.length - 1].end;
+        console.log(`${chalk.cyan(sessions.length)} session(s), ${formatDate(first)} → ${formatDate(last)}\n`);
+
+        // Totals per repository and task
+        const groups = new Map();
+        for (const session of sessions) {
+            const key = `${session.repo.fullName}\u0000${session.taskName || '(no task)'}`;
+            const group = groups.get(key) || { repo: session.repo.fullName, task: session.taskName || '(no task)', count: 0, ms: 0 };
+            group.count++;
+            group.ms += session.end - session.start;
+            groups.set(key, group);
+        }
+
+        let lastRepo = null;
+        for (const group of [...groups.values()].sort((a, b) => a.repo.localeCompare(b.repo) || b.ms - a.ms)) {
+            if (group.repo !== lastRepo) {
+                console.log(chalk.bold(group.repo));
+                lastRepo = group.repo;
+            }
+            console.log(`  ${group.task.padEnd(40)} ${formatElapsed(group.ms).padStart(8)}  ${chalk.gray(`${group.count}×`)}`);
+        }
+
+        console.log(chalk.gray(`\nFirst ${Math.min(PREVIEW_LIMIT, sessions.length)}:`));
+        for (const session of sessions.slice(0, PREVIEW_LIMIT)) {
+            console.log(chalk.gray(`  ${formatDate(session.start)}  ${formatElapsed(session.end - session.start).padStart(7)}  ${session.taskName || '(no task)'}`));
+        }
+    } else {
+        console.log(chalk.yellow('Nothing to import.'));
+    }
+
+    if (duplicates > 0) console.log(chalk.gray(`\n⏭️  ${duplicates} already imported`));
+    if (overlaps > 0) console.log(chalk.yellow(`⚠️  ${overlaps} overlap sessions recorded here and will be skipped (--allow-overlaps to keep them)`));
+    if (invalid > 0) console.log(chalk.yellow(`⚠️  ${invalid} entries without a valid start and end were ignored`));
+    if (unmapped.length > 0) {
+        console.log(chalk.yellow(`⚠️  Skipped projects with no repository: ${unmapped.join(', ')}`));
+        console.log(chalk.gray('   Map them with --map-project "Project=owner/repo"'));
+    }
+}
+
+/**
+ * Save sessions for this repository locally, then sync everything to the cloud
+ * in batches; sessions that fail to sync are queued and retried like any other session
+ */
+async function applyImport(sessions, currentRepo) {
+    const localSessions = sessions.filter(s => currentRepo && s.repo.fullName === currentRepo.fullName);
+    if (localSessions.length > 0) {
+        const { added } = importSessions(localSessions);
+        console.log(chalk.green(`✅ Saved ${added} session(s) locally`));
+    }
+
+    // A repository identified by its first commit has no cloud counterpart
+    const cloudSessions = sessions.filter(s => s.repo.host !== LOCAL_GIT_HOST);
+    if (!isLoggedIn() || cloudSessions.length === 0) {
+        return;
+    }
+
+    const spinner = ora('Syncing imported sessions...').start();
+
+    let results;
+    try {
+        results = await syncSessionBatch(cloudSessions, {
+            onProgress: (done, total) => {
+                spinner.text = `Syncing imported sessions... (${done}/${total})`;
+            },
+        });
+    } catch (err) {
+        results = cloudSessions.map(() => ({ ok: false, error: err }));
+    }
+
+    // Whatever didn't make it is retried through the offline queue
+    let queued = 0;
+    results.forEach((result, index) => {
+        if (!result.ok) {
+            queueSession(cloudSessions[index]);
+            queued++;
+        }
+    });
+
+    spinner.succeed(`Synced ${cloudSessions.length - queued} session(s) to the cloud`);
+    if (queued > 0) {
+        console.log(chalk.yellow(`⏳ ${queued} queued for retry (see \`dev-timr queue list\`)`));
+    }
+}
+
+/**
+ * Import sessions from another time tracker, e.g.
+ * `dev-timr import toggl.csv --map-project "Website=acme/website" --dry-run`
+ * @param {string} file - Export file from Toggl, Clockify or WakaTime
+ * @param {Object} options
+ * @param {string} [options.tool] - toggl, clockify or wakatime (detected when omitted)
+ * @param {string|Array<string>} [options.mapProject] - "Project=owner/repo" mappings
+ * @param {string|Array<string>} [options.mapTag] - "tag=Task name" mappings
+ * @param {string} [options.repo] - Repository for unmapped projects (default: this one)
+ * @param {string} [options.user] - Whose entries to import from a team export (name or email)
+ * @param {boolean} [options.onlyMapped] - Skip projects without a mapping
+ * @param {boolean} [options.allowOverlaps] - Keep entries overlapping recorded sessions
+ * @param {boolean} [options.dayFirst] - CSV dates are DD/MM/YYYY
+ * @param {boolean} [options.dryRun] - Only show the preview
+ * @param {boolean} [options.yes] - Don't ask for confirmation
+ */
+async function importFile(file, options = {}) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        fail(`Could not read ${file}: ${err.message}`);
+    }
+
+    const currentRepo = getRepoInfo();
+    let parsed;
+    let mapped;
+    let entries;
+    let others = null;
+    try {
+        parsed = parseImportFile(text, { tool: options.tool?.toLowerCase(), dayFirst: !!options.dayFirst });
+
+        // Team workspace exports hold everyone's entries; only your own are yours to import
+        entries = parsed.entries;
+        const users = listEntryUsers(entries);
+        if (options.user || users.length > 1) {
+            const me = getCurrentUser();
+            const mine = filterEntriesByUser(entries, options.user || [me?.email, me?.githubUsername, me?.name]);
+            if (!mine.user) {
+                fail(
+                    options.user ? `No entries by "${options.user}" in ${file}.` : `${file} has entries from ${users.length} people.`,
+                    `Choose yours with --user "name or email": ${users.join(', ')}`
+                );
+            }
+            others = { user: mine.user, skipped: entries.length - mine.entries.length, names: mine.others };
+            entries = mine.entries;
+        }
+
+        let defaultRepo = null;
+        if (!options.onlyMapped) {
+            defaultRepo = options.repo ? parseRepoTarget(options.repo) : currentRepo;
+            if (!defaultRepo) {
+                fail('This directory is not a git repository.', 'Run the import inside the repository, or pass --repo owner/repo (host/namespace/repo off GitHub).');
+            }
+        }
+
+        mapped = mapEntries(entries, {
+            tool: parsed.tool,
+            projectMap: parseMappings(options.mapProject),
+            tagMap: parseMappings(options.mapTag),
+            defaultRepo,
+        });
+    } catch (err) {
+        fail(err.message);
+    }
+
+    // Without an account, sessions for other repositories have nowhere to go
+    let sessions = mapped.sessions;
+    let elsewhere = 0;
+    if (!isLoggedIn()) {
+        const before = sessions.length;
+        sessions = sessions.filter(s => currentRepo && s.repo.fullName === currentRepo.fullName);
+        elsewhere = before - sessions.length;
+    }
+
+    const filtered = filterAgainstLocal(sessions, currentRepo, !!options.allowOverlaps);
+
+    printPreview({
+        tool: parsed.tool,
+        sessions: filtered.sessions,
+        invalid: parsed.invalid,
+        unmapped: mapped.unmapped,
+        duplicates: filtered.duplicates,
+        overlaps: filtered.overlaps,
+    });
+    if (others?.skipped > 0) {
+        console.log(chalk.yellow(`⚠️  Importing ${others.user}'s entries; ${others.skipped} by others were skipped (${others.names.join(', ') || 'no user given'})`));
+    }
+    if (elsewhere > 0) {
+        console.log(chalk.yellow(`⚠️  ${elsewhere} session(s) for other repositories need \`dev-timr login\` and were skipped`));
+    }
+
+    if (filtered.sessions.length === 0) {
+        return;
+    }
+    if (options.dryRun) {
+        console.log(chalk.gray('\nDry run: nothing was imported.'));
+        return;
+    }
+
+    if (!options.yes) {
+        if (!process.stdin.isTTY) {
+            fail('Refusing to import without confirmation.', 'Check the preview with --dry-run, then pass --yes.');
+        }
+        const { confirmed } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'confirmed',
+            message: `Import ${filtered.sessions.length} session(s)?`,
+            default: true,
+        }]);
+        if (!confirmed) {
+            console.log(chalk.gray('Import cancelled.'));
+            return;
+        }
+    }
+
+    console.log('');
+    await applyImport(filtered.sessions, currentRepo);
+}
+
+export default importFile;
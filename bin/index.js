@@ -3,13 +3,26 @@
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import chalk from 'chalk';
-import inquirer from 'inquirer';
-import { startSession, setTaskName, endSession, spawnChild } from '../lib/tracker.js';
-import { startServer } from '../lib/server.js';
+import open from 'open';
+import { spawnChild } from '../lib/tracker.js';
+import { canUseHotkeys, attachHotkeys } from '../lib/hotkeys.js';
+import { getIdleTimeoutMs, getOutputActivityMode, isHotkeysEnabled } from '../lib/config.js';
+import { ensureDaemon, sendCommand } from '../lib/daemon-client.js';
 import { logout } from '../lib/auth.js';
-import { getRecentTasks } from '../lib/api.js';
-import { getQueuedCount, processQueue } from '../lib/queue.js';
+import { getQueueStats, processQueue } from '../lib/queue.js';
+import { getCurrentBranch } from '../lib/git.js';
+import { suggestTaskName } from '../lib/branch.js';
+import { recoverOrphanedSessions, promptForTaskName, printSavedSession } from './prompts.js';
+import session from './session.js';
 import login from './login.js';
+import logTime from './log.js';
+import sessions from './sessions.js';
+import queue from './queue.js';
+import sync from './sync.js';
+import team from './team.js';
+import showReport from './report.js';
+import exportSessions from './export.js';
+import importFile from './import.js';
 import showStats from './stats.js';
 import migrate from './migrate.js';
 
@@ -44,6 +57,11 @@ function validateCommand(args) {
     return args;
 }
 
+// Idle detection only needs to hear about output this often
+const ACTIVITY_REPORT_INTERVAL_MS = 2000;
+// Saving a session may wait on the cloud sync
+const RELEASE_TIMEOUT_MS = 30 * 1000;
+
 async function runTracker(argv) {
     const command = validateCommand(argv.command);
     if (command.length === 0) {
@@ -54,106 +72,113 @@ async function runTracker(argv) {
 
     const fullCommandString = command.join(' ');
 
-    // Start session immediately
-    startSession();
+    // Recover sessions lost to a crash before starting a new one
+    const resume = await recoverOrphanedSessions();
+
+    // Start session immediately; the daemon owns the timer and the GUI server
+    let session;
+    try {
+        await ensureDaemon();
+        session = await sendCommand('start', {
+            owner: process.pid,
+            resume: resume?.clientId,
+            idleDetection: true,
+        });
+    } catch (err) {
+        console.error(chalk.red(`❌ Failed to start session: ${err.message}`));
+        process.exit(1);
+    }
 
-    // Check for offline queue items
-    const queuedCount = getQueuedCount();
-    if (queuedCount > 0) {
-        console.log(chalk.gray(`\n⚡ Syncing ${queuedCount} offline sessions...`));
-        processQueue().then(({ synced, failed }) => {
+    // Check for offline queue items that are due for another attempt
+    const { due } = getQueueStats();
+    if (due > 0) {
+        console.log(chalk.gray(`\n⚡ Syncing ${due} offline sessions...`));
+        processQueue().then(({ synced, failed, deadLettered }) => {
             if (synced > 0) console.log(chalk.gray(`   Synced ${synced} sessions.`));
             if (failed > 0) console.log(chalk.gray(`   ${failed} pending retry.`));
+            if (deadLettered > 0) console.log(chalk.yellow(`   ${deadLettered} could not be synced; see \`dev-timr queue list\`.`));
         });
     }
 
-    // Prompt for task name
-    let taskName = null;
-    try {
-        const recentTasks = await getRecentTasks(null, 5);
-        const choices = recentTasks.map(t => t.name);
-
-        // Add "New Task" option if we have recent tasks
-        if (choices.length > 0) {
-            choices.push(new inquirer.Separator());
-            choices.push('Type a new task name...');
-            choices.push('Skip (No task)');
-        }
-
-        console.log(''); // Spacer
-
-        let answer;
-        if (choices.length > 0) {
-            answer = await inquirer.prompt([
-                {
-                    type: 'list',
-                    name: 'taskSelect',
-                    message: 'What are you working on?',
-                    choices: choices,
-                    loop: false
-                }
-            ]);
-
-            if (answer.taskSelect === 'Type a new task name...') {
-                const textAnswer = await inquirer.prompt([{
-                    type: 'input',
-                    name: 'taskInput',
-                    message: 'Enter task name:'
-                }]);
-                taskName = textAnswer.taskInput;
-            } else if (answer.taskSelect !== 'Skip (No task)') {
-                taskName = answer.taskSelect;
-            }
+    if (session.attached) {
+        // Another wrapped command (or `dev-timr start`) already runs a session here
+        const task = session.taskName ? ` "${session.taskName}"` : '';
+        console.log(chalk.gray(`\nJoined the running session${task}.`));
+    } else if (!resume) {
+        // Prompt for task name (a resumed session keeps its own), suggesting
+        // one from a branch named like feature/PROJ-123-login-fix
+        const taskName = await promptForTaskName({ suggestion: suggestTaskName(getCurrentBranch()) });
+        if (taskName) {
+            await sendCommand('rename', { taskName }).catch(() => { });
         } else {
-            // Simple input if no history
-            answer = await inquirer.prompt([{
-                type: 'input',
-                name: 'taskInput',
-                message: 'Task name (optional):'
-            }]);
-            taskName = answer.taskInput;
+            console.log(chalk.gray('No task selected.'));
         }
-
-    } catch (err) {
-        // Fallback if prompt fails or offline/no-auth caused getRecentTasks to fail silently
-        // console.debug('Task prompt skipped:', err.message);
     }
 
-    if (taskName) {
-        setTaskName(taskName);
-    } else {
-        console.log(chalk.gray('No task selected.'));
+    if (session.guiUrl) {
+        console.log(chalk.blue(`\n📊 Dashboard running at ${session.guiUrl}`));
+        if (!session.attached) {
+            open(session.guiUrl).catch(() => { });
+        }
     }
 
-    // Start GUI Server
-    const serverProcess = await startServer();
+    // Opt-in: hotkeys take over the terminal's input, which interactive commands need
+    const useHotkeys = isHotkeysEnabled() && canUseHotkeys();
+    if (useHotkeys) {
+        console.log(chalk.gray('Press Ctrl+T to switch task.'));
+    } else if (session.guiUrl) {
+        console.log(chalk.gray('Switch task from the dashboard.'));
+    }
 
     console.log(chalk.green(`\n🚀 Executing: ${chalk.bold(fullCommandString)}\n`));
 
-    // Spawn the child process
-    const child = spawnChild(fullCommandString);
+    // Output counts as activity for the daemon's idle detection. Output going to
+    // a terminal is only watched when asked for: piping it takes the terminal away
+    const outputActivity = getIdleTimeoutMs() > 0 ? getOutputActivityMode() : 'off';
+    let lastActivityReport = 0;
+    const reportActivity = () => {
+        const now = Date.now();
+        if (now - lastActivityReport < ACTIVITY_REPORT_INTERVAL_MS) return;
+        lastActivityReport = now;
+        sendCommand('activity').catch(() => { });
+    };
 
-    // Handle exit signals - use .then() to ensure sync completes before exit
-    const cleanup = () => {
-        console.log(chalk.yellow('\nStopping session...'));
-        endSession().then(() => {
-            process.exit(0);
-        }).catch(() => {
-            process.exit(0);
-        });
+    const child = spawnChild(fullCommandString, {
+        onOutput: outputActivity === 'off' ? null : reportActivity,
+        pipeTerminalOutput: outputActivity === 'all',
+        pipeInput: useHotkeys,
+    });
+
+    // Ctrl+T switches task without restarting the command
+    const detachHotkeys = attachHotkeys(child, {
+        onSwitchTask: async () => {
+            const nextTask = await promptForTaskName({ suggestion: suggestTaskName(getCurrentBranch()) });
+            if (nextTask) {
+                await sendCommand('task', { taskName: nextTask });
+            }
+        },
+    });
+
+    // Detach from the daemon; it saves the session once its last wrapped command is gone
+    let releasing = false;
+    const release = (code) => {
+        if (releasing) return;
+        releasing = true;
+        detachHotkeys();
+        sendCommand('release', { owner: process.pid }, { timeoutMs: RELEASE_TIMEOUT_MS })
+            .then(({ saved }) => printSavedSession(saved))
+            .catch((err) => console.error(chalk.red('Failed to stop session:'), err.message))
+            .finally(() => process.exit(code));
     };
 
-    process.on('SIGINT', cleanup);
-    process.on('SIGTERM', cleanup);
+    process.on('SIGINT', () => {
+        console.log(chalk.yellow('\nStopping session...'));
+        release(0);
+    });
+    process.on('SIGTERM', () => release(0));
 
     // If the child exits, we exit too
-    child.on('exit', (code) => {
-        endSession().then(() => {
-            process.exit(code);
-        }).catch(() => {
-            process.exit(code);
-        });
-    });
+    child.on('exit', (code) => release(code));
 }
 
 // Define entry point
@@ -161,15 +186,17 @@ const argv = hideBin(process.argv);
 const firstArg = argv[0];
 
 // Check if first arg is a known subcommand
-const subcommands = ['login', 'logout', 'stats', 'migrate', 'help', '--help', '-h'];
+const subcommands = ['login', 'logout', 'stats', 'migrate', 'start', 'stop', 'pause', 'resume', 'status', 'log', 'sessions', 'queue', 'sync', 'team', 'report', 'export', 'import', 'help', '--help', '-h'];
 const isSubcommand = subcommands.includes(firstArg);
 
 if (isSubcommand) {
     // Handle subcommands
     yargs(argv)
         .usage('Usage: $0 <command> [args...]')
-        .command('login', 'Log in with GitHub', {}, async () => {
-            await login();
+        .command('login', 'Log in with GitHub', (y) => y
+            .option('private-repos', { type: 'boolean', description: 'Grant access to private repositories (GitHub `repo` scope) so they can sync' }),
+        async (args) => {
+            await login({ privateRepos: args.privateRepos });
         })
         .command('logout', 'Log out', {}, () => {
             logout();
@@ -178,9 +205,207 @@ if (isSubcommand) {
         .command('stats', 'View repository statistics', {}, async () => {
             await showStats();
         })
-        .command('migrate', 'Migrate local data to cloud', {}, async () => {
-            await migrate();
+        .command('report', 'Time report for a date range', (y) => y
+            .option('from', { type: 'string', description: 'Start date (default: start of this month)' })
+            .option('to', { type: 'string', description: 'End date, inclusive (default: now)' })
+            .option('group-by', { alias: 'g', type: 'string', default: 'task', description: 'Comma-separated: day, week, task, branch, member' })
+            .option('me', { alias: 'm', type: 'boolean', description: 'Only my sessions' })
+            .option('local', { type: 'boolean', description: 'Use local data even when logged in' })
+            .example('$0 report --from 2026-09-01 --to 2026-09-30 --group-by task,member'),
+        async (args) => {
+            await showReport(args);
+        })
+        .command('export', 'Export sessions to CSV, JSON, NDJSON or iCalendar', (y) => y
+            .option('format', { alias: 'f', type: 'string', description: 'csv, json, ndjson or ics (default: from --output, else csv)' })
+            .option('output', { alias: 'o', type: 'string', description: 'File to write (default: stdout)' })
+            .option('from', { type: 'string', description: 'Start date (default: everything)' })
+            .option('to', { type: 'string', description: 'End date, inclusive (default: now)' })
+            .option('task', { alias: 't', type: 'string', description: 'Only this task (repeatable)' })
+            .option('member', { type: 'string', description: 'Only this member\'s sessions (repeatable)' })
+            .option('me', { alias: 'm', type: 'boolean', description: 'Only my sessions' })
+            .option('local', { type: 'boolean', description: 'Use local data even when logged in' })
+            .example('$0 export --format ics --from 2026-09-01 -o september.ics')
+            .example('$0 export --task "Payments refactor" > payments.csv'),
+        async (args) => {
+            await exportSessions(args);
+        })
+        .command('import <file>', 'Import sessions from Toggl, Clockify or WakaTime', (y) => y
+            .positional('file', { type: 'string', description: 'CSV or JSON export file' })
+            .option('tool', { type: 'string', description: 'toggl, clockify or wakatime (default: detected)' })
+            .option('map-project', { type: 'string', description: 'Send a project to a repository, "Project=owner/repo" (repeatable)' })
+            .option('map-tag', { type: 'string', description: 'Use a task name for a tag, "tag=Task name" (repeatable)' })
+            .option('repo', { type: 'string', description: 'Repository for unmapped projects (default: this one)' })
+            .option('user', { type: 'string', description: 'Whose entries to import from a team export (name or email)' })
+            .option('only-mapped', { type: 'boolean', description: 'Skip projects without a --map-project' })
+            .option('allow-overlaps', { type: 'boolean', description: 'Keep entries that overlap recorded sessions' })
+            .option('day-first', { type: 'boolean', description: 'CSV dates are DD/MM/YYYY' })
+            .option('dry-run', { type: 'boolean', description: 'Show what would be imported and stop' })
+            .option('yes', { alias: 'y', type: 'boolean', description: 'Don\'t ask for confirmation' })
+            .example('$0 import toggl.csv --map-project "Website=acme/website" --dry-run'),
+        async (args) => {
+            await importFile(args.file, args);
+        })
+        .command('migrate [paths..]', 'Migrate local data to cloud (or into the central store with --central)', (y) => y
+            .positional('paths', { type: 'string', description: 'Project directories to move into the central store (default: this one)' })
+            .option('central', { type: 'boolean', description: 'Move per-project session files into ~/.dev-timr/repos and keep using it' })
+            .example('$0 migrate --central ~/code/api ~/code/web'),
+        async (args) => {
+            await migrate(args);
+        })
+        .command('start [task]', 'Start tracking in the background', (y) => y
+            .positional('task', { type: 'string', description: 'Task name' })
+            .option('gui', { type: 'boolean', default: true, description: 'Open the dashboard (--no-gui to skip)' }),
+        async (args) => {
+            await session.start({ task: args.task, gui: args.gui });
+        })
+        .command('stop', 'Stop the background session and save it', {}, async () => {
+            await session.stop();
+        })
+        .command('pause', 'Pause the background session', {}, async () => {
+            await session.pause();
+        })
+        .command('resume', 'Resume the background session', {}, async () => {
+            await session.resume();
+        })
+        .command('status', 'Show the background session', {}, async () => {
+            await session.status();
+        })
+        .command('log [task]', 'Log time that was not tracked', (y) => y
+            .positional('task', { type: 'string', description: 'Task name' })
+            .option('duration', { alias: 'd', type: 'string', description: 'How long, e.g. 1h30m' })
+            .option('start', { alias: 's', type: 'string', description: 'Start time, e.g. "yesterday 14:00"' })
+            .option('end', { alias: 'e', type: 'string', description: 'End time (defaults to now)' })
+            .example('$0 log "Payments refactor" -d 2h -s "yesterday 14:00"')
+            .example('$0 log "Code review" -s 9:00 -e 10:30'),
+        async (args) => {
+            await logTime(args);
+        })
+        .command('sessions', 'List and fix recorded sessions', (y) => y
+            .command('list', 'List recorded sessions', (y) => y
+                .option('limit', { alias: 'n', type: 'number', default: 20, description: 'How many recent sessions to show' })
+                .option('all', { type: 'boolean', description: 'Show every session' }),
+            async (args) => {
+                await sessions.list(args);
+            })
+            .command('edit <id>', 'Rename, trim or extend a session', (y) => y
+                .positional('id', { type: 'string', description: 'Session number or ID' })
+                .option('task', { alias: 't', type: 'string', description: 'New task name ("" to clear)' })
+                .option('start', { alias: 's', type: 'string', description: 'New start time' })
+                .option('end', { alias: 'e', type: 'string', description: 'New end time' }),
+            async (args) => {
+                await sessions.edit(args.id, args);
+            })
+            .command('split <id>', 'Split a session in two', (y) => y
+                .positional('id', { type: 'string', description: 'Session number or ID' })
+                .option('at', { type: 'string', description: 'Where the first part ends, e.g. 12:00' })
+                .option('resume', { type: 'string', description: 'Where the second part starts (drops the gap), e.g. 13:00' })
+                .option('task', { alias: 't', type: 'string', description: 'Task name for the second part' })
+                .example('$0 sessions split 12 --at 12:00 --resume 13:00'),
+            async (args) => {
+                await sessions.split(args.id, args);
+            })
+            .command('merge <ids..>', 'Merge sessions into one', (y) => y
+                .positional('ids', { type: 'string', description: 'Session numbers or IDs' })
+                .option('task', { alias: 't', type: 'string', description: 'Task name for the merged session' }),
+            async (args) => {
+                await sessions.merge(args.ids, args);
+            })
+            .command('delete [ids..]', 'Delete sessions', (y) => y
+                .positional('ids', { type: 'string', description: 'Session numbers or IDs' })
+                .option('shorter-than', { type: 'string', description: 'Delete every session shorter than this, e.g. 10s' })
+                .option('yes', { alias: 'y', type: 'boolean', description: 'Don\'t ask for confirmation' }),
+            async (args) => {
+                await sessions.remove(args.ids, args);
+            })
+            .demandCommand(1, 'Choose a sessions command.'),
+        () => { })
+        .command('queue', 'Inspect and manage changes waiting to sync', (y) => y
+            .command('list', 'Show pending and failed entries', {}, async () => {
+                await queue.list();
+            })
+            .command('retry [ids..]', 'Retry entries now (default: all)', (y) => y
+                .positional('ids', { type: 'string', description: 'Entry numbers or session IDs' }),
+            async (args) => {
+                await queue.retry(args.ids);
+            })
+            .command('drop <ids..>', 'Remove entries without syncing them', (y) => y
+                .positional('ids', { type: 'string', description: 'Entry numbers or session IDs' })
+                .option('yes', { alias: 'y', type: 'boolean', description: 'Don\'t ask for confirmation' }),
+            async (args) => {
+                await queue.drop(args.ids, args);
+            })
+            .command('purge', 'Remove every entry that could not be synced', (y) => y
+                .option('yes', { alias: 'y', type: 'boolean', description: 'Don\'t ask for confirmation' }),
+            async (args) => {
+                await queue.purge(args);
+            })
+            .demandCommand(1, 'Choose a queue command.'),
+        () => { })
+        .command('sync', 'Push queued changes and pull your sessions from the cloud', {}, async () => {
+            await sync();
         })
+        .command('team', 'Create teams, invite members and claim repositories', (y) => y
+            .command('list', 'Show your teams and their repositories', {}, async () => {
+                await team.list();
+            })
+            .command('create <team>', 'Create a team (you become its owner)', (y) => y
+                .positional('team', { type: 'string', description: 'Short name: letters, digits and dashes' })
+                .option('name', { type: 'string', description: 'Display name' }),
+            async (args) => {
+                await team.create(args.team, args);
+            })
+            .command('members <team>', 'List the members of a team', (y) => y
+                .positional('team', { type: 'string' }),
+            async (args) => {
+                await team.members(args.team);
+            })
+            .command('invite <team>', 'Create an invite code', (y) => y
+                .positional('team', { type: 'string' })
+                .option('user', { alias: 'u', type: 'string', description: 'Only this GitHub user can use the code' })
+                .option('role', { type: 'string', choices: ['member', 'admin'], default: 'member' })
+                .option('days', { type: 'number', default: 7, description: 'Days the code stays valid (1-30)' }),
+            async (args) => {
+                await team.invite(args.team, args);
+            })
+            .command('join <code>', 'Join a team with an invite code', (y) => y
+                .positional('code', { type: 'string' }),
+            async (args) => {
+                await team.join(args.code);
+            })
+            .command('role <team> <user> <role>', 'Change a member\'s role (owners only)', (y) => y
+                .positional('team', { type: 'string' })
+                .positional('user', { type: 'string', description: 'GitHub username' })
+                .positional('role', { type: 'string', choices: ['owner', 'admin', 'member'] }),
+            async (args) => {
+                await team.role(args.team, args.user, args.role);
+            })
+            .command('remove <team> <user>', 'Remove a member', (y) => y
+                .positional('team', { type: 'string' })
+                .positional('user', { type: 'string', description: 'GitHub username' })
+                .option('yes', { alias: 'y', type: 'boolean', description: 'Don\'t ask for confirmation' }),
+            async (args) => {
+                await team.remove(args.team, args.user, args);
+            })
+            .command('leave <team>', 'Leave a team', (y) => y
+                .positional('team', { type: 'string' })
+                .option('yes', { alias: 'y', type: 'boolean', description: 'Don\'t ask for confirmation' }),
+            async (args) => {
+                await team.leave(args.team, args);
+            })
+            .command('claim <team>', 'Claim this repository for a team (owners and admins)', (y) => y
+                .positional('team', { type: 'string' })
+                .option('take-over', { type: 'boolean', description: 'Take it from the team that claimed it (admins of the repository)' })
+                .option('yes', { alias: 'y', type: 'boolean', description: 'Don\'t ask for confirmation' }),
+            async (args) => {
+                await team.claim(args.team, args);
+            })
+            .command('release', 'Release this repository from its team', (y) => y
+                .option('yes', { alias: 'y', type: 'boolean', description: 'Don\'t ask for confirmation' }),
+            async (args) => {
+                await team.release(args);
+            })
+            .demandCommand(1, 'Choose a team command.'),
+        () => { })
         .help()
         .parse();
 } else {
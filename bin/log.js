@@ -0,0 +1,129 @@
+import chalk from 'chalk';
+import { randomUUID } from 'crypto';
+import { addSession, findOverlappingSessions } from '../lib/store.js';
+import { isDaemonRunning, sendCommand } from '../lib/daemon-client.js';
+import { parseDuration, parseDateTime } from '../lib/timeparse.js';
+import { addDays } from '../lib/period.js';
+import { formatElapsed, promptForTaskName } from './prompts.js';
+
+function formatTime(ms) {
+    return new Date(ms).toLocaleString(undefined, {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+}
+
+function fail(message, hint) {
+    console.error(chalk.red(`❌ ${message}`));
+    if (hint) console.log(chalk.gray(hint));
+    process.exit(1);
+}
+
+/**
+ * Work out the entry's start and end from the given options
+ * Any two of duration, start and end are enough; a lone duration or start ends now
+ * @returns {{start: number, end: number}}
+ */
+function resolveRange({ duration, start, end }, now) {
+    let durationMs = null;
+    if (duration !== undefined) {
+        durationMs = parseDuration(String(duration));
+        if (!durationMs) fail(`Could not understand duration "${duration}".`, 'Examples: 1h30m, 45m, 2h, 1:30');
+    }
+
+    const parseTime = (input, label, baseDay = now) => {
+        if (input === undefined) return null;
+        const value = parseDateTime(String(input), now, baseDay);
+        if (value === null) {
+            fail(`Could not understand ${label} time "${input}".`, 'Examples: "yesterday 14:00", "monday 9:30", "2h ago", "2026-01-18 14:00"');
+        }
+        return value;
+    };
+    let startMs = parseTime(start, 'start');
+
+    // A bare end time ("16:00") falls on the start's day, or the next one past midnight
+    let endMs = parseTime(end, 'end', startMs !== null ? new Date(startMs) : now);
+    if (endMs !== null && startMs !== null && endMs <= startMs && /^\d{1,2}(:\d{2})?\s*(am|pm)?$/i.test(String(end).trim())) {
+        endMs = parseTime(end, 'end', new Date(addDays(startMs, 1)));
+    }
+
+    if (startMs !== null && endMs !== null && durationMs !== null) {
+        fail('Give a duration or a start and end time, not all three.');
+    }
+
+    if (durationMs !== null) {
+        if (startMs !== null) {
+            endMs = startMs + durationMs;
+        } else {
+            endMs = endMs ?? now.getTime();
+            startMs = endMs - durationMs;
+        }
+    } else if (startMs !== null) {
+        endMs = endMs ?? now.getTime();
+    } else {
+        fail('Nothing to log.', 'Usage: dev-timr log "task" --duration 1h30m [--start "yesterday 14:00" | --end ...]');
+    }
+
+    if (endMs <= startMs) fail('The end time must be after the start time.');
+    if (endMs > now.getTime()) fail('Cannot log time in the future.');
+
+    return { start: startMs, end: endMs };
+}
+
+/**
+ * Refuse entries that would count the same time twice
+ */
+async function checkOverlaps(start, end) {
+    const overlapping = findOverlappingSessions(start, end);
+
+    if (await isDaemonRunning()) {
+        const status = await sendCommand('status').catch(() => null);
+        if (status?.active && status.startTime < end) {
+            overlapping.push({ start: status.startTime, end: Date.now(), taskName: status.taskName, running: true });
+        }
+    }
+
+    if (overlapping.length === 0) {
+        return;
+    }
+
+    console.error(chalk.red(`❌ This entry overlaps ${overlapping.length} existing session(s):`));
+    for (const session of overlapping) {
+        const task = session.taskName ? ` ${session.taskName}` : '';
+        const label = session.running ? ' (running)' : '';
+        console.error(chalk.gray(`   ${formatTime(session.start)} – ${formatTime(session.end)}${task}${label}`));
+    }
+    process.exit(1);
+}
+
+/**
+ * Log time that wasn't tracked, e.g. `dev-timr log "Payments refactor" -d 2h -s "yesterday 14:00"`
+ * @param {Object} options
+ * @param {string} [options.task] - Task name; prompted for when omitted
+ * @param {string} [options.duration] - e.g. "1h30m"
+ * @param {string} [options.start] - e.g. "yesterday 14:00"
+ * @param {string} [options.end] - e.g. "16:00"
+ */
+async function logTime(options) {
+    const { start, end } = resolveRange(options, new Date());
+    await checkOverlaps(start, end);
+
+    const taskName = options.task || (process.stdin.isTTY ? await promptForTaskName() : null);
+
+    await addSession({
+        start,
+        end,
+        taskName,
+        clientId: randomUUID(),
+        source: 'manual',
+    });
+
+    const task = taskName ? ` on "${taskName}"` : '';
+    console.log(chalk.green(`✅ Logged ${formatElapsed(end - start)}${task}`));
+    console.log(chalk.gray(`   ${formatTime(start)} – ${formatTime(end)}`));
+}
+
+export default logTime;
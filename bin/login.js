@@ -15,7 +15,12 @@ import ora from 'ora';
 import open from 'open';
 import inquirer from 'inquirer';
 
-async function login() {
+/**
+ * Log in with GitHub
+ * @param {Object} [options]
+ * @param {boolean} [options.privateRepos] - Let the server check access to private repositories
+ */
+async function login({ privateRepos = false } = {}) {
     console.log(chalk.bold.blue('\n🔐 dev-timr Login (via GitHub)\n'));
 
     if (isLoggedIn()) {
@@ -40,7 +45,7 @@ async function login() {
 
     try {
         // 1. Start Device Flow
-        const { deviceCode, userCode, verificationUri, interval } = await startDeviceFlow();
+        const { deviceCode, userCode, verificationUri, interval } = await startDeviceFlow({ privateRepos });
         spinner.stop();
 
         console.log(chalk.yellow('⚠️  First Copy your one-time code: ') + chalk.bold.white(userCode));
@@ -1,15 +1,77 @@
 #! /usr/bin/env node
 
-import { getLocalSessions } from '../lib/store.js';
-import { syncSession } from '../lib/api.js';
+import { getLocalSessions, getSessionId } from '../lib/store.js';
+import { getStoreFileName, getCentralStoreDir, getStorageAdapter, importProjectStore } from '../lib/storage.js';
+import { isCentralStore, saveConfig } from '../lib/config.js';
+import { syncSessionBatch } from '../lib/api.js';
 import { isLoggedIn } from '../lib/auth.js';
-import { getRepoInfo, isGitRepo } from '../lib/git.js';
+import { getRepoInfo, isGitRepo, LOCAL_GIT_HOST, PROJECT_CONFIG_FILE } from '../lib/git.js';
 import chalk from 'chalk';
 import ora from 'ora';
 import inquirer from 'inquirer';
+import fs from 'fs';
 import path from 'path';
 
-async function migrate() {
+/**
+ * Move per-project store files into the central store (~/.dev-timr/repos)
+ * and turn central mode on
+ * @param {Array<string>} paths - Project directories or store files (default: cwd)
+ */
+async function migrateToCentral(paths) {
+    console.log(chalk.bold.blue('\n📦 Moving local sessions into the central store\n'));
+
+    const targets = paths.length > 0 ? paths : [process.cwd()];
+    let moved = 0;
+
+    for (const target of targets) {
+        const resolved = path.resolve(target);
+        const projectDir = fs.existsSync(resolved) && fs.statSync(resolved).isFile() ? path.dirname(resolved) : resolved;
+
+        if (!fs.existsSync(projectDir)) {
+            console.log(chalk.yellow(`⚠️  ${target}: not found`));
+            continue;
+        }
+
+        const repoInfo = getRepoInfo(projectDir);
+        if (!repoInfo) {
+            console.log(chalk.yellow(`⚠️  ${target}: not a git repository, skipped`));
+            continue;
+        }
+
+        const adapter = getStorageAdapter(getCentralStoreDir(repoInfo));
+        const { files, added, skipped } = importProjectStore(adapter, projectDir);
+        if (files.length === 0) {
+            console.log(chalk.gray(`   ${repoInfo.fullName}: no local store in ${projectDir}`));
+            continue;
+        }
+
+        moved += added;
+        const already = skipped > 0 ? chalk.gray(` (${skipped} already there)`) : '';
+        console.log(`✅ ${chalk.bold(repoInfo.fullName)}: ${added} session(s)${already}`);
+    }
+
+    if (!isCentralStore()) {
+        await saveConfig({ centralStore: true });
+        console.log(chalk.green('\nCentral store turned on. New sessions go to ~/.dev-timr/repos.'));
+    }
+    if (moved > 0) {
+        console.log(chalk.gray('The project files were renamed with a .migrated suffix and can be deleted.'));
+    }
+}
+
+/**
+ * Upload local sessions to the cloud, or with options.central move them into
+ * the central store
+ * @param {Object} [options]
+ * @param {boolean} [options.central] - Move into the central store instead
+ * @param {Array<string>} [options.paths] - Projects to move (central only)
+ */
+async function migrate(options = {}) {
+    if (options.central) {
+        await migrateToCentral(options.paths || []);
+        return;
+    }
+
     console.log(chalk.bold.blue('\n📦 dev-timr Data Migration\n'));
 
     if (!isLoggedIn()) {
@@ -31,6 +93,11 @@ async function migrate() {
     }
 
     const repoInfo = getRepoInfo();
+    if (!repoInfo || repoInfo.host === LOCAL_GIT_HOST) {
+        console.error(chalk.red('❌ This repository has no remote to identify it in the cloud.'));
+        console.log(`Add one, or pin its identity in ${PROJECT_CONFIG_FILE}, e.g. {"repo": "owner/repo"}.`);
+        process.exit(1);
+    }
     console.log(`Repository: ${chalk.bold(repoInfo.fullName)}`);
     console.log(`Found ${chalk.cyan(sessions.length)} local sessions to migrate.`);
 
@@ -48,53 +115,43 @@ async function migrate() {
         process.exit(0);
     }
 
+    // Sessions without a usable start and end can't be uploaded
+    const valid = sessions.filter(session => session.start && session.end);
+    const skipped = sessions.length - valid.length;
+
     const spinner = ora('Migrating sessions...').start();
 
-    let success = 0;
-    let failed = 0;
-    let skipped = 0;
-
-    for (const session of sessions) {
-        try {
-            // Check session validity
-            if (!session.start || !session.end) {
-                skipped++;
-                continue;
-            }
-
-            // Prepare session object
-            // Use existing taskName if available, otherwise null
-            // We generate a clientId if missing to avoid duplicates on re-run
-            const sessionData = {
-                start: session.start,
-                end: session.end,
-                taskName: session.taskName || null,
-                clientId: session.clientId || `legacy-${session.start}-${session.end}`,
-                repo: repoInfo // Explicitly pass repo info
-            };
-
-            await syncSession(sessionData);
-            success++;
-
-            // Update spinner text occasionally
-            if (success % 5 === 0) {
-                spinner.text = `Migrating sessions... (${success}/${sessions.length})`;
-            }
-
-        } catch (err) {
-            // Silent fail for individual sessions, likely duplicates
-            failed++;
-        }
+    // Keep the local ID so running the migration again adds nothing twice
+    const changes = valid.map(session => ({ ...session, clientId: getSessionId(session), repo: repoInfo }));
+
+    let results;
+    try {
+        results = await syncSessionBatch(changes, {
+            onProgress: (done, total) => {
+                spinner.text = `Migrating sessions... (${done}/${total})`;
+            },
+        });
+    } catch (err) {
+        spinner.fail(`Migration failed: ${err.message}`);
+        process.exit(1);
     }
 
+    const errors = results.filter(result => !result.ok).map(result => result.error.message);
+    const success = results.length - errors.length;
+
     spinner.succeed('Migration complete!');
 
     console.log('\nSummary:');
     console.log(chalk.green(`✅ Synced: ${success}`));
-    if (failed > 0) console.log(chalk.yellow(`⚠️  Failed/Duplicates: ${failed}`));
+    if (errors.length > 0) {
+        console.log(chalk.yellow(`⚠️  Failed: ${errors.length}`));
+        for (const message of [...new Set(errors)].slice(0, 3)) {
+            console.log(chalk.gray(`   ${message}`));
+        }
+    }
     if (skipped > 0) console.log(chalk.gray(`⏭️  Skipped (Invalid): ${skipped}`));
 
-    console.log(chalk.gray('\nNote: Your local file (.dev-clock.json) was not deleted as a backup.'));
+    console.log(chalk.gray(`\nNote: Your local file (${getStoreFileName()}) was not deleted as a backup.`));
 }
 
 // Check if run directly
@@ -0,0 +1,164 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import {
+    finishCheckpointedSession,
+    discardCheckpointedSession,
+} from '../lib/tracker.js';
+import { findOrphanedCheckpoints, getCheckpointSegments } from '../lib/checkpoint.js';
+import { sumSegments } from '../lib/segments.js';
+import { getRecentTaskNames } from '../lib/store.js';
+
+export function formatElapsed(ms) {
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Print the summary of a session the daemon just saved
+ * @param {Object|null} saved - Saved session returned by the daemon
+ */
+export function printSavedSession(saved) {
+    if (!saved) {
+        return;
+    }
+
+    const task = saved.taskName ? ` on "${saved.taskName}"` : '';
+    console.log(chalk.green(`⏱️  Recorded ${formatElapsed(saved.duration)}${task}.`));
+    if (!saved.cloudSynced) {
+        console.log(chalk.gray('   Saved locally (not synced to the cloud yet).'));
+    }
+}
+
+/**
+ * Offer to recover sessions left behind by a crashed or killed dev-timr process
+ * Finished and discarded sessions are handled here; a session to resume is
+ * returned so the daemon can take it over
+ * @returns {Promise<Object|null>} Checkpoint of the session to resume
+ */
+export async function recoverOrphanedSessions() {
+    const orphans = findOrphanedCheckpoints();
+    if (orphans.length === 0) {
+        return null;
+    }
+
+    console.log(chalk.yellow(`\n⚠️  Found ${orphans.length} unfinished session(s) from a previous run.`));
+
+    let resume = null;
+    for (const orphan of orphans) {
+        const lastSeen = new Date(orphan.heartbeat).toLocaleString();
+        const task = orphan.taskName ? ` on "${orphan.taskName}"` : '';
+        const recorded = formatElapsed(sumSegments(getCheckpointSegments(orphan)));
+
+        // Without a terminal we can't ask, so keep the work that was recorded
+        let action = 'finish';
+        if (process.stdin.isTTY) {
+            const choices = [
+                { name: `Save it, ending at last heartbeat (${lastSeen})`, value: 'finish' },
+                { name: 'Discard it', value: 'discard' },
+            ];
+            // Only one session can be the active one
+            if (!resume) {
+                choices.splice(1, 0, { name: 'Resume it now (time since the crash counts as paused)', value: 'resume' });
+            }
+
+            const answer = await inquirer.prompt([{
+                type: 'list',
+                name: 'action',
+                message: `Session${task} (${recorded} recorded, last seen ${lastSeen}):`,
+                choices,
+            }]);
+            action = answer.action;
+        }
+
+        try {
+            if (action === 'resume') {
+                resume = orphan;
+            } else if (action === 'discard') {
+                discardCheckpointedSession(orphan);
+                console.log(chalk.gray('   Discarded.'));
+            } else {
+                await finishCheckpointedSession(orphan);
+                console.log(chalk.green(`   Saved ${recorded}${task}.`));
+            }
+        } catch (err) {
+            console.error(chalk.red('   Failed to recover session:'), err.message);
+        }
+    }
+
+    return resume;
+}
+
+/**
+ * Ask what the user is working on, offering recent tasks when available
+ * @param {Object} [options]
+ * @param {string|null} [options.suggestion] - Task offered first, e.g. from the branch name
+ * @returns {Promise<string|null>} Chosen task name
+ */
+export async function promptForTaskName({ suggestion = null } = {}) {
+    let taskName = null;
+    try {
+        const choices = await getRecentTaskNames(5);
+
+        // The suggestion goes first, so Enter picks it
+        if (suggestion) {
+            const known = choices.indexOf(suggestion);
+            if (known !== -1) choices.splice(known, 1);
+            choices.unshift({ name: `${suggestion} ${chalk.gray('(from branch)')}`, value: suggestion });
+        }
+
+        // Add "New Task" option if we have recent tasks
+        if (choices.length > 0) {
+            choices.push(new inquirer.Separator());
+            choices.push('Type a new task name...');
+            choices.push('Skip (No task)');
+        }
+
+        console.log(''); // Spacer
+
+        let answer;
+        if (choices.length > 0) {
+            answer = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'taskSelect',
+                    message: 'What are you working on?',
+                    choices: choices,
+                    loop: false
+                }
+            ]);
+
+            if (answer.taskSelect === 'Type a new task name...') {
+                const textAnswer = await inquirer.prompt([{
+                    type: 'input',
+                    name: 'taskInput',
+                    message: 'Enter task name:'
+                }]);
+                taskName = textAnswer.taskInput;
+            } else if (answer.taskSelect !== 'Skip (No task)') {
+                taskName = answer.taskSelect;
+            }
+        } else {
+            // Simple input if no history
+            answer = await inquirer.prompt([{
+                type: 'input',
+                name: 'taskInput',
+                message: 'Task name (optional):'
+            }]);
+            taskName = answer.taskInput;
+        }
+
+    } catch (err) {
+        // Fallback if the prompt fails
+        // console.debug('Task prompt skipped:', err.message);
+    }
+
+    return taskName;
+}
+
+export default {
+    formatElapsed,
+    printSavedSession,
+    recoverOrphanedSessions,
+    promptForTaskName,
+};
@@ -0,0 +1,213 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import {
+    getQueuedSessions,
+    getDeadLetters,
+    getQueueStats,
+    getEntryKey,
+    processQueue,
+    retryEntries,
+    dropEntries,
+    purgeDeadLetters,
+} from '../lib/queue.js';
+import { isLoggedIn } from '../lib/auth.js';
+import { formatRepoName } from '../lib/git.js';
+import { formatElapsed } from './prompts.js';
+
+function fail(message, hint) {
+    console.error(chalk.red(`❌ ${message}`));
+    if (hint) console.log(chalk.gray(hint));
+    process.exit(1);
+}
+
+/**
+ * Pending entries, then dead letters, with the number they are referred to by
+ */
+function loadEntries() {
+    const pending = getQueuedSessions().map(entry => ({ ...entry, dead: false }));
+    const dead = getDeadLetters().map(entry => ({ ...entry, dead: true }));
+    return [...pending, ...dead].map((entry, index) => ({
+        ...entry,
+        number: index + 1,
+        key: getEntryKey(entry),
+        id: entry.clientId || '',
+    }));
+}
+
+/**
+ * Find an entry by list number ("3") or session ID prefix ("3f2a9c1e")
+ */
+function resolveEntry(ref, entries) {
+    const text = String(ref);
+
+    if (/^\d{1,4}$/.test(text)) {
+        const entry = entries[Number(text) - 1];
+        if (!entry) fail(`No queue entry #${text}.`, 'Run `dev-timr queue list` to see entry numbers.');
+        return entry;
+    }
+
+    if (text.length < 4) {
+        fail(`Session ID "${text}" is too short.`, 'Use at least 4 characters of the ID, or the entry number.');
+    }
+
+    const matches = entries.filter(e => e.id.startsWith(text));
+    if (matches.length > 1) {
+        fail(`"${text}" matches more than one entry.`, 'Use a longer ID or the entry number.');
+    }
+    if (matches.length === 0) {
+        fail(`No queue entry for session "${text}".`, 'Run `dev-timr queue list` to see the queue.');
+    }
+    return matches[0];
+}
+
+function formatWhen(ms) {
+    const diff = ms - Date.now();
+    if (diff <= 0) return 'now';
+    return `in ${diff < 60000 ? `${Math.ceil(diff / 1000)}s` : formatElapsed(diff)}`;
+}
+
+function formatDay(ms) {
+    return new Date(ms).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+function printEntry(entry) {
+    const id = !entry.id ? '-' : entry.id.startsWith('legacy-') ? 'legacy' : entry.id.slice(0, 8);
+    const repo = entry.repo ? formatRepoName(entry.repo) : '?';
+    const task = entry.taskName || chalk.gray('(no task)');
+    const status = entry.dead
+        ? chalk.red(entry.failure === 'permanent' ? 'rejected' : 'gave up')
+        : entry.nextAttemptAt ? chalk.yellow(formatWhen(entry.nextAttemptAt)) : chalk.green('now');
+
+    console.log(
+        `${chalk.gray(String(entry.number).padStart(4))}  ${chalk.gray(id.padEnd(8))}  ` +
+        `${(entry.action || 'insert').padEnd(6)}  ${formatDay(entry.start).padEnd(6)}  ${status}  ${repo}  ${task}` +
+        `${entry.syncAttempts ? chalk.gray(` (${entry.syncAttempts} attempt${entry.syncAttempts === 1 ? '' : 's'})`) : ''}`
+    );
+    if (entry.lastError) {
+        console.log(chalk.gray(`              ${entry.lastError}`));
+    }
+}
+
+async function confirm(message, refusal) {
+    if (!process.stdin.isTTY) {
+        fail(refusal, 'Pass --yes to confirm.');
+    }
+    const { confirmed } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmed',
+        message,
+        default: false,
+    }]);
+    return confirmed;
+}
+
+/**
+ * List pending entries and dead letters
+ */
+export async function list() {
+    const entries = loadEntries();
+    const stats = getQueueStats();
+
+    if (entries.length === 0) {
+        console.log(chalk.green('✅ Nothing waiting to sync.'));
+        return;
+    }
+
+    const pending = entries.filter(e => !e.dead);
+    const dead = entries.filter(e => e.dead);
+
+    if (pending.length > 0) {
+        console.log(chalk.bold.blue(`\n⏳ Waiting to sync (${pending.length})\n`));
+        pending.forEach(printEntry);
+        if (stats.due === 0 && stats.nextAttemptAt) {
+            console.log(chalk.gray(`\nNext attempt ${formatWhen(stats.nextAttemptAt)}.`));
+        }
+    }
+
+    if (dead.length > 0) {
+        console.log(chalk.bold.red(`\n🪦 Could not be synced (${dead.length})\n`));
+        dead.forEach(printEntry);
+        console.log(chalk.gray('\nThese are not retried on their own. Fix the cause, then `dev-timr queue retry`, or `dev-timr queue purge` to give up on them.'));
+        console.log(chalk.gray('The sessions themselves are still in the local store.'));
+    }
+}
+
+/**
+ * Retry entries now with a fresh set of attempts (all of them without refs)
+ */
+export async function retry(refs = []) {
+    const entries = loadEntries();
+    const keys = refs.length > 0 ? refs.map(ref => resolveEntry(ref, entries).key) : undefined;
+
+    const count = retryEntries(keys);
+    if (count === 0) {
+        console.log(chalk.green('✅ Nothing waiting to sync.'));
+        return;
+    }
+
+    if (!isLoggedIn()) {
+        console.log(chalk.yellow(`⏳ ${count} entr${count === 1 ? 'y' : 'ies'} will sync after \`dev-timr login\`.`));
+        return;
+    }
+
+    const spinner = ora('Syncing...').start();
+    // Only the entries asked for; other due entries wait for the next regular flush
+    const { synced, failed, deadLettered } = await processQueue({
+        keys,
+        onProgress: (done, total) => {
+            spinner.text = `Syncing... (${done}/${total})`;
+        },
+    });
+    spinner[synced === count ? 'succeed' : 'warn'](`Synced ${synced} of ${count}.`);
+    if (failed > 0) console.log(chalk.yellow(`⏳ ${failed} failed and will be retried.`));
+    if (deadLettered > 0) console.log(chalk.red(`❌ ${deadLettered} rejected again; see \`dev-timr queue list\`.`));
+}
+
+/**
+ * Remove entries without syncing them
+ */
+export async function drop(refs = [], { yes = false } = {}) {
+    const entries = loadEntries();
+    const selected = [...new Map(refs.map(ref => resolveEntry(ref, entries)).map(e => [e.key, e])).values()];
+    if (selected.length === 0) {
+        fail('Say which entries to drop.', 'Example: dev-timr queue drop 3 5');
+    }
+
+    console.log(chalk.yellow(`\nAbout to drop ${selected.length} entr${selected.length === 1 ? 'y' : 'ies'}:`));
+    selected.forEach(printEntry);
+
+    if (!yes && !(await confirm('Drop them? These changes will never reach the cloud.', 'Refusing to drop entries without confirmation.'))) {
+        console.log(chalk.gray('Nothing dropped.'));
+        return;
+    }
+
+    const count = dropEntries(selected.map(e => e.key));
+    console.log(chalk.green(`✅ Dropped ${count} entr${count === 1 ? 'y' : 'ies'}.`));
+}
+
+/**
+ * Give up on every dead letter
+ */
+export async function purge({ yes = false } = {}) {
+    const { deadLetterCount } = getQueueStats();
+    if (deadLetterCount === 0) {
+        console.log(chalk.green('✅ No failed entries to purge.'));
+        return;
+    }
+
+    if (!yes && !(await confirm(`Purge ${deadLetterCount} failed entr${deadLetterCount === 1 ? 'y' : 'ies'}? They will never reach the cloud.`, 'Refusing to purge without confirmation.'))) {
+        console.log(chalk.gray('Nothing purged.'));
+        return;
+    }
+
+    const count = purgeDeadLetters();
+    console.log(chalk.green(`✅ Purged ${count} entr${count === 1 ? 'y' : 'ies'}.`));
+}
+
+export default {
+    list,
+    retry,
+    drop,
+    purge,
+};
@@ -0,0 +1,120 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { getSessions } from '../lib/store.js';
+import { getRepoInfo } from '../lib/git.js';
+import { buildReport, parseGroupBy } from '../lib/report.js';
+import { formatDateKey } from '../lib/period.js';
+import { parseDateRange } from '../lib/timeparse.js';
+
+const INDENT = '  ';
+
+// Helper to format milliseconds to human readable string
+function formatDuration(ms) {
+    if (!ms) return '0m';
+
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+
+    if (hours > 0) {
+        return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    return `${minutes}m`;
+}
+
+/**
+ * Flatten the report tree into table rows, parents (subtotals) before their children
+ */
+function toRows(node, total, depth = 0, rows = []) {
+    for (const child of node.children) {
+        rows.push({
+            label: INDENT.repeat(depth) + child.key,
+            time: formatDuration(child.ms),
+            share: total > 0 ? `${Math.round((child.ms / total) * 100)}%` : '',
+            sessions: String(child.sessions),
+            subtotal: child.children.length > 0,
+        });
+        toRows(child, total, depth + 1, rows);
+    }
+    return rows;
+}
+
+function printTable(report, groupBy) {
+    const rows = toRows(report, report.ms);
+    const header = {
+        label: groupBy.map(f => f[0].toUpperCase() + f.slice(1)).join(' / ') || 'Group',
+        time: 'Time',
+        share: 'Share',
+        sessions: 'Sessions',
+    };
+    const totalRow = { label: 'Total', time: formatDuration(report.ms), share: '100%', sessions: String(report.sessions) };
+
+    const all = [header, ...rows, totalRow];
+    const width = (key) => Math.max(...all.map(r => r[key].length));
+    const widths = { label: width('label'), time: width('time'), share: width('share'), sessions: width('sessions') };
+
+    const format = (row) =>
+        `${row.label.padEnd(widths.label)}  ${row.time.padStart(widths.time)}  ` +
+        `${row.share.padStart(widths.share)}  ${row.sessions.padStart(widths.sessions)}`;
+    const rule = '─'.repeat(widths.label + widths.time + widths.share + widths.sessions + 6);
+
+    console.log(chalk.bold(format(header)));
+    console.log(chalk.gray(rule));
+    for (const row of rows) {
+        console.log(row.subtotal ? chalk.bold(format(row)) : format(row));
+    }
+    console.log(chalk.gray(rule));
+    console.log(chalk.bold.green(format(totalRow)));
+}
+
+/**
+ * Print a time report for a date range, e.g.
+ * `dev-timr report --from 2026-09-01 --to 2026-09-30 --group-by task,member`
+ * @param {Object} options
+ * @param {string} [options.from] - Range start (default: start of this month)
+ * @param {string} [options.to] - Range end, whole days inclusive (default: now)
+ * @param {string} [options.groupBy] - Comma-separated day, week, task, branch, member
+ * @param {boolean} [options.me] - Only my sessions
+ * @param {boolean} [options.local] - Use the local store even when logged in
+ */
+async function showReport(options = {}) {
+    let range;
+    let groupBy;
+    try {
+        range = parseDateRange(options.from, options.to);
+        groupBy = parseGroupBy(options.groupBy ?? 'task');
+    } catch (err) {
+        console.error(chalk.red(`❌ ${err.message}`));
+        process.exit(1);
+    }
+
+    const repoInfo = getRepoInfo();
+    const spinner = ora('Loading sessions...').start();
+
+    try {
+        const { sessions, source } = await getSessions({
+            ...range,
+            personalOnly: !!options.me,
+            forceLocal: !!options.local,
+        });
+        spinner.stop();
+
+        const lastDay = formatDateKey(range.to - 1);
+        const title = repoInfo ? repoInfo.fullName : 'Local project';
+        console.log(chalk.bold.blue(`\n📋 Report for ${title}`));
+        console.log(chalk.gray(`   ${formatDateKey(range.from)} → ${lastDay} (${source === 'cloud' ? 'cloud' : 'local data'})\n`));
+
+        const report = buildReport(sessions, { ...range, groupBy });
+        if (report.ms === 0) {
+            console.log(chalk.yellow('No time recorded in this range.'));
+            return;
+        }
+
+        printTable(report, groupBy);
+        console.log('');
+    } catch (err) {
+        spinner.stop();
+        console.error(chalk.red('\n❌ Failed to build report:'), err.message);
+    }
+}
+
+export default showReport;
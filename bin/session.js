@@ -0,0 +1,133 @@
+import chalk from 'chalk';
+import open from 'open';
+import { sendCommand, ensureDaemon, isDaemonRunning } from '../lib/daemon-client.js';
+import { getCurrentBranch } from '../lib/git.js';
+import { suggestTaskName } from '../lib/branch.js';
+import {
+    formatElapsed,
+    printSavedSession,
+    recoverOrphanedSessions,
+    promptForTaskName,
+} from './prompts.js';
+
+// Saving a session may wait on the cloud sync
+const SAVE_TIMEOUT_MS = 30 * 1000;
+
+function printStatus(status) {
+    const task = status.taskName ? chalk.bold(status.taskName) : chalk.gray('(no task)');
+    const state = status.isPaused ? chalk.yellow('paused') : chalk.green('running');
+
+    console.log(`\n🕐 ${task} — ${formatElapsed(status.duration)} (${state})`);
+    console.log(chalk.gray(`   Started ${new Date(status.startTime).toLocaleString()}`));
+    if (status.branch) {
+        console.log(chalk.gray(`   Branch: ${status.branch}`));
+    }
+    if (status.owners > 0) {
+        console.log(chalk.gray(`   Wrapped commands attached: ${status.owners}`));
+    }
+    if (status.guiUrl) {
+        console.log(chalk.gray(`   Dashboard: ${status.guiUrl}`));
+    }
+}
+
+/**
+ * Run a command against the running daemon, or report that nothing is tracked
+ * @returns {Promise<Object|null>} Response, or null if no daemon runs for this project
+ */
+async function sendToRunningDaemon(command, payload, options) {
+    if (!(await isDaemonRunning())) {
+        console.log(chalk.yellow('No active session.'));
+        return null;
+    }
+
+    try {
+        return await sendCommand(command, payload, options);
+    } catch (err) {
+        console.error(chalk.red(`❌ ${err.message}`));
+        process.exit(1);
+    }
+}
+
+/**
+ * Start a session in the background daemon
+ * @param {Object} options
+ * @param {string} [options.task] - Task name; prompted for when omitted
+ * @param {boolean} [options.gui] - Open the dashboard in the browser
+ */
+export async function start({ task, gui = true } = {}) {
+    if (await isDaemonRunning()) {
+        const status = await sendCommand('status');
+        if (status.active) {
+            console.error(chalk.red('❌ A session is already running.'));
+            printStatus(status);
+            process.exit(1);
+        }
+    }
+
+    const resume = await recoverOrphanedSessions();
+    const taskName = task || (resume ? null : await promptForTaskName({ suggestion: suggestTaskName(getCurrentBranch()) }));
+
+    let status;
+    try {
+        await ensureDaemon();
+        status = await sendCommand('start', { resume: resume?.clientId });
+        if (taskName) {
+            status = await sendCommand(resume ? 'task' : 'rename', { taskName });
+        }
+    } catch (err) {
+        console.error(chalk.red(`❌ Failed to start session: ${err.message}`));
+        process.exit(1);
+    }
+
+    console.log(chalk.green(resume ? '\n▶️  Session resumed.' : '\n▶️  Session started.'));
+    printStatus(status);
+    console.log(chalk.gray('\n   Run `dev-timr stop` when you are done.'));
+
+    if (gui && status.guiUrl) {
+        await open(status.guiUrl).catch(() => { });
+    }
+}
+
+/**
+ * Stop the session and save it
+ */
+export async function stop() {
+    const response = await sendToRunningDaemon('stop', {}, { timeoutMs: SAVE_TIMEOUT_MS });
+    if (response) {
+        console.log(chalk.yellow('Session stopped.'));
+        printSavedSession(response.saved);
+    }
+}
+
+export async function pause() {
+    const response = await sendToRunningDaemon('pause');
+    if (response) {
+        console.log(response.success ? chalk.yellow('⏸️  Timer paused.') : chalk.gray('Nothing to pause.'));
+    }
+}
+
+export async function resume() {
+    const response = await sendToRunningDaemon('resume');
+    if (response) {
+        console.log(response.success ? chalk.green('▶️  Timer resumed.') : chalk.gray('Timer is not paused.'));
+    }
+}
+
+export async function status() {
+    const response = await sendToRunningDaemon('status');
+    if (response) {
+        if (response.active) {
+            printStatus(response);
+        } else {
+            console.log(chalk.yellow('No active session.'));
+        }
+    }
+}
+
+export default {
+    start,
+    stop,
+    pause,
+    resume,
+    status,
+};
@@ -0,0 +1,319 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { randomUUID } from 'crypto';
+import {
+    getLocalSessions,
+    getSessionId,
+    findOverlappingSessions,
+    addSession,
+    updateSession,
+    deleteSessions,
+} from '../lib/store.js';
+import { getSessionSegments, sumSegments, clipSegments, unionSegments } from '../lib/segments.js';
+import { parseDuration, parseDateTime } from '../lib/timeparse.js';
+import { formatElapsed } from './prompts.js';
+
+const DEFAULT_LIST_LIMIT = 20;
+
+function fail(message, hint) {
+    console.error(chalk.red(`❌ ${message}`));
+    if (hint) console.log(chalk.gray(hint));
+    process.exit(1);
+}
+
+/**
+ * Local sessions, oldest first, with the number and ID they are referred to by
+ */
+function loadSessions() {
+    return getLocalSessions()
+        .slice()
+        .sort((a, b) => a.start - b.start)
+        .map((session, index) => ({ ...session, number: index + 1, id: getSessionId(session) }));
+}
+
+/**
+ * Find a session by list number ("12") or ID prefix ("3f2a9c1e")
+ */
+function resolveSession(ref, sessions) {
+    const text = String(ref);
+
+    if (/^\d{1,4}$/.test(text)) {
+        const session = sessions[Number(text) - 1];
+        if (!session) fail(`No session #${text}.`, 'Run `dev-timr sessions list` to see session numbers.');
+        return session;
+    }
+
+    if (text.length < 4) {
+        fail(`Session ID "${text}" is too short.`, 'Use at least 4 characters of the ID, or the session number.');
+    }
+
+    const matches = sessions.filter(s => s.id.startsWith(text));
+    if (matches.length > 1) {
+        fail(`"${text}" matches more than one session.`, 'Use a longer ID or the session number.');
+    }
+    if (matches.length === 0) {
+        fail(`No session with ID "${text}".`, 'Run `dev-timr sessions list` to see session IDs.');
+    }
+    return matches[0];
+}
+
+function formatDay(ms) {
+    return new Date(ms).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function formatClock(ms) {
+    return new Date(ms).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+}
+
+function formatShortDuration(ms) {
+    return ms < 60000 ? `${Math.round(ms / 1000)}s` : formatElapsed(ms);
+}
+
+function printSession(session) {
+    const id = session.id.startsWith('legacy-') ? 'legacy' : session.id.slice(0, 8);
+    const duration = formatShortDuration(sumSegments(getSessionSegments(session)));
+    const task = session.taskName || chalk.gray('(no task)');
+    const source = session.source && session.source !== 'timer' ? chalk.gray(` [${session.source}]`) : '';
+
+    console.log(
+        `${chalk.gray(String(session.number ?? '').padStart(4))}  ${chalk.gray(id.padEnd(8))}  ` +
+        `${formatDay(session.start).padEnd(12)} ${formatClock(session.start)}–${formatClock(session.end)}  ` +
+        `${chalk.bold(duration.padStart(7))}  ${task}${source}`
+    );
+}
+
+/**
+ * Parse a time given for a session; bare times ("12:30") fall on the session's day
+ */
+function parseSessionTime(input, label, session) {
+    const now = new Date();
+    let value = parseDateTime(String(input), now, new Date(session.start));
+
+    // Sessions running past midnight: "01:00" means the day the session ended
+    if (value !== null && value < session.start && /^\d{1,2}(:\d{2})?\s*(am|pm)?$/i.test(String(input).trim())) {
+        value = parseDateTime(String(input), now, new Date(session.end));
+    }
+
+    if (value === null) {
+        fail(`Could not understand ${label} time "${input}".`, 'Examples: "12:30", "yesterday 14:00", "2026-01-18 14:00"');
+    }
+    return value;
+}
+
+/**
+ * Refuse changes that would count the same time twice
+ */
+function checkOverlaps(segments, excludeIds) {
+    const start = Math.min(...segments.map(s => s.start));
+    const end = Math.max(...segments.map(s => s.end));
+    const overlapping = findOverlappingSessions(start, end, excludeIds)
+        .filter(other => getSessionSegments(other).some(seg => sumSegments(segments, seg.start, seg.end) > 0));
+
+    if (overlapping.length > 0) {
+        console.error(chalk.red(`❌ The change would overlap ${overlapping.length} other session(s):`));
+        const numbered = loadSessions();
+        for (const other of overlapping) {
+            printSession(numbered.find(s => s.id === getSessionId(other)));
+        }
+        process.exit(1);
+    }
+}
+
+/**
+ * List recorded sessions, most recent last
+ */
+export async function list({ limit = DEFAULT_LIST_LIMIT, all = false } = {}) {
+    const sessions = loadSessions();
+    if (sessions.length === 0) {
+        console.log(chalk.yellow('No sessions recorded in this project yet.'));
+        return;
+    }
+
+    const shown = all ? sessions : sessions.slice(-limit);
+    if (shown.length < sessions.length) {
+        console.log(chalk.gray(`Showing the last ${shown.length} of ${sessions.length} sessions (--all for everything).`));
+    }
+    console.log('');
+    shown.forEach(printSession);
+}
+
+/**
+ * Change a session's task name or trim/extend it
+ */
+export async function edit(ref, { task, start, end } = {}) {
+    if (task === undefined && start === undefined && end === undefined) {
+        fail('Nothing to change.', 'Pass --task, --start and/or --end.');
+    }
+
+    const session = resolveSession(ref, loadSessions());
+    const newStart = start !== undefined ? parseSessionTime(start, 'start', session) : session.start;
+    const newEnd = end !== undefined ? parseSessionTime(end, 'end', session) : session.end;
+
+    if (newEnd <= newStart) fail('The end time must be after the start time.');
+    if (newEnd > Date.now()) fail('Cannot move a session into the future.');
+
+    // Trimming drops the active time outside the new range; extending grows the outer segments
+    const segments = clipSegments(getSessionSegments(session), newStart, newEnd);
+    if (segments.length === 0) {
+        fail('No active time would be left in the session.', 'Use `dev-timr sessions delete` to remove it.');
+    }
+    if (newStart < session.start) {
+        segments[0].start = newStart;
+    }
+    if (newEnd > session.end) {
+        segments[segments.length - 1].end = newEnd;
+    }
+
+    checkOverlaps(segments, [session.id]);
+
+    const changes = { start: newStart, end: newEnd, segments, pauses: clipSegments(session.pauses || [], newStart, newEnd) };
+    if (task !== undefined) {
+        changes.taskName = task || null;
+    }
+
+    const result = await updateSession(session.id, changes);
+    console.log(chalk.green('✅ Session updated:'));
+    printSession({ ...result.session, number: session.number, id: session.id });
+}
+
+/**
+ * Split a session in two, optionally dropping a gap (e.g. lunch) between the parts
+ */
+export async function split(ref, { at, resume, task } = {}) {
+    if (at === undefined) {
+        fail('Where should the session be split?', 'Usage: dev-timr sessions split <id> --at 12:00 [--resume 13:00]');
+    }
+
+    const session = resolveSession(ref, loadSessions());
+    const splitAt = parseSessionTime(at, 'split', session);
+    const resumeAt = resume !== undefined ? parseSessionTime(resume, 'resume', session) : splitAt;
+
+    if (splitAt <= session.start || splitAt >= session.end) {
+        fail(`The split time must be inside the session (${formatClock(session.start)}–${formatClock(session.end)}).`);
+    }
+    if (resumeAt < splitAt || resumeAt >= session.end) {
+        fail('The resume time must be after the split time and before the session ends.');
+    }
+
+    const segments = getSessionSegments(session);
+    const firstSegments = clipSegments(segments, session.start, splitAt);
+    const secondSegments = clipSegments(segments, resumeAt, session.end);
+    if (firstSegments.length === 0 || secondSegments.length === 0) {
+        fail('Both parts need some active time; pick a different split time.');
+    }
+
+    // Which commit HEAD was on at the split isn't known, so the parts only keep their outer ends
+    await updateSession(session.id, {
+        end: splitAt,
+        segments: firstSegments,
+        pauses: clipSegments(session.pauses || [], session.start, splitAt),
+        endCommit: null,
+    });
+    await addSession({
+        start: resumeAt,
+        end: session.end,
+        segments: secondSegments,
+        pauses: clipSegments(session.pauses || [], resumeAt, session.end),
+        taskName: task !== undefined ? task || null : session.taskName,
+        clientId: randomUUID(),
+        source: session.source,
+        branch: session.branch,
+        endCommit: session.endCommit,
+    });
+
+    const gap = resumeAt > splitAt ? ` (dropped ${formatShortDuration(resumeAt - splitAt)} in between)` : '';
+    console.log(chalk.green(`✅ Session split in two${gap}:`));
+    loadSessions()
+        .filter(s => s.id === session.id || (s.start === resumeAt && s.end === session.end))
+        .forEach(printSession);
+}
+
+/**
+ * Merge sessions into the earliest one; the time between them counts as paused
+ */
+export async function merge(refs, { task } = {}) {
+    const sessions = loadSessions();
+    const selected = [...new Map(refs.map(ref => {
+        const session = resolveSession(ref, sessions);
+        return [session.id, session];
+    })).values()].sort((a, b) => a.start - b.start);
+
+    if (selected.length < 2) {
+        fail('Pick at least two sessions to merge.');
+    }
+
+    const taskNames = [...new Set(selected.map(s => s.taskName || null))];
+    if (task === undefined && taskNames.length > 1) {
+        fail(`The sessions have different tasks (${taskNames.map(t => t || 'no task').join(', ')}).`, 'Pass --task to choose the merged task name.');
+    }
+
+    const [first, ...rest] = selected;
+    const segments = unionSegments(selected.flatMap(s => getSessionSegments(s)));
+    const branches = new Set(selected.map(s => s.branch || null));
+    const last = selected.reduce((latest, s) => (s.end > latest.end ? s : latest));
+
+    await updateSession(first.id, {
+        start: Math.min(...selected.map(s => s.start)),
+        end: last.end,
+        segments,
+        pauses: selected.flatMap(s => s.pauses || []).sort((a, b) => a.start - b.start),
+        taskName: task !== undefined ? task || null : taskNames[0],
+        // Sessions from different branches merge into one without a branch
+        branch: branches.size === 1 ? first.branch : null,
+        endCommit: last.endCommit || null,
+    });
+    await deleteSessions(rest.map(s => s.id));
+
+    console.log(chalk.green(`✅ Merged ${selected.length} sessions:`));
+    printSession(loadSessions().find(s => s.id === first.id));
+}
+
+/**
+ * Delete sessions by reference, or every session shorter than a duration
+ */
+export async function remove(refs = [], { shorterThan, yes = false } = {}) {
+    const sessions = loadSessions();
+    let selected = refs.map(ref => resolveSession(ref, sessions));
+
+    if (shorterThan !== undefined) {
+        const limitMs = parseDuration(String(shorterThan));
+        if (!limitMs) fail(`Could not understand duration "${shorterThan}".`, 'Examples: 10s, 1m, 5min');
+        selected = selected.concat(sessions.filter(s => sumSegments(getSessionSegments(s)) < limitMs));
+    }
+
+    selected = [...new Map(selected.map(s => [s.id, s])).values()];
+    if (selected.length === 0) {
+        console.log(chalk.yellow('No sessions to delete.'));
+        return;
+    }
+
+    console.log(chalk.yellow(`\nAbout to delete ${selected.length} session(s):`));
+    selected.forEach(printSession);
+
+    if (!yes) {
+        if (!process.stdin.isTTY) {
+            fail('Refusing to delete without confirmation.', 'Pass --yes to confirm.');
+        }
+        const { confirmed } = await inquirer.prompt([{
+            type: 'confirm',
+            name: 'confirmed',
+            message: 'Delete them? This also removes them from the cloud.',
+            default: false,
+        }]);
+        if (!confirmed) {
+            console.log(chalk.gray('Nothing deleted.'));
+            return;
+        }
+    }
+
+    const result = await deleteSessions(selected.map(s => s.id));
+    console.log(chalk.green(`✅ Deleted ${result.deleted} session(s).`));
+}
+
+export default {
+    list,
+    edit,
+    split,
+    merge,
+    remove,
+};
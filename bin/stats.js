@@ -1,8 +1,9 @@
 #! /usr/bin/env node
 
-import { getRepoStats, getTeamContributions } from '../lib/api.js';
-import { getStats as getLocalStats } from '../lib/store.js';
-import { getRepoInfo as getGitRepoInfo } from '../lib/git.js';
+import { getRepoStats, getTeamContributions, getRepoTeam } from '../lib/api.js';
+import { getStats as getLocalStats, getAllRepoStats } from '../lib/store.js';
+import { isCentralStore } from '../lib/config.js';
+import { getRepoInfo as getGitRepoInfo, parseRepoName, LOCAL_GIT_HOST } from '../lib/git.js';
 import { isLoggedIn, getCurrentUser } from '../lib/auth.js';
 import chalk from 'chalk';
 import ora from 'ora';
@@ -22,6 +23,45 @@ function formatDuration(ms) {
     return `${minutes}m`;
 }
 
+/**
+ * Totals for every repository in the central store, from local data only
+ */
+function showAllRepoStats() {
+    if (!isCentralStore()) {
+        console.error(chalk.red('❌ --all-repos needs the central store.'));
+        console.log('Turn it on with `dev-timr migrate --central`, or set DEV_TIMR_CENTRAL_STORE=1.');
+        process.exit(1);
+    }
+
+    const repos = getAllRepoStats().filter(r => r.sessions > 0);
+    if (repos.length === 0) {
+        console.log(chalk.yellow('No sessions in the central store yet.'));
+        return;
+    }
+    repos.sort((a, b) => b.totalMs - a.totalMs);
+
+    const totals = repos.reduce((sum, r) => ({
+        todayMs: sum.todayMs + r.todayMs,
+        weekMs: sum.weekMs + r.weekMs,
+        monthMs: sum.monthMs + r.monthMs,
+        totalMs: sum.totalMs + r.totalMs,
+    }), { todayMs: 0, weekMs: 0, monthMs: 0, totalMs: 0 });
+
+    const width = Math.max('Repository'.length, ...repos.map(r => r.repo.length));
+    const row = (name, stats) =>
+        `${name.padEnd(width)}  ${formatDuration(stats.todayMs).padStart(8)}  ${formatDuration(stats.weekMs).padStart(8)}  ` +
+        `${formatDuration(stats.monthMs).padStart(8)}  ${formatDuration(stats.totalMs).padStart(9)}`;
+
+    console.log(chalk.bold(`${'Repository'.padEnd(width)}  ${'Today'.padStart(8)}  ${'Week'.padStart(8)}  ${'Month'.padStart(8)}  ${'All Time'.padStart(9)}`));
+    console.log(chalk.gray('─'.repeat(width + 43)));
+    for (const repo of repos) {
+        console.log(row(repo.repo, repo));
+    }
+    console.log(chalk.gray('─'.repeat(width + 43)));
+    console.log(chalk.bold.green(row('Total', totals)));
+    console.log(chalk.gray('\n(Local data from ~/.dev-timr/repos)'));
+}
+
 async function showStats() {
     const argv = yargs(hideBin(process.argv))
         .option('me', {
@@ -32,21 +72,28 @@ async function showStats() {
         .option('repo', {
             alias: 'r',
             type: 'string',
-            description: 'Show stats for specific repo (owner/repo)'
+            description: 'Show stats for specific repo (owner/repo, or host/namespace/repo off GitHub)'
+        })
+        .option('all-repos', {
+            type: 'boolean',
+            description: 'Totals for every repository in the central store (offline)'
         })
         .help()
         .argv;
 
     console.log(chalk.bold.blue('\n📊 dev-timr Stats\n'));
 
+    if (argv.allRepos) {
+        showAllRepoStats();
+        return;
+    }
+
     // Determine target repo
     let repoInfo = null;
     if (argv.repo) {
-        const parts = argv.repo.split('/');
-        if (parts.length === 2) {
-            repoInfo = { owner: parts[0], repo: parts[1], fullName: argv.repo };
-        } else {
-            console.error(chalk.red('Invalid repo format. Use "owner/repo"'));
+        repoInfo = parseRepoName(argv.repo);
+        if (!repoInfo) {
+            console.error(chalk.red('Invalid repo format. Use "owner/repo" or "host/namespace/repo"'));
             process.exit(1);
         }
     } else {
@@ -59,10 +106,13 @@ async function showStats() {
         process.exit(1);
     }
 
+    // A repository identified by its first commit only exists locally
+    const cloud = isLoggedIn() && repoInfo.host !== LOCAL_GIT_HOST;
+
     console.log(`Repository: ${chalk.bold(repoInfo.fullName)}`);
     if (argv.me) {
         console.log(chalk.gray('(Personal stats only)'));
-    } else if (isLoggedIn()) {
+    } else if (cloud) {
         console.log(chalk.gray('(Team aggregate stats)'));
     }
 
@@ -71,16 +121,20 @@ async function showStats() {
     try {
         let stats = null;
         let contributions = [];
+        let repoTeam = null;
 
-        if (isLoggedIn()) {
+        if (cloud) {
             // Cloud fetch
             stats = await getRepoStats(repoInfo.fullName, argv.me);
             if (!argv.me) {
                 contributions = await getTeamContributions(repoInfo.fullName);
+                repoTeam = await getRepoTeam(repoInfo.fullName).catch(() => null);
             }
         } else {
             // Local fallback
-            if (argv.me) {
+            if (isLoggedIn()) {
+                spinner.info('This repository has no remote. Showing local stats.');
+            } else if (argv.me) {
                 spinner.warn('Not logged in. Showing local stats only.');
             } else {
                 spinner.warn('Not logged in. Showing local stats (no team data).');
@@ -125,6 +179,14 @@ async function showStats() {
             });
         }
 
+        // Teammates only show up once a team claims the repository
+        if (repoTeam && !repoTeam.claimed) {
+            console.log(chalk.gray('\nNo team has claimed this repository, so only your own time is shown.'));
+            console.log(chalk.gray('Claim it with `dev-timr team claim <team>` to see your teammates.'));
+        } else if (repoTeam?.team) {
+            console.log(chalk.gray(`\nTeam: ${repoTeam.team.name}`));
+        }
+
     } catch (err) {
         spinner.stop();
         console.error(chalk.red('\n❌ Failed to fetch stats:'), err.message);
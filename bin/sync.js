@@ -0,0 +1,63 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import { processQueue } from '../lib/queue.js';
+import { pullSessions } from '../lib/store.js';
+import { isLoggedIn } from '../lib/auth.js';
+import { getRepoInfo, LOCAL_GIT_HOST, PROJECT_CONFIG_FILE } from '../lib/git.js';
+
+function fail(message, hint) {
+    console.error(chalk.red(`❌ ${message}`));
+    if (hint) console.log(chalk.gray(hint));
+    process.exit(1);
+}
+
+/**
+ * Push queued changes, then pull this repository's sessions from the cloud
+ */
+export default async function sync() {
+    if (!isLoggedIn()) {
+        fail('Not logged in.', 'Run `dev-timr login` first.');
+    }
+    const repo = getRepoInfo();
+    if (!repo) {
+        fail('Not in a git repository.', 'Run this inside the repository you want to sync.');
+    }
+    if (repo.host === LOCAL_GIT_HOST) {
+        fail('This repository has no remote, so its sessions stay local.', `Pin its identity in ${PROJECT_CONFIG_FILE} to sync it, e.g. {"repo": "owner/repo"}.`);
+    }
+
+    const spinner = ora('Pushing local changes...').start();
+    const pushed = await processQueue({
+        force: true,
+        onProgress: (done, total) => {
+            spinner.text = `Pushing local changes... (${done}/${total})`;
+        },
+    });
+    if (pushed.failed > 0 || pushed.deadLettered > 0) {
+        spinner.warn(`Pushed ${pushed.synced} change${pushed.synced === 1 ? '' : 's'}.`);
+        if (pushed.failed > 0) console.log(chalk.yellow(`⏳ ${pushed.failed} failed and will be retried.`));
+        if (pushed.deadLettered > 0) console.log(chalk.red(`❌ ${pushed.deadLettered} rejected; see \`dev-timr queue list\`.`));
+    } else {
+        spinner.succeed(`Pushed ${pushed.synced} change${pushed.synced === 1 ? '' : 's'}.`);
+    }
+
+    spinner.start('Pulling sessions from the cloud...');
+    let pulled;
+    try {
+        pulled = await pullSessions();
+    } catch (err) {
+        spinner.fail('Could not pull sessions.');
+        fail(err.message);
+    }
+    if (!pulled) {
+        spinner.fail('Could not pull sessions.');
+        return;
+    }
+
+    const { added, updated, removed } = pulled;
+    if (added + updated + removed === 0) {
+        spinner.succeed('Local store is up to date.');
+    } else {
+        spinner.succeed(`Pulled ${added} new, ${updated} changed and ${removed} deleted session${added + updated + removed === 1 ? '' : 's'}.`);
+    }
+}
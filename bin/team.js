@@ -0,0 +1,247 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import {
+    createTeam,
+    getMyTeams,
+    getTeamMembers,
+    createTeamInvite,
+    acceptTeamInvite,
+    setTeamMemberRole,
+    removeTeamMember,
+    claimRepo,
+    releaseRepo,
+    getRepoTeam,
+} from '../lib/api.js';
+import { isLoggedIn, getCurrentUser } from '../lib/auth.js';
+import { getRepoInfo, LOCAL_GIT_HOST, PROJECT_CONFIG_FILE } from '../lib/git.js';
+
+const ROLES = ['owner', 'admin', 'member'];
+
+function fail(message, hint) {
+    console.error(chalk.red(`❌ ${message}`));
+    if (hint) console.log(chalk.gray(hint));
+    process.exit(1);
+}
+
+function requireLogin() {
+    if (!isLoggedIn()) {
+        fail('Teams need a cloud account.', 'Run `dev-timr login` first.');
+    }
+}
+
+function requireRepo() {
+    const repo = getRepoInfo();
+    if (!repo) {
+        fail('Not in a git repository.', 'Run this inside the repository.');
+    }
+    if (repo.host === LOCAL_GIT_HOST) {
+        fail('This repository has no remote.', `Pin its identity in ${PROJECT_CONFIG_FILE} first, e.g. {"repo": "owner/repo"}.`);
+    }
+    return repo;
+}
+
+function stripAt(username) {
+    return String(username || '').replace(/^@/, '');
+}
+
+/**
+ * Run a cloud call, turning its error into a readable failure
+ */
+async function run(action) {
+    try {
+        return await action();
+    } catch (err) {
+        fail(err.message);
+    }
+}
+
+async function confirm(message, refusal) {
+    if (!process.stdin.isTTY) {
+        fail(refusal, 'Pass --yes to confirm.');
+    }
+    const { confirmed } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmed',
+        message,
+        default: false,
+    }]);
+    return confirmed;
+}
+
+/**
+ * List the teams you belong to
+ */
+export async function list() {
+    requireLogin();
+    const teams = await run(() => getMyTeams());
+
+    if (teams.length === 0) {
+        console.log(chalk.yellow('You are not in a team yet.'));
+        console.log(chalk.gray('Create one with `dev-timr team create <name>`, or join one with `dev-timr team join <code>`.'));
+        return;
+    }
+
+    for (const team of teams) {
+        const label = team.name !== team.slug ? `${team.slug} ${chalk.gray(`(${team.name})`)}` : team.slug;
+        console.log(`${chalk.bold(label)}  ${chalk.cyan(team.role)}`);
+        if (team.repos.length === 0) {
+            console.log(chalk.gray('    no repositories claimed'));
+        }
+        for (const repo of team.repos) {
+            console.log(`    ${repo}`);
+        }
+    }
+}
+
+/**
+ * Create a team and become its owner
+ */
+export async function create(slug, { name } = {}) {
+    requireLogin();
+    const team = await run(() => createTeam(slug, name));
+    console.log(chalk.green(`✅ Created team ${chalk.bold(team.slug)}. You are its owner.`));
+    console.log(chalk.gray(`Invite people with \`dev-timr team invite ${team.slug}\` and claim repositories with \`dev-timr team claim ${team.slug}\`.`));
+}
+
+/**
+ * Show the members of a team
+ */
+export async function members(slug) {
+    requireLogin();
+    const rows = await run(() => getTeamMembers(slug));
+    const width = Math.max(...rows.map(row => row.username.length), 'Member'.length);
+
+    console.log(chalk.bold(`${'Member'.padEnd(width)}  Role`));
+    for (const row of rows) {
+        console.log(`${row.username.padEnd(width)}  ${row.role === 'member' ? row.role : chalk.cyan(row.role)}`);
+    }
+}
+
+/**
+ * Create an invite code
+ */
+export async function invite(slug, { user, role = 'member', days = 7 } = {}) {
+    requireLogin();
+    if (!['admin', 'member'].includes(role)) {
+        fail(`Invites are for the admin or member role, not "${role}".`);
+    }
+
+    const code = await run(() => createTeamInvite(slug, {
+        role,
+        githubUsername: user ? stripAt(user) : null,
+        validDays: days,
+    }));
+
+    console.log(chalk.green(`✅ Invite to ${chalk.bold(slug)} as ${role}${user ? ` for @${stripAt(user)}` : ''}, valid for ${days} day${days === 1 ? '' : 's'}:`));
+    console.log(`\n    dev-timr team join ${chalk.bold(code)}\n`);
+    console.log(chalk.gray('The code works once and is not shown again.'));
+}
+
+/**
+ * Join a team with an invite code
+ */
+export async function join(code) {
+    requireLogin();
+    const team = await run(() => acceptTeamInvite(code));
+    console.log(chalk.green(`✅ Joined team ${chalk.bold(team.slug)}.`));
+}
+
+/**
+ * Change a member's role
+ */
+export async function role(slug, username, newRole) {
+    requireLogin();
+    if (!ROLES.includes(newRole)) {
+        fail(`Unknown role "${newRole}".`, `Roles: ${ROLES.join(', ')}`);
+    }
+    await run(() => setTeamMemberRole(slug, stripAt(username), newRole));
+    console.log(chalk.green(`✅ @${stripAt(username)} is now ${newRole} of ${slug}.`));
+}
+
+/**
+ * Remove someone from a team
+ */
+export async function remove(slug, username, { yes = false } = {}) {
+    requireLogin();
+    const name = stripAt(username);
+    if (!yes && !(await confirm(`Remove @${name} from ${slug}?`, 'Refusing to remove a member without confirmation.'))) {
+        console.log(chalk.gray('Nobody removed.'));
+        return;
+    }
+    await run(() => removeTeamMember(slug, name));
+    console.log(chalk.green(`✅ Removed @${name} from ${slug}.`));
+}
+
+/**
+ * Leave a team
+ */
+export async function leave(slug, { yes = false } = {}) {
+    requireLogin();
+    const me = getCurrentUser()?.githubUsername;
+    if (!me) {
+        fail('Could not tell who you are.', 'Run `dev-timr login` again.');
+    }
+    if (!yes && !(await confirm(`Leave ${slug}? You'll need a new invite to rejoin.`, 'Refusing to leave without confirmation.'))) {
+        console.log(chalk.gray('Still a member.'));
+        return;
+    }
+    await run(() => removeTeamMember(slug, me));
+    console.log(chalk.green(`✅ Left ${slug}.`));
+}
+
+/**
+ * Claim the current repository for a team
+ * @param {string} slug
+ * @param {Object} [options]
+ * @param {boolean} [options.takeOver] - Take it from the team that claimed it (admins of the repository)
+ * @param {boolean} [options.yes] - Don't ask before taking it over
+ */
+export async function claim(slug, { takeOver = false, yes = false } = {}) {
+    requireLogin();
+    const repo = requireRepo();
+    if (takeOver && !yes && !(await confirm(`Take ${repo.fullName} over from the team that claimed it? Its members will no longer be able to add sessions.`, 'Refusing to take over without confirmation.'))) {
+        console.log(chalk.gray('Nothing changed.'));
+        return;
+    }
+    try {
+        await claimRepo(slug, repo, { takeOver });
+    } catch (err) {
+        const claimed = !takeOver && /already claimed/.test(err.message);
+        fail(err.message, claimed ? `As an admin of the repository on ${repo.host}, you can take it over with \`dev-timr team claim ${slug} --take-over\`.` : undefined);
+    }
+    console.log(chalk.green(`✅ ${chalk.bold(repo.fullName)} now belongs to ${slug}.`));
+    console.log(chalk.gray('Only team members can add sessions to it, and team stats only count them.'));
+}
+
+/**
+ * Release the current repository from its team
+ */
+export async function release({ yes = false } = {}) {
+    requireLogin();
+    const repo = requireRepo();
+    const current = await run(() => getRepoTeam(repo.fullName));
+    if (!current?.claimed) {
+        fail(`${repo.fullName} is not claimed by a team.`);
+    }
+
+    const team = current.team?.slug || 'its team';
+    if (!yes && !(await confirm(`Release ${repo.fullName} from ${team}? Anyone will be able to add sessions to it again.`, 'Refusing to release without confirmation.'))) {
+        console.log(chalk.gray('Nothing changed.'));
+        return;
+    }
+    await run(() => releaseRepo(repo));
+    console.log(chalk.green(`✅ Released ${repo.fullName} from ${team}.`));
+}
+
+export default {
+    list,
+    create,
+    members,
+    invite,
+    join,
+    role,
+    remove,
+    leave,
+    claim,
+    release,
+};
@@ -1,49 +1,210 @@
-import { getSupabaseClient, isLoggedIn, getCurrentUser } from './auth.js';
-import { getRepoInfo } from './git.js';
+import { getSupabaseClient, isLoggedIn, getCurrentUser, verifyRepoAccess } from './auth.js';
+import { getRepoInfo, parseRepoName, formatRepoName, getRepoKey, DEFAULT_GIT_HOST, LOCAL_GIT_HOST, PROJECT_CONFIG_FILE } from './git.js';
+import { getSessionSegments } from './segments.js';
+import { getPeriodStarts, getRecentDays, addDays } from './period.js';
+import {
+    getCachedRepoId,
+    cacheRepoId,
+    getCachedTaskIds,
+    cacheTasks,
+    getCachedRepoAccess,
+    cacheRepoAccess,
+    forgetRepo,
+} from './catalog.js';
 
 /**
- * Get or create a repository in the database
+ * Convert a sessions row to the local session shape used by the segment helpers
+ * Rows written before segments existed fall back to start/end
+ * Pauses, branch and commits are only set when the row has them (migrations 016, 017)
  */
-export async function getOrCreateRepo(owner, repo) {
-    const supabase = getSupabaseClient();
-    if (!supabase) {
-        throw new Error('Supabase client not available');
+function rowToSession(row) {
+    return {
+        start: row.start_time,
+        end: row.end_time,
+        segments: row.segments,
+        ...(Array.isArray(row.pauses) && row.pauses.length > 0 && { pauses: row.pauses }),
+        ...(row.branch && { branch: row.branch }),
+        ...(row.start_commit && { startCommit: row.start_commit }),
+        ...(row.end_commit && { endCommit: row.end_commit }),
+    };
+}
+
+/**
+ * The pauses of a session with their reasons, or null if none were recorded
+ */
+function getSessionPauses(session) {
+    return Array.isArray(session.pauses) && session.pauses.length > 0
+        ? session.pauses.map(({ start, end, reason }) => ({ start, end, reason: reason || null }))
+        : null;
+}
+
+/**
+ * The git columns of a sessions row: the branch and HEAD at start and end
+ */
+function gitColumns(session) {
+    return {
+        branch: session.branch || null,
+        start_commit: session.startCommit || null,
+        end_commit: session.endCommit || null,
+    };
+}
+
+// Rows fetched per request when reading whole session histories
+const SESSION_PAGE_SIZE = 1000;
+
+// Sessions written per request by syncSessionBatch
+const SYNC_CHUNK_SIZE = 200;
+
+// getSessionChanges re-reads this far behind its cursor, so rows committed a
+// little after a pull, but stamped before it, are still picked up
+const PULL_OVERLAP_MS = 60 * 1000;
+
+// Postgres error classes that retrying can't fix: data exceptions, constraint
+// violations, and syntax errors or access rule violations (RLS rejects with 42501)
+const PERMANENT_SQLSTATE_CLASSES = ['22', '23', '42'];
+
+// A row points at a repository or task that doesn't exist
+const FOREIGN_KEY_VIOLATION = '23503';
+
+// Verified repository access is trusted until this long before the server's
+// record of it expires, so sessions aren't sent just as the server stops taking them
+const ACCESS_EXPIRY_MARGIN_MS = 10 * 60 * 1000;
+
+// A repository the user was denied access to isn't checked again for this long
+const ACCESS_DENIED_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * An error retrying won't fix; the offline queue stops retrying it
+ */
+function permanentError(message) {
+    const err = new Error(message);
+    err.permanent = true;
+    return err;
+}
+
+/**
+ * Sessions of a repository the user can't access on GitHub; never retried
+ */
+function repoAccessDenied(repo, reason) {
+    const err = permanentError(
+        `${reason || `You don't have access to ${formatRepoName(repo)}`}, so its sessions can't be synced. ` +
+        'If the repository is private, run `dev-timr login --private-repos` to allow checking private repositories.'
+    );
+    err.code = 'REPO_ACCESS_DENIED';
+    return err;
+}
+
+/**
+ * Decide whether a failed sync is worth retrying
+ * Permanent failures are rejections the server will repeat (an RLS policy, a
+ * constraint, a missing column) or errors flagged with `permanent` (see permanentError).
+ * Everything else (network errors, timeouts, expired tokens, 5xx) is transient.
+ * @param {Error|Object} err - Thrown error (Supabase errors carry a SQLSTATE or PGRST code)
+ * @returns {'permanent'|'transient'}
+ */
+export function classifySyncError(err) {
+    if (err?.permanent === true) return 'permanent';
+
+    const code = typeof err?.code === 'string' ? err.code : '';
+    if (/^[0-9A-Z]{5}$/.test(code) && PERMANENT_SQLSTATE_CLASSES.includes(code.slice(0, 2))) {
+        return 'permanent';
+    }
+    // PostgREST request (PGRST1xx) and schema (PGRST2xx) errors; PGRST3xx are JWT problems
+    if (/^PGRST[12]\d\d$/.test(code)) {
+        return 'permanent';
     }
 
-    // Try to get existing repo
-    const { data: existing, error: fetchError } = await supabase
-        .from('repos')
-        .select('id')
-        .eq('owner_name', owner)
-        .eq('repo_name', repo)
-        .single();
+    const status = Number(err?.status);
+    if (status >= 400 && status < 500 && ![401, 408, 429].includes(status)) {
+        return 'permanent';
+    }
 
-    if (existing) {
-        return existing.id;
+    return 'transient';
+}
+
+/**
+ * Look up the cloud ID of a repository, from the catalog cache when possible
+ * @param {Object} supabase - Supabase client
+ * @param {{owner: string, repo: string}} repo
+ * @param {Object} [options]
+ * @param {boolean} [options.throwOnError] - Throw lookup errors instead of returning null
+ * @returns {Promise<string|null>} null when the repository isn't in the cloud (yet)
+ */
+async function findRepoId(supabase, repo, { throwOnError = false } = {}) {
+    const cached = getCachedRepoId(repo);
+    if (cached) {
+        return cached;
     }
 
-    // Create new repo
-    const { data: newRepo, error: insertError } = await supabase
+    const { data, error } = await supabase
         .from('repos')
-        .insert({ owner_name: owner, repo_name: repo })
         .select('id')
-        .single();
+        .eq('host', repo.host || DEFAULT_GIT_HOST)
+        .eq('owner_name', repo.owner)
+        .eq('repo_name', repo.repo)
+        .maybeSingle();
 
-    if (insertError) {
-        // Handle race condition - another user might have created it
-        if (insertError.code === '23505') {
-            const { data: retryFetch } = await supabase
-                .from('repos')
-                .select('id')
-                .eq('owner_name', owner)
-                .eq('repo_name', repo)
-                .single();
-            return retryFetch?.id;
-        }
-        throw insertError;
+    if (error && throwOnError) {
+        throw error;
+    }
+    if (data) {
+        cacheRepoId(repo, data.id);
     }
+    return data?.id || null;
+}
 
-    return newRepo.id;
+/**
+ * Cloud ID of a repository the current user may sync to
+ * The server verifies the user's access on GitHub (and creates the repository
+ * on first use); the result is cached until shortly before it expires.
+ * @param {string} owner - Namespace; may be nested ("group/subgroup")
+ * @param {string} repo
+ * @param {string} [host] - Defaults to DEFAULT_GIT_HOST
+ * @throws {Error} A permanent REPO_ACCESS_DENIED error when the user has no access
+ */
+export async function getOrCreateRepo(owner, repo, host = DEFAULT_GIT_HOST) {
+    const user = getCurrentUser();
+    if (!user?.id) {
+        throw new Error('User ID not found');
+    }
+
+    const key = { host, owner, repo };
+    if (host === LOCAL_GIT_HOST) {
+        throw permanentError(
+            `${formatRepoName(key)} is identified by its first commit because it has no remote, so it can't be synced. ` +
+            `Pin its identity in ${PROJECT_CONFIG_FILE} to sync it.`
+        );
+    }
+
+    const access = getCachedRepoAccess(key, user.id);
+    if (access && !access.allowed) {
+        throw repoAccessDenied(key, access.reason);
+    }
+
+    const cached = getCachedRepoId(key);
+    if (access && cached) {
+        return cached;
+    }
+
+    const result = await verifyRepoAccess(key);
+    if (!result.allowed) {
+        cacheRepoAccess(key, {
+            userId: user.id,
+            allowed: false,
+            reason: result.reason,
+            expiresAt: Date.now() + ACCESS_DENIED_TTL_MS,
+        });
+        throw repoAccessDenied(key, result.reason);
+    }
+
+    cacheRepoId(key, result.repoId);
+    cacheRepoAccess(key, {
+        userId: user.id,
+        allowed: true,
+        permission: result.permission,
+        expiresAt: result.expiresAt * 1000 - ACCESS_EXPIRY_MARGIN_MS,
+    });
+    return result.repoId;
 }
 
 /**
@@ -57,6 +218,11 @@ export async function getOrCreateTask(repoId, taskName) {
         throw new Error('Supabase client not available');
     }
 
+    const cached = getCachedTaskIds(repoId, [taskName]).get(taskName);
+    if (cached) {
+        return cached;
+    }
+
     const user = getCurrentUser();
 
     // Try to get existing task
@@ -68,6 +234,7 @@ export async function getOrCreateTask(repoId, taskName) {
         .single();
 
     if (existing) {
+        cacheTasks(repoId, [{ id: existing.id, name: taskName }]);
         return existing.id;
     }
 
@@ -91,11 +258,15 @@ export async function getOrCreateTask(repoId, taskName) {
                 .eq('repo_id', repoId)
                 .eq('name', taskName)
                 .single();
+            if (retryFetch) {
+                cacheTasks(repoId, [{ id: retryFetch.id, name: taskName }]);
+            }
             return retryFetch?.id;
         }
         throw error;
     }
 
+    cacheTasks(repoId, [{ id: newTask.id, name: taskName }]);
     return newTask.id;
 }
 
@@ -120,11 +291,11 @@ export async function syncSession(session) {
     // Get repo info from session or current directory
     const repoInfo = session.repo || getRepoInfo();
     if (!repoInfo) {
-        throw new Error('Repository info not available');
+        throw permanentError('Repository info not available');
     }
 
     // Get or create repo
-    const repoId = await getOrCreateRepo(repoInfo.owner, repoInfo.repo);
+    const repoId = await getOrCreateRepo(repoInfo.owner, repoInfo.repo, repoInfo.host);
 
     // Get or create task if specified
     let taskId = null;
@@ -155,7 +326,11 @@ export async function syncSession(session) {
             task_id: taskId,
             start_time: session.start,
             end_time: session.end,
+            segments: getSessionSegments(session),
+            pauses: getSessionPauses(session),
             client_id: session.clientId,
+            source: session.source || 'timer',
+            ...gitColumns(session),
         })
         .select()
         .single();
@@ -168,81 +343,401 @@ export async function syncSession(session) {
 }
 
 /**
- * Get repository stats (team or personal)
- * @param {string} repoFullName - Format: "owner/repo"
- * @param {boolean} personalOnly - If true, only return current user's stats
+ * Update a synced session (matched by client_id)
+ * A session that never made it to the cloud is inserted instead
+ * @param {Object} session - Local session with start, end, segments, taskName, clientId, repo
  */
-export async function getRepoStats(repoFullName = null, personalOnly = false) {
-    const supabase = getSupabaseClient();
+export async function updateSession(session) {
+    if (!isLoggedIn()) {
+        throw new Error('Not logged in');
+    }
 
-    // If not logged in or no Supabase, return null (will use local fallback)
-    if (!supabase || !isLoggedIn()) {
-        return null;
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+        throw new Error('Supabase client not available');
     }
 
     const user = getCurrentUser();
-    const repo = repoFullName ? parseRepoName(repoFullName) : getRepoInfo();
+    if (!user?.id) {
+        throw new Error('User ID not found');
+    }
 
-    if (!repo) {
-        return null;
+    const repoInfo = session.repo || getRepoInfo();
+    if (!repoInfo) {
+        throw permanentError('Repository info not available');
     }
 
-    // Get repo ID
-    const { data: repoData } = await supabase
-        .from('repos')
-        .select('id')
-        .eq('owner_name', repo.owner)
-        .eq('repo_name', repo.repo)
-        .single();
+    const repoId = await getOrCreateRepo(repoInfo.owner, repoInfo.repo, repoInfo.host);
 
-    if (!repoData) {
-        return { totalMs: 0, todayMs: 0, weekMs: 0, monthMs: 0 };
+    let taskId = null;
+    if (session.taskName) {
+        taskId = await getOrCreateTask(repoId, session.taskName);
+    }
+
+    // RLS only lets users update their own rows; the user_id filter keeps the intent explicit
+    const { data, error } = await supabase
+        .from('sessions')
+        .update({
+            task_id: taskId,
+            start_time: session.start,
+            end_time: session.end,
+            segments: getSessionSegments(session),
+            pauses: getSessionPauses(session),
+            ...gitColumns(session),
+        })
+        .eq('client_id', session.clientId)
+        .eq('user_id', user.id)
+        .select();
+
+    if (error) {
+        throw error;
+    }
+
+    if (!data || data.length === 0) {
+        return syncSession(session);
+    }
+
+    return data[0];
+}
+
+/**
+ * Delete a synced session (matched by client_id)
+ * Deleting a session that isn't in the cloud is not an error
+ * @param {string} clientId - Session client ID
+ */
+export async function deleteSession(clientId) {
+    if (!isLoggedIn()) {
+        throw new Error('Not logged in');
     }
 
-    // Calculate time ranges
-    const now = new Date();
-    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
-    const weekStart = todayStart - (now.getDay() * 24 * 60 * 60 * 1000);
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+        throw new Error('Supabase client not available');
+    }
 
-    // Build query
-    let query = supabase
+    const user = getCurrentUser();
+    if (!user?.id) {
+        throw new Error('User ID not found');
+    }
+
+    const { error } = await supabase
         .from('sessions')
-        .select('start_time, end_time, duration_ms')
-        .eq('repo_id', repoData.id);
+        .delete()
+        .eq('client_id', clientId)
+        .eq('user_id', user.id);
 
-    if (personalOnly && user?.id) {
-        query = query.eq('user_id', user.id);
+    if (error) {
+        throw error;
     }
 
-    const { data: sessions, error } = await query;
+    return true;
+}
+
+/**
+ * Look up task IDs for a repository, creating the tasks that don't exist yet
+ * Cached IDs are used as they are; the rest take two or three requests however
+ * many names there are
+ * @returns {Promise<Map<string, string>>} Task name -> ID
+ */
+async function resolveTaskIds(supabase, repoId, names, userId) {
+    const ids = getCachedTaskIds(repoId, names);
+    const uncached = names.filter(name => !ids.has(name));
+    if (uncached.length === 0) {
+        return ids;
+    }
 
+    const { data: existing, error } = await supabase
+        .from('tasks')
+        .select('id, name')
+        .eq('repo_id', repoId)
+        .in('name', uncached);
     if (error) {
         throw error;
     }
+    for (const row of existing || []) {
+        ids.set(row.name, row.id);
+    }
+
+    const missing = uncached.filter(name => !ids.has(name));
+    if (missing.length > 0) {
+        // Someone else may create the same tasks meanwhile; keep theirs
+        const { error: insertError } = await supabase
+            .from('tasks')
+            .upsert(missing.map(name => ({ repo_id: repoId, name, created_by: userId })), { onConflict: 'repo_id,name', ignoreDuplicates: true });
+        if (insertError) {
+            throw insertError;
+        }
+
+        const { data: created, error: fetchError } = await supabase
+            .from('tasks')
+            .select('id, name')
+            .eq('repo_id', repoId)
+            .in('name', missing);
+        if (fetchError) {
+            throw fetchError;
+        }
+        for (const row of created || []) {
+            ids.set(row.name, row.id);
+        }
+    }
 
-    // Calculate stats
-    let totalMs = 0;
-    let todayMs = 0;
-    let weekMs = 0;
-    let monthMs = 0;
+    cacheTasks(repoId, [...ids].map(([name, id]) => ({ id, name })));
+    return ids;
+}
 
-    for (const session of sessions || []) {
-        const duration = session.duration_ms || (session.end_time - session.start_time);
-        totalMs += duration;
+/**
+ * Send many session changes to the cloud in a few requests
+ * Repository and task IDs are resolved once per batch, inserts and updates are
+ * upserted on client_id in chunks, and deletes go out as one request per chunk.
+ * Inserts leave rows that already exist alone; updates overwrite them (and create
+ * them if they're missing). When the server rejects a chunk outright, it is
+ * split until the bad rows are found, so one bad row can't hold back the rest.
+ * @param {Array<Object>} changes - Sessions (start, end, segments, taskName, clientId, repo, source,
+ *   branch, startCommit, endCommit)
+ *   with an optional action: 'insert' (default), 'update' or 'delete'
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (done, total) as changes complete
+ * @returns {Promise<Array<{ok: boolean, error?: Error}>>} One result per change, in order
+ * @throws {Error} If nothing can be synced at all (not logged in, no client)
+ */
+export async function syncSessionBatch(changes, { onProgress } = {}) {
+    if (!isLoggedIn()) {
+        throw new Error('Not logged in');
+    }
 
-        if (session.start_time >= todayStart) {
-            todayMs += duration;
+    const supabase = getSupabaseClient();
+    if (!supabase) {
+        throw new Error('Supabase client not available');
+    }
+
+    const user = getCurrentUser();
+    if (!user?.id) {
+        throw new Error('User ID not found');
+    }
+
+    const results = new Array(changes.length).fill(null);
+    let done = 0;
+    const settle = (index, result) => {
+        results[index] = result;
+        done++;
+    };
+    const reportProgress = () => onProgress?.(done, changes.length);
+
+    // Later changes to the same session win; earlier ones share their result
+    const latestIndex = new Map();
+    changes.forEach((change, index) => {
+        if (change.clientId) latestIndex.set(change.clientId, index);
+    });
+    const isLatest = (change, index) => !change.clientId || latestIndex.get(change.clientId) === index;
+
+    // Repository IDs, once per repository
+    let currentRepo;
+    const repoIds = new Map();
+    const writes = [];
+    const deletes = [];
+
+    for (const [index, change] of changes.entries()) {
+        if (!isLatest(change, index)) continue;
+
+        if (change.action === 'delete') {
+            if (change.clientId) {
+                deletes.push(index);
+            } else {
+                settle(index, { ok: false, error: permanentError('Session has no client ID to delete by') });
+            }
+            continue;
+        }
+
+        if (change.repo === undefined && currentRepo === undefined) {
+            currentRepo = getRepoInfo();
+        }
+        const repoInfo = change.repo || currentRepo;
+        if (!repoInfo) {
+            settle(index, { ok: false, error: permanentError('Repository info not available') });
+            continue;
         }
-        if (session.start_time >= weekStart) {
-            weekMs += duration;
+
+        const repoKey = getRepoKey(repoInfo);
+        if (!repoIds.has(repoKey)) {
+            try {
+                repoIds.set(repoKey, await getOrCreateRepo(repoInfo.owner, repoInfo.repo, repoInfo.host));
+            } catch (err) {
+                repoIds.set(repoKey, err);
+            }
         }
-        if (session.start_time >= monthStart) {
-            monthMs += duration;
+
+        const repoId = repoIds.get(repoKey);
+        if (repoId instanceof Error || !repoId) {
+            settle(index, { ok: false, error: repoId || new Error(`Could not create repository ${formatRepoName(repoInfo)}`) });
+            continue;
         }
+        writes.push({ index, repoId });
     }
 
-    return { totalMs, todayMs, weekMs, monthMs };
+    // Task IDs, once per repository for all its task names
+    const taskIds = new Map();
+    for (const repoId of new Set(writes.map(w => w.repoId))) {
+        const names = [...new Set(writes
+            .filter(w => w.repoId === repoId && changes[w.index].taskName)
+            .map(w => changes[w.index].taskName))];
+        if (names.length === 0) continue;
+
+        try {
+            taskIds.set(repoId, await resolveTaskIds(supabase, repoId, names, user.id));
+        } catch (err) {
+            taskIds.set(repoId, err);
+        }
+    }
+
+    const inserts = [];
+    const updates = [];
+    for (const { index, repoId } of writes) {
+        const session = changes[index];
+        const tasks = taskIds.get(repoId);
+        if (session.taskName && tasks instanceof Error) {
+            settle(index, { ok: false, error: tasks });
+            continue;
+        }
+
+        const row = {
+            user_id: user.id,
+            repo_id: repoId,
+            task_id: session.taskName ? tasks?.get(session.taskName) ?? null : null,
+            start_time: session.start,
+            end_time: session.end,
+            segments: getSessionSegments(session),
+            pauses: getSessionPauses(session),
+            client_id: session.clientId,
+            source: session.source || 'timer',
+            ...gitColumns(session),
+        };
+        (session.action === 'update' ? updates : inserts).push({ index, row });
+    }
+    reportProgress();
+
+    // Run one request for a chunk; on a permanent rejection, retry each half
+    // until the rows the server refuses are isolated
+    const runChunk = async (items, request) => {
+        const { error } = await request(items);
+        if (!error) {
+            items.forEach(item => settle(item.index, { ok: true }));
+        } else if (error.code === FOREIGN_KEY_VIOLATION && items.some(item => item.row)) {
+            // A cached repository or task ID no longer exists; look them up again next time
+            new Set(items.map(item => item.row?.repo_id).filter(Boolean)).forEach(forgetRepo);
+            const stale = new Error(`Cached IDs are out of date and will be looked up again (${error.message})`);
+            items.forEach(item => settle(item.index, { ok: false, error: stale }));
+        } else if (items.length === 1 || classifySyncError(error) === 'transient') {
+            items.forEach(item => settle(item.index, { ok: false, error }));
+        } else {
+            const middle = Math.ceil(items.length / 2);
+            await runChunk(items.slice(0, middle), request);
+            await runChunk(items.slice(middle), request);
+            return;
+        }
+        reportProgress();
+    };
+
+    const chunks = (items) => {
+        const result = [];
+        for (let i = 0; i < items.length; i += SYNC_CHUNK_SIZE) {
+            result.push(items.slice(i, i + SYNC_CHUNK_SIZE));
+        }
+        return result;
+    };
+
+    for (const chunk of chunks(inserts)) {
+        await runChunk(chunk, items => supabase
+            .from('sessions')
+            .upsert(items.map(item => item.row), { onConflict: 'client_id', ignoreDuplicates: true }));
+    }
+
+    // RLS only lets users update their own rows, so someone else's session is rejected
+    for (const chunk of chunks(updates)) {
+        await runChunk(chunk, items => supabase
+            .from('sessions')
+            .upsert(items.map(item => item.row), { onConflict: 'client_id' }));
+    }
+
+    // Deleting a session that isn't in the cloud is not an error
+    for (const chunk of chunks(deletes.map(index => ({ index })))) {
+        await runChunk(chunk, items => supabase
+            .from('sessions')
+            .delete()
+            .in('client_id', items.map(item => changes[item.index].clientId))
+            .eq('user_id', user.id));
+    }
+
+    // Superseded changes to a session share the result of its latest change
+    changes.forEach((change, index) => {
+        if (!isLatest(change, index)) {
+            settle(index, results[latestIndex.get(change.clientId)]);
+        }
+    });
+    reportProgress();
+
+    return results;
+}
+
+/**
+ * The repository a cloud query is about: the named one, or the current one
+ * @param {string|null} [repoFullName]
+ * @returns {{host: string, owner: string, repo: string, fullName: string}|null} null without a
+ *   repository, or for one identified by its root commit, which is never synced
+ *   (callers fall back to the local store)
+ */
+function getCloudRepo(repoFullName = null) {
+    const repo = repoFullName ? parseRepoName(repoFullName) : getRepoInfo();
+    return repo && repo.host !== LOCAL_GIT_HOST ? repo : null;
+}
+
+/**
+ * Get repository stats (team or personal)
+ * @param {string} repoFullName - "owner/repo", or "host/namespace/repo" off GitHub (see parseRepoName in git.js)
+ * @param {boolean} personalOnly - If true, only return current user's stats
+ */
+export async function getRepoStats(repoFullName = null, personalOnly = false) {
+    const supabase = getSupabaseClient();
+
+    // If not logged in or no Supabase, return null (will use local fallback)
+    if (!supabase || !isLoggedIn()) {
+        return null;
+    }
+
+    const user = getCurrentUser();
+    const repo = getCloudRepo(repoFullName);
+
+    if (!repo) {
+        return null;
+    }
+
+    const repoId = await findRepoId(supabase, repo);
+    if (!repoId) {
+        return { totalMs: 0, todayMs: 0, weekMs: 0, monthMs: 0 };
+    }
+
+    // Same periods as local stats (configured timezone and week start)
+    const { todayStart, weekStart, monthStart } = getPeriodStarts();
+
+    // Summed in Postgres over active segments only (migration 012)
+    const { data, error } = await supabase.rpc('get_repo_period_totals', {
+        p_repo_id: repoId,
+        p_today_start: todayStart,
+        p_week_start: weekStart,
+        p_month_start: monthStart,
+        p_user_id: personalOnly && user?.id ? user.id : null,
+    });
+
+    if (error) {
+        throw error;
+    }
+
+    const totals = data?.[0] || {};
+    return {
+        totalMs: Number(totals.total_ms) || 0,
+        todayMs: Number(totals.today_ms) || 0,
+        weekMs: Number(totals.week_ms) || 0,
+        monthMs: Number(totals.month_ms) || 0,
+    };
 }
 
 /**
@@ -255,54 +750,36 @@ export async function getRecentTasks(repoFullName = null, limit = 10) {
         return [];
     }
 
-    const repo = repoFullName ? parseRepoName(repoFullName) : getRepoInfo();
+    const repo = getCloudRepo(repoFullName);
     if (!repo) {
         return [];
     }
 
-    // Get repo ID
-    const { data: repoData } = await supabase
-        .from('repos')
-        .select('id')
-        .eq('owner_name', repo.owner)
-        .eq('repo_name', repo.repo)
-        .single();
-
-    if (!repoData) {
+    const repoId = await findRepoId(supabase, repo);
+    if (!repoId) {
         return [];
     }
 
-    // Get recent tasks with last used time
-    const { data: sessions, error } = await supabase
-        .from('sessions')
-        .select(`
-      task_id,
-      tasks (id, name),
-      start_time
-    `)
-        .eq('repo_id', repoData.id)
-        .not('task_id', 'is', null)
-        .order('start_time', { ascending: false })
-        .limit(50);
+    // One row per task, most recently used first
+    const { data, error } = await supabase.rpc('get_repo_recent_tasks', {
+        p_repo_id: repoId,
+        p_limit: limit,
+    });
 
-    if (error || !sessions) {
+    if (error || !data) {
         return [];
     }
 
-    // Deduplicate and get unique tasks ordered by most recent
-    const taskMap = new Map();
-    for (const session of sessions) {
-        if (session.tasks && !taskMap.has(session.task_id)) {
-            taskMap.set(session.task_id, {
-                id: session.tasks.id,
-                name: session.tasks.name,
-                lastUsed: session.start_time,
-            });
-        }
-        if (taskMap.size >= limit) break;
-    }
+    const tasks = data.map(row => ({
+        id: row.task_id,
+        name: row.task_name,
+        lastUsed: Number(row.last_used),
+    }));
+
+    // Kept for the task prompt and the sync path while offline
+    cacheTasks(repoId, tasks, { refreshed: true });
 
-    return Array.from(taskMap.values());
+    return tasks;
 }
 
 /**
@@ -316,218 +793,556 @@ export async function getDailyBreakdown(repoFullName = null, days = 30, personal
     }
 
     const user = getCurrentUser();
-    const repo = repoFullName ? parseRepoName(repoFullName) : getRepoInfo();
+    const repo = getCloudRepo(repoFullName);
     if (!repo) {
         return [];
     }
 
-    // Get repo ID
-    const { data: repoData } = await supabase
-        .from('repos')
-        .select('id')
-        .eq('owner_name', repo.owner)
-        .eq('repo_name', repo.repo)
-        .single();
+    const repoId = await findRepoId(supabase, repo);
+    if (!repoId) {
+        return [];
+    }
+
+    // Calculate date range (whole days in the configured timezone)
+    const now = Date.now();
+    const recentDays = getRecentDays(days, now);
+
+    // Postgres splits segments at the day boundaries we pass (one more than the days)
+    const { data, error } = await supabase.rpc('get_repo_daily_totals', {
+        p_repo_id: repoId,
+        p_day_starts: [...recentDays.map(({ start }) => start), addDays(now, 1)],
+        p_user_id: personalOnly && user?.id ? user.id : null,
+    });
 
-    if (!repoData) {
+    if (error || !data) {
         return [];
     }
 
-    // Calculate date range
-    const endDate = new Date();
-    const startDate = new Date(endDate.getTime() - (days * 24 * 60 * 60 * 1000));
+    const totals = new Map(data.map(row => [Number(row.day_start), Number(row.total_ms) || 0]));
 
-    // Build query
-    let query = supabase
-        .from('sessions')
-        .select('start_time, end_time, duration_ms')
-        .eq('repo_id', repoData.id)
-        .gte('start_time', startDate.getTime());
+    // Every day in date order, 0 when nothing was tracked
+    return recentDays.map(({ date, start }) => ({ date, ms: totals.get(start) || 0 }));
+}
+
+/**
+ * Get task breakdown for pie charts
+ */
+export async function getTaskBreakdown(repoFullName = null, personalOnly = false) {
+    const supabase = getSupabaseClient();
 
-    if (personalOnly && user?.id) {
-        query = query.eq('user_id', user.id);
+    if (!supabase || !isLoggedIn()) {
+        return [];
     }
 
-    const { data: sessions, error } = await query;
+    const user = getCurrentUser();
+    const repo = getCloudRepo(repoFullName);
+    if (!repo) {
+        return [];
+    }
 
-    if (error || !sessions) {
+    const repoId = await findRepoId(supabase, repo);
+    if (!repoId) {
         return [];
     }
 
-    // Aggregate by day
-    const dailyMap = new Map();
+    // Aggregated by task in Postgres; sessions without a task come back with a null name
+    const { data, error } = await supabase.rpc('get_repo_task_totals', {
+        p_repo_id: repoId,
+        p_user_id: personalOnly && user?.id ? user.id : null,
+    });
 
-    // Initialize all days to 0
-    for (let i = 0; i < days; i++) {
-        const date = new Date(endDate.getTime() - (i * 24 * 60 * 60 * 1000));
-        const dateStr = date.toISOString().split('T')[0];
-        dailyMap.set(dateStr, 0);
+    if (error || !data) {
+        return [];
     }
 
-    // Sum durations by day
-    for (const session of sessions) {
-        const dateStr = new Date(session.start_time).toISOString().split('T')[0];
-        const duration = session.duration_ms || (session.end_time - session.start_time);
-        dailyMap.set(dateStr, (dailyMap.get(dateStr) || 0) + duration);
+    const result = data
+        .filter(row => row.task_name)
+        .map(row => ({ name: row.task_name, ms: Number(row.total_ms) || 0 }))
+        .sort((a, b) => b.ms - a.ms);
+
+    const unnamedTotal = Number(data.find(row => !row.task_name)?.total_ms) || 0;
+    if (unnamedTotal > 0) {
+        result.push({ name: 'Unnamed Tasks', ms: unnamedTotal });
     }
 
-    // Convert to array sorted by date
-    return Array.from(dailyMap.entries())
-        .map(([date, ms]) => ({ date, ms }))
-        .sort((a, b) => a.date.localeCompare(b.date));
+    return result;
 }
 
 /**
- * Get task breakdown for pie charts
+ * Get team member contributions
  */
-export async function getTaskBreakdown(repoFullName = null, personalOnly = false) {
+export async function getTeamContributions(repoFullName = null) {
     const supabase = getSupabaseClient();
 
     if (!supabase || !isLoggedIn()) {
         return [];
     }
 
-    const user = getCurrentUser();
-    const repo = repoFullName ? parseRepoName(repoFullName) : getRepoInfo();
+    const repo = getCloudRepo(repoFullName);
     if (!repo) {
         return [];
     }
 
-    // Get repo ID
-    const { data: repoData } = await supabase
-        .from('repos')
-        .select('id')
-        .eq('owner_name', repo.owner)
-        .eq('repo_name', repo.repo)
-        .single();
+    const repoId = await findRepoId(supabase, repo);
+    if (!repoId) {
+        return [];
+    }
 
-    if (!repoData) {
+    // Aggregated by member in Postgres
+    const { data, error } = await supabase.rpc('get_repo_member_totals', {
+        p_repo_id: repoId,
+    });
+
+    if (error || !data) {
         return [];
     }
 
-    // Build query
-    let query = supabase
-        .from('sessions')
-        .select(`
-      task_id,
-      tasks (name),
-      duration_ms,
+    // Sorted by total time
+    return data
+        .map(row => ({
+            userId: row.user_id,
+            username: row.github_username || 'Unknown',
+            avatarUrl: row.avatar_url,
+            totalMs: Number(row.total_ms) || 0,
+        }))
+        .sort((a, b) => b.totalMs - a.totalMs);
+}
+
+/**
+ * Get every session of a repository that has time in [from, to)
+ * Reads page by page, so long histories are not cut off at the API row limit
+ * @param {Object} options
+ * @param {number} options.from - Epoch ms (inclusive)
+ * @param {number} options.to - Epoch ms (exclusive)
+ * @param {boolean} options.personalOnly - Only the current user's sessions
+ * @param {string} options.repoFullName - Defaults to the current repository
+ * @returns {Promise<Array<Object>|null>} Sessions in the local shape plus member,
+ *   or null when not logged in or the repository has no remote (use the local store instead)
+ */
+export async function getSessionsInRange({ from = 0, to = Date.now(), personalOnly = false, repoFullName = null } = {}) {
+    const supabase = getSupabaseClient();
+
+    if (!supabase || !isLoggedIn()) {
+        return null;
+    }
+
+    const user = getCurrentUser();
+    const repo = getCloudRepo(repoFullName);
+    if (!repo) {
+        return null;
+    }
+
+    const repoId = await findRepoId(supabase, repo);
+    if (!repoId) {
+        return [];
+    }
+
+    const sessions = [];
+    for (let offset = 0; ; offset += SESSION_PAGE_SIZE) {
+        // Sessions overlapping the range, including ones that started before it
+        let query = supabase
+            .from('sessions')
+            .select(`
+      client_id,
       start_time,
-      end_time
+      end_time,
+      segments,
+      source,
+      branch,
+      tasks (name),
+      users (github_username)
     `)
-        .eq('repo_id', repoData.id);
+            .eq('repo_id', repoId)
+            .gte('end_time', from)
+            .lt('start_time', to)
+            .order('start_time', { ascending: true })
+            // Tie-breaker, so rows with the same start aren't skipped or repeated across pages
+            .order('id', { ascending: true })
+            .range(offset, offset + SESSION_PAGE_SIZE - 1);
+
+        if (personalOnly && user?.id) {
+            query = query.eq('user_id', user.id);
+        }
 
-    if (personalOnly && user?.id) {
-        query = query.eq('user_id', user.id);
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        for (const row of data || []) {
+            sessions.push({
+                ...rowToSession(row),
+                clientId: row.client_id,
+                taskName: row.tasks?.name || null,
+                source: row.source || 'timer',
+                member: row.users?.github_username || 'Unknown',
+            });
+        }
+
+        if (!data || data.length < SESSION_PAGE_SIZE) {
+            break;
+        }
     }
 
-    const { data: sessions, error } = await query;
+    return sessions;
+}
 
-    if (error || !sessions) {
-        return [];
+/**
+ * Get the current user's sessions in the current repository that changed
+ * after a cursor, plus the ones deleted after it
+ * Timestamps come from the server (migration 011), so they order writes made
+ * from different machines
+ * @param {Object} options
+ * @param {string|null} options.since - Cursor from an earlier call (null for everything)
+ * @returns {Promise<{sessions: Array<Object>, deletions: Array<{clientId: string, deletedAt: string}>, cursor: string|null}|null>}
+ *   Sessions carry remoteUpdatedAt; null when logged out or not in a repository with a remote
+ */
+export async function getSessionChanges({ since = null } = {}) {
+    const supabase = getSupabaseClient();
+
+    if (!supabase || !isLoggedIn()) {
+        return null;
     }
 
-    // Aggregate by task
-    const taskMap = new Map();
-    let unnamedTotal = 0;
+    const user = getCurrentUser();
+    const repo = getCloudRepo();
+    if (!repo || !user?.id) {
+        return null;
+    }
 
-    for (const session of sessions) {
-        const duration = session.duration_ms || (session.end_time - session.start_time);
+    const repoId = await findRepoId(supabase, repo, { throwOnError: true });
+    if (!repoId) {
+        return { sessions: [], deletions: [], cursor: since };
+    }
 
-        if (session.tasks?.name) {
-            const current = taskMap.get(session.tasks.name) || 0;
-            taskMap.set(session.tasks.name, current + duration);
-        } else {
-            unnamedTotal += duration;
+    const after = since ? new Date(Date.parse(since) - PULL_OVERLAP_MS).toISOString() : null;
+    let cursor = since;
+    const advance = (at) => {
+        if (!cursor || Date.parse(at) > Date.parse(cursor)) cursor = at;
+    };
+
+    const sessions = [];
+    for (let offset = 0; ; offset += SESSION_PAGE_SIZE) {
+        let query = supabase
+            .from('sessions')
+            .select(`
+      client_id,
+      start_time,
+      end_time,
+      segments,
+      pauses,
+      source,
+      branch,
+      start_commit,
+      end_commit,
+      updated_at,
+      tasks (name)
+    `)
+            .eq('repo_id', repoId)
+            .eq('user_id', user.id)
+            .not('client_id', 'is', null)
+            .order('updated_at', { ascending: true })
+            .order('client_id', { ascending: true })
+            .range(offset, offset + SESSION_PAGE_SIZE - 1);
+
+        if (after) {
+            query = query.gt('updated_at', after);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        for (const row of data || []) {
+            sessions.push({
+                ...rowToSession(row),
+                clientId: row.client_id,
+                taskName: row.tasks?.name || null,
+                source: row.source || 'timer',
+                remoteUpdatedAt: row.updated_at,
+            });
+            advance(row.updated_at);
+        }
+
+        if (!data || data.length < SESSION_PAGE_SIZE) {
+            break;
         }
     }
 
-    // Convert to array
-    const result = Array.from(taskMap.entries())
-        .map(([name, ms]) => ({ name, ms }))
-        .sort((a, b) => b.ms - a.ms);
+    const deletions = [];
+    for (let offset = 0; ; offset += SESSION_PAGE_SIZE) {
+        let query = supabase
+            .from('session_tombstones')
+            .select('client_id, deleted_at')
+            .eq('repo_id', repoId)
+            .eq('user_id', user.id)
+            .order('deleted_at', { ascending: true })
+            .order('client_id', { ascending: true })
+            .range(offset, offset + SESSION_PAGE_SIZE - 1);
+
+        if (after) {
+            query = query.gt('deleted_at', after);
+        }
 
-    if (unnamedTotal > 0) {
-        result.push({ name: 'Unnamed Tasks', ms: unnamedTotal });
+        const { data, error } = await query;
+
+        if (error) {
+            throw error;
+        }
+
+        for (const row of data || []) {
+            deletions.push({ clientId: row.client_id, deletedAt: row.deleted_at });
+            advance(row.deleted_at);
+        }
+
+        if (!data || data.length < SESSION_PAGE_SIZE) {
+            break;
+        }
     }
 
-    return result;
+    return { sessions, deletions, cursor };
 }
 
 /**
- * Get team member contributions
+ * Supabase client for team calls, which only make sense logged in
  */
-export async function getTeamContributions(repoFullName = null) {
+function getTeamClient() {
     const supabase = getSupabaseClient();
-
     if (!supabase || !isLoggedIn()) {
-        return [];
+        throw new Error('Not logged in');
     }
+    return supabase;
+}
 
-    const repo = repoFullName ? parseRepoName(repoFullName) : getRepoInfo();
-    if (!repo) {
-        return [];
+/**
+ * Create a team; the current user becomes its owner (migration 013)
+ * @param {string} slug - Short name used in commands, e.g. "acme-web"
+ * @param {string} [name] - Display name (defaults to the slug)
+ * @returns {Promise<{id: string, slug: string, name: string}>}
+ */
+export async function createTeam(slug, name = null) {
+    const { data, error } = await getTeamClient().rpc('create_team', { p_slug: slug, p_name: name });
+    if (error) {
+        throw error;
     }
+    return data;
+}
 
-    // Get repo ID
-    const { data: repoData } = await supabase
+/**
+ * Teams the current user belongs to, with their role and claimed repositories
+ * @returns {Promise<Array<{id: string, slug: string, name: string, role: string, repos: Array<string>}>>}
+ */
+export async function getMyTeams() {
+    const supabase = getTeamClient();
+    const user = getCurrentUser();
+
+    const { data, error } = await supabase
+        .from('team_members')
+        .select('role, teams (id, slug, name)')
+        .eq('user_id', user.id);
+    if (error) {
+        throw error;
+    }
+
+    const teams = (data || [])
+        .filter(row => row.teams)
+        .map(row => ({ ...row.teams, role: row.role, repos: [] }));
+    if (teams.length === 0) {
+        return teams;
+    }
+
+    const { data: repos, error: reposError } = await supabase
         .from('repos')
+        .select('host, owner_name, repo_name, team_id')
+        .in('team_id', teams.map(team => team.id));
+    if (reposError) {
+        throw reposError;
+    }
+    for (const repo of repos || []) {
+        teams.find(team => team.id === repo.team_id)?.repos.push(formatRepoName({ host: repo.host, owner: repo.owner_name, repo: repo.repo_name }));
+    }
+
+    return teams.sort((a, b) => a.slug.localeCompare(b.slug));
+}
+
+/**
+ * Members of a team the current user belongs to
+ * @param {string} slug
+ * @returns {Promise<Array<{username: string, role: string, joinedAt: string}>>}
+ */
+export async function getTeamMembers(slug) {
+    const supabase = getTeamClient();
+
+    // Teams are only visible to their members
+    const { data: team, error } = await supabase
+        .from('teams')
         .select('id')
-        .eq('owner_name', repo.owner)
-        .eq('repo_name', repo.repo)
-        .single();
+        .eq('slug', slug.toLowerCase())
+        .maybeSingle();
+    if (error) {
+        throw error;
+    }
+    if (!team) {
+        throw permanentError(`You are not a member of team "${slug}"`);
+    }
 
-    if (!repoData) {
-        return [];
+    const { data, error: membersError } = await supabase
+        .from('team_members')
+        .select('role, joined_at, users (github_username)')
+        .eq('team_id', team.id)
+        .order('joined_at', { ascending: true });
+    if (membersError) {
+        throw membersError;
     }
 
-    // Get sessions with user info
-    const { data: sessions, error } = await supabase
-        .from('sessions')
-        .select(`
-      user_id,
-      users (github_username, avatar_url),
-      duration_ms,
-      start_time,
-      end_time
-    `)
-        .eq('repo_id', repoData.id);
+    return (data || []).map(row => ({
+        username: row.users?.github_username || 'Unknown',
+        role: row.role,
+        joinedAt: row.joined_at,
+    }));
+}
 
-    if (error || !sessions) {
-        return [];
+/**
+ * Create an invite code for a team (owners and admins)
+ * @param {string} slug
+ * @param {Object} [options]
+ * @param {string} [options.role] - 'member' (default) or 'admin' (owners only)
+ * @param {string} [options.githubUsername] - Only this GitHub account can use the code
+ * @param {number} [options.validDays] - 1-30 (default 7)
+ * @returns {Promise<string>} The code; it is shown once and only its hash is stored
+ */
+export async function createTeamInvite(slug, { role = 'member', githubUsername = null, validDays = 7 } = {}) {
+    const { data, error } = await getTeamClient().rpc('create_team_invite', {
+        p_team_slug: slug,
+        p_role: role,
+        p_github_username: githubUsername,
+        p_valid_days: validDays,
+    });
+    if (error) {
+        throw error;
     }
+    return data;
+}
 
-    // Aggregate by user
-    const userMap = new Map();
+/**
+ * Join a team with an invite code
+ * @returns {Promise<{id: string, slug: string, name: string}>} The team joined
+ */
+export async function acceptTeamInvite(code) {
+    const { data, error } = await getTeamClient().rpc('accept_team_invite', { p_code: code });
+    if (error) {
+        throw error;
+    }
+    return data;
+}
 
-    for (const session of sessions) {
-        const userId = session.user_id;
-        const duration = session.duration_ms || (session.end_time - session.start_time);
+/**
+ * Change a member's role (owners only)
+ */
+export async function setTeamMemberRole(slug, githubUsername, role) {
+    const { error } = await getTeamClient().rpc('set_team_member_role', {
+        p_team_slug: slug,
+        p_github_username: githubUsername,
+        p_role: role,
+    });
+    if (error) {
+        throw error;
+    }
+}
 
-        if (!userMap.has(userId)) {
-            userMap.set(userId, {
-                userId,
-                username: session.users?.github_username || 'Unknown',
-                avatarUrl: session.users?.avatar_url,
-                totalMs: 0,
-            });
-        }
+/**
+ * Remove a member from a team, or leave it when it's the current user
+ */
+export async function removeTeamMember(slug, githubUsername) {
+    const { error } = await getTeamClient().rpc('remove_team_member', {
+        p_team_slug: slug,
+        p_github_username: githubUsername,
+    });
+    if (error) {
+        throw error;
+    }
+}
 
-        userMap.get(userId).totalMs += duration;
+/**
+ * Claim a repository for a team (owners and admins who are admins of the repository on GitHub)
+ * Afterwards only the team's members can add sessions, and team stats only count them
+ * @param {string} slug - Team
+ * @param {{owner: string, repo: string}} [repo] - Defaults to the current repository
+ * @param {Object} [options]
+ * @param {boolean} [options.takeOver] - Take the repository from the team that claimed it
+ */
+export async function claimRepo(slug, repo = getRepoInfo(), { takeOver = false } = {}) {
+    if (!repo) {
+        throw permanentError('Repository info not available');
     }
+    const supabase = getTeamClient();
+
+    // Claiming takes verified access to the repository, like syncing to it
+    await getOrCreateRepo(repo.owner, repo.repo, repo.host);
+
+    const { error } = await supabase.rpc('claim_repo', {
+        p_host: repo.host || DEFAULT_GIT_HOST,
+        p_owner_name: repo.owner,
+        p_repo_name: repo.repo,
+        p_team_slug: slug,
+        p_take_over: takeOver,
+    });
+    if (error) {
+        throw error;
+    }
+}
 
-    // Convert to array sorted by total time
-    return Array.from(userMap.values())
-        .sort((a, b) => b.totalMs - a.totalMs);
+/**
+ * Release a repository from its team (owners and admins of that team, or admins of the repository on GitHub)
+ * @param {{owner: string, repo: string}} [repo] - Defaults to the current repository
+ */
+export async function releaseRepo(repo = getRepoInfo()) {
+    if (!repo) {
+        throw permanentError('Repository info not available');
+    }
+    const { error } = await getTeamClient().rpc('release_repo', {
+        p_host: repo.host || DEFAULT_GIT_HOST,
+        p_owner_name: repo.owner,
+        p_repo_name: repo.repo,
+    });
+    if (error) {
+        throw error;
+    }
 }
 
 /**
- * Helper to parse "owner/repo" format
+ * Team that claimed a repository
+ * @param {string} [repoFullName] - Defaults to the current repository
+ * @returns {Promise<{claimed: boolean, team: {slug: string, name: string}|null}|null>}
+ *   team is null when the repository is claimed by a team the user isn't in;
+ *   null when logged out or not in a repository
  */
-function parseRepoName(fullName) {
-    const parts = fullName.split('/');
-    if (parts.length !== 2) return null;
-    return { owner: parts[0], repo: parts[1], fullName };
+export async function getRepoTeam(repoFullName = null) {
+    const supabase = getSupabaseClient();
+    if (!supabase || !isLoggedIn()) {
+        return null;
+    }
+
+    const repo = getCloudRepo(repoFullName);
+    if (!repo) {
+        return null;
+    }
+
+    const { data, error } = await supabase
+        .from('repos')
+        .select('team_id, teams (slug, name)')
+        .eq('host', repo.host || DEFAULT_GIT_HOST)
+        .eq('owner_name', repo.owner)
+        .eq('repo_name', repo.repo)
+        .maybeSingle();
+    if (error) {
+        throw error;
+    }
+
+    return { claimed: !!data?.team_id, team: data?.teams || null };
 }
 
 /**
@@ -570,12 +1385,28 @@ export async function ensureUserProfile(githubUser) {
 }
 
 export default {
+    classifySyncError,
     syncSession,
+    syncSessionBatch,
+    updateSession,
+    deleteSession,
     getRepoStats,
     getRecentTasks,
     getDailyBreakdown,
     getTaskBreakdown,
     getTeamContributions,
+    getSessionsInRange,
+    getSessionChanges,
+    createTeam,
+    getMyTeams,
+    getTeamMembers,
+    createTeamInvite,
+    acceptTeamInvite,
+    setTeamMemberRole,
+    removeTeamMember,
+    claimRepo,
+    releaseRepo,
+    getRepoTeam,
     getOrCreateRepo,
     getOrCreateTask,
     ensureUserProfile,
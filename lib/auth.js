@@ -1,12 +1,21 @@
 import fs from 'fs';
+import http from 'http';
 import https from 'https';
 import { createClient } from '@supabase/supabase-js';
 import config, { getSupabaseConfig, getGitHubConfig } from './config.js';
 import chalk from 'chalk';
 import { readSecureAuthData, writeSecureAuthData, clearSecureAuthData } from './secure-storage.js';
+import { clearRepoAccess } from './catalog.js';
 
 const AUTH_FILE = config.paths.authFile;
 
+// Public repositories can be checked without any repository scope
+const GITHUB_SCOPES = 'read:user,user:email';
+
+// OAuth apps have no read-only scope for private repositories, and `repo` grants
+// full access to all of them, so it is only asked for on request (login --private-repos)
+const PRIVATE_REPO_SCOPE = 'repo';
+
 /**
  * Ensure the config directory exists
  */
@@ -40,10 +49,12 @@ export function clearAuthData() {
 
 /**
  * Make HTTPS request helper
+ * Plain HTTP is only used when asked for (options.protocol 'http:'), e.g. a local instance
  */
 function httpsRequest(options, postData = null) {
+    const transport = options.protocol === 'http:' ? http : https;
     return new Promise((resolve, reject) => {
-        const req = https.request(options, (res) => {
+        const req = transport.request(options, (res) => {
             let data = '';
             res.on('data', (chunk) => (data += chunk));
             res.on('end', () => {
@@ -62,11 +73,37 @@ function httpsRequest(options, postData = null) {
     });
 }
 
+/**
+ * Request options for a full URL, keeping its protocol and port
+ */
+function urlOptions(url, options) {
+    const { protocol, hostname, port, pathname, search } = new URL(url);
+    return { ...options, protocol, hostname, port: port || undefined, path: `${pathname}${search}` };
+}
+
+/**
+ * Request options for one of our Edge Functions
+ */
+function functionOptions(name) {
+    const { url, anonKey } = getSupabaseConfig();
+    return urlOptions(`${url.replace(/\/+$/, '')}/functions/v1/${name}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${anonKey}`,
+            'apikey': anonKey,
+        },
+    });
+}
+
 /**
  * Start GitHub Device Flow authentication
  * Returns device code info for user to complete auth
+ * @param {Object} [options]
+ * @param {boolean} [options.privateRepos] - Also ask for the `repo` scope, so access
+ *   to private repositories can be checked
  */
-export async function startDeviceFlow() {
+export async function startDeviceFlow({ privateRepos = false } = {}) {
     const { clientId } = getGitHubConfig();
 
     if (!clientId) {
@@ -81,7 +118,7 @@ export async function startDeviceFlow() {
             'Accept': 'application/json',
             'Content-Type': 'application/x-www-form-urlencoded',
         },
-    }, `client_id=${clientId}&scope=read:user,user:email`);
+    }, `client_id=${clientId}&scope=${privateRepos ? `${GITHUB_SCOPES},${PRIVATE_REPO_SCOPE}` : GITHUB_SCOPES}`);
 
     if (response.status !== 200) {
         throw new Error(`Failed to start device flow: ${JSON.stringify(response.data)}`);
@@ -155,16 +192,15 @@ export async function pollForToken(deviceCode, interval = 5) {
  * Get GitHub user info using access token
  */
 export async function getGitHubUser(accessToken) {
-    const response = await httpsRequest({
-        hostname: 'api.github.com',
-        path: '/user',
+    const { apiUrl } = getGitHubConfig();
+    const response = await httpsRequest(urlOptions(`${apiUrl}/user`, {
         method: 'GET',
         headers: {
             'Accept': 'application/json',
             'Authorization': `Bearer ${accessToken}`,
             'User-Agent': 'dev-timr',
         },
-    });
+    }));
 
     if (response.status !== 200) {
         throw new Error('Failed to get GitHub user info');
@@ -190,16 +226,7 @@ export async function signInToSupabase(githubToken) {
     }
 
     // Call our Edge Function to validate GitHub token and get Supabase JWT
-    const response = await httpsRequest({
-        hostname: url.replace('https://', '').replace('http://', ''),
-        path: '/functions/v1/github-login',
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${anonKey}`,
-            'apikey': anonKey,
-        },
-    }, JSON.stringify({ github_token: githubToken }));
+    const response = await httpsRequest(functionOptions('github-login'), JSON.stringify({ github_token: githubToken }));
 
     if (response.status !== 200) {
         const errorMsg = response.data?.error || response.data?.message || 'Authentication failed';
@@ -222,6 +249,48 @@ export async function signInToSupabase(githubToken) {
     return result;
 }
 
+/**
+ * Verify the current user's GitHub access to a repository via the github-login Edge Function
+ * The server remembers the result until expiresAt, and only then asks GitHub again.
+ * @param {{host: string, owner: string, repo: string}} repository - From git.getRepoInfo()
+ * @returns {Promise<{allowed: true, repoId: string, permission: string, expiresAt: number}|{allowed: false, reason: string}>}
+ *   expiresAt is in seconds, like the session's
+ * @throws {Error} When access couldn't be checked (not logged in, GitHub or the server unavailable);
+ *   the error's `status` is the HTTP status, if there was a response
+ */
+export async function verifyRepoAccess({ host, owner, repo }) {
+    const authData = readAuthData();
+    if (!authData?.github?.token) {
+        throw new Error('Not logged in with GitHub. Run `dev-timr login` first.');
+    }
+
+    const { url, anonKey } = getSupabaseConfig();
+    if (!url || !anonKey) {
+        throw new Error('Supabase not configured. Please set SUPABASE_URL and SUPABASE_ANON_KEY.');
+    }
+
+    const response = await httpsRequest(functionOptions('github-login'), JSON.stringify({
+        github_token: authData.github.token,
+        repo: { host, owner, repo },
+    }));
+
+    if (response.status === 200) {
+        return {
+            allowed: true,
+            repoId: response.data.repo_id,
+            permission: response.data.permission,
+            expiresAt: response.data.expires_at,
+        };
+    }
+    if (response.status === 403 && response.data?.code === 'REPO_ACCESS_DENIED') {
+        return { allowed: false, reason: response.data.error };
+    }
+
+    const err = new Error(`Could not verify access to ${host}/${owner}/${repo}: ${response.data?.error || `HTTP ${response.status}`}`);
+    err.status = response.status;
+    throw err;
+}
+
 /**
  * Check if token should be refreshed (less than 24 hours remaining)
  */
@@ -248,16 +317,7 @@ export async function refreshToken() {
     }
 
     try {
-        const response = await httpsRequest({
-            hostname: url.replace('https://', '').replace('http://', ''),
-            path: '/functions/v1/token-refresh',
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${anonKey}`,
-                'apikey': anonKey,
-            },
-        }, JSON.stringify({
+        const response = await httpsRequest(functionOptions('token-refresh'), JSON.stringify({
             github_token: authData.github.token,
             current_jwt: authData.supabase?.accessToken
         }));
@@ -333,6 +393,9 @@ export async function completeLogin(githubToken, githubUser, supabaseSession) {
     };
 
     writeAuthData(authData);
+
+    // A new GitHub token can have different access; check repositories again
+    clearRepoAccess();
     return authData;
 }
 
@@ -424,16 +487,10 @@ export async function logout(silent = false) {
 
         if (url && anonKey) {
             try {
-                const response = await httpsRequest({
-                    hostname: url.replace('https://', '').replace('http://', ''),
-                    path: '/functions/v1/logout',
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${anonKey}`,
-                        'apikey': anonKey,
-                    },
-                }, JSON.stringify({ access_token: authData.supabase.accessToken }));
+                const response = await httpsRequest(
+                    functionOptions('logout'),
+                    JSON.stringify({ access_token: authData.supabase.accessToken })
+                );
 
                 serverRevoked = response.status === 200;
             } catch (error) {
@@ -455,6 +512,7 @@ export default {
     pollForToken,
     getGitHubUser,
     signInToSupabase,
+    verifyRepoAccess,
     shouldRefreshToken,
     refreshToken,
     getSessionWithRefresh,
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import { getGitDir } from './git.js';
+
+// How often HEAD is checked for a branch switch
+const CHECK_INTERVAL_MS = 5 * 1000;
+
+// Long-lived branches say nothing about the task at hand
+const MAINLINE_BRANCHES = new Set(['main', 'master', 'develop', 'development', 'dev', 'trunk', 'staging', 'production']);
+
+// "PROJ-123-login-fix" (Jira, Linear, YouTrack...) and "123-login-fix" (GitHub/GitLab issues)
+// Ticket keys only count in capitals, as trackers write them: "add-2-factor-auth"
+// and "utf-8-decoding" are words, not tickets ADD-2 and UTF-8
+const TICKET_BRANCH = /^([A-Z][A-Z0-9]+-\d+)(?:[-_]+(.*))?$/;
+const ISSUE_BRANCH = /^#?(\d+)(?:[-_]+(.*))?$/;
+
+function toWords(slug) {
+    return (slug || '').split(/[-_]+/).filter(Boolean).join(' ');
+}
+
+/**
+ * Suggest a task name from a branch named by convention
+ * e.g. "feature/PROJ-123-login-fix" -> "PROJ-123 login fix",
+ *      "fix/482-null-check" -> "#482 null check",
+ *      "chore/bump-deps" -> "bump deps",
+ *      "hotfix/utf-8-decoding" -> "utf 8 decoding"
+ * @param {string|null} branch
+ * @returns {string|null} null for mainline branches and names without a convention
+ */
+export function suggestTaskName(branch) {
+    if (!branch || MAINLINE_BRANCHES.has(branch.toLowerCase())) {
+        return null;
+    }
+
+    // The last path part is the topic; the ones before it are a type or a user name
+    const parts = branch.split('/');
+    const topic = parts[parts.length - 1];
+
+    const ticket = topic.match(TICKET_BRANCH);
+    if (ticket) {
+        return [ticket[1], toWords(ticket[2])].filter(Boolean).join(' ');
+    }
+
+    const issue = topic.match(ISSUE_BRANCH);
+    if (issue) {
+        return [`#${issue[1]}`, toWords(issue[2])].filter(Boolean).join(' ');
+    }
+
+    // A bare topic ("login-fix") only counts under a prefix ("feature/login-fix")
+    if (parts.length > 1) {
+        return toWords(topic) || null;
+    }
+    return null;
+}
+
+/**
+ * Read the branch HEAD points to from the .git directory
+ * Cheaper than running git, so it can be checked every few seconds
+ * @returns {string|null|undefined} Branch, null while detached, undefined if unreadable
+ */
+function readHeadBranch(gitDir) {
+    try {
+        const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf8').trim();
+        const ref = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+        return ref ? ref[1] : null;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Create a branch watcher
+ * Calls onSwitch(branch, previous) whenever HEAD moves to another branch.
+ * A detached HEAD (rebase, bisect, checking out a tag) is not a switch: the
+ * work still belongs to the branch it started from, so nothing is reported
+ * until HEAD is back on a branch, and then only if that is a different one.
+ * @param {Object} options
+ * @param {string|null} options.branch - Branch the session is on now
+ * @param {string} [options.cwd] - Directory inside the repository
+ * @param {Function} options.onSwitch - Called with the new and the previous branch
+ * @returns {{check: Function, stop: Function}|null} null outside a git repository
+ */
+export function createBranchWatcher({ branch, cwd = process.cwd(), onSwitch }) {
+    const gitDir = getGitDir(cwd);
+    if (!gitDir) {
+        return null;
+    }
+
+    let current = branch;
+
+    const check = () => {
+        const next = readHeadBranch(gitDir);
+        if (!next || next === current) return;
+
+        const previous = current;
+        current = next;
+        Promise.resolve(onSwitch(next, previous)).catch((err) => {
+            console.error('[Branch] Failed to handle branch switch:', err.message);
+        });
+    };
+
+    const timer = setInterval(check, CHECK_INTERVAL_MS);
+    timer.unref();
+
+    return {
+        check,
+        stop() {
+            clearInterval(timer);
+        },
+    };
+}
+
+export default {
+    suggestTaskName,
+    createBranchWatcher,
+};
@@ -0,0 +1,206 @@
+/**
+ * Persisted cache of cloud repository IDs and each repository's tasks
+ *
+ * Repository and task IDs never change once created, so the sync path can use
+ * cached ones instead of looking them up on every flush, and the task prompt
+ * can offer recent tasks while offline. The cache is refreshed whenever those
+ * lookups do reach the cloud. It belongs to one Supabase instance and starts
+ * over when the instance changes.
+ *
+ * It also remembers whether the server verified the user's GitHub access to a
+ * repository, until that verification expires (see verifyRepoAccess in auth.js).
+ *
+ * Stored encrypted in ~/.dev-timr/catalog.json:
+ *   { supabaseUrl, repos: { "host/namespace/repo": id }, tasks: { [repoId]: { refreshedAt, items: { [name]: { id, lastUsed } } } },
+ *     access: { "host/namespace/repo": { userId, allowed, permission, reason, expiresAt } } }
+ */
+
+import fs from 'fs';
+import config from './config.js';
+import { encrypt, decrypt } from './secure-storage.js';
+import { withFileLock, writeFileAtomic } from './lockfile.js';
+import { getRepoKey } from './git.js';
+
+const CATALOG_FILE = config.paths.catalogFile;
+
+function emptyCatalog() {
+    return { supabaseUrl: config.supabaseUrl, repos: {}, tasks: {}, access: {} };
+}
+
+/**
+ * Read the catalog; a missing, unreadable or other instance's catalog is empty
+ */
+function readCatalog() {
+    if (!fs.existsSync(CATALOG_FILE)) {
+        return emptyCatalog();
+    }
+    try {
+        const data = decrypt(fs.readFileSync(CATALOG_FILE, 'utf8'));
+        if (!data || typeof data.repos !== 'object' || typeof data.tasks !== 'object') {
+            return emptyCatalog();
+        }
+        if (data.supabaseUrl !== config.supabaseUrl) {
+            return emptyCatalog();
+        }
+        return { access: {}, ...data };
+    } catch {
+        return emptyCatalog();
+    }
+}
+
+/**
+ * Change the catalog under its lock
+ * Failing to write only costs a lookup later, so errors are not passed on
+ */
+function updateCatalog(change) {
+    try {
+        if (!fs.existsSync(config.paths.configDir)) {
+            fs.mkdirSync(config.paths.configDir, { recursive: true });
+        }
+        withFileLock(CATALOG_FILE, () => {
+            const catalog = readCatalog();
+            change(catalog);
+            writeFileAtomic(CATALOG_FILE, encrypt(catalog), { mode: 0o600 });
+        });
+    } catch (err) {
+        console.debug('[Catalog] Could not save:', err.message);
+    }
+}
+
+/**
+ * Cached cloud ID of a repository
+ * @param {{host?: string, owner: string, repo: string}} repo
+ * @returns {string|null}
+ */
+export function getCachedRepoId(repo) {
+    return readCatalog().repos[getRepoKey(repo)] || null;
+}
+
+/**
+ * Remember the cloud ID of a repository
+ */
+export function cacheRepoId(repo, id) {
+    if (!id || getCachedRepoId(repo) === id) return;
+    updateCatalog(catalog => {
+        catalog.repos[getRepoKey(repo)] = id;
+    });
+}
+
+/**
+ * Cached IDs of the tasks of a repository that are known
+ * @param {string} repoId
+ * @param {Array<string>} names
+ * @returns {Map<string, string>} Task name -> ID, for the names in the cache
+ */
+export function getCachedTaskIds(repoId, names) {
+    const items = readCatalog().tasks[repoId]?.items || {};
+    const ids = new Map();
+    for (const name of names) {
+        if (items[name]?.id) ids.set(name, items[name].id);
+    }
+    return ids;
+}
+
+/**
+ * Add tasks to a repository's cached list
+ * lastUsed only ever moves forward, so an older listing can't bury a task used since
+ * @param {string} repoId
+ * @param {Array<{id: string, name: string, lastUsed?: number}>} tasks
+ * @param {Object} [options]
+ * @param {boolean} [options.refreshed] - The tasks come from a fresh listing (sets refreshedAt)
+ */
+export function cacheTasks(repoId, tasks, { refreshed = false } = {}) {
+    if (!repoId || (tasks.length === 0 && !refreshed)) return;
+    updateCatalog(catalog => {
+        const entry = catalog.tasks[repoId] || { refreshedAt: null, items: {} };
+        for (const { id, name, lastUsed } of tasks) {
+            if (!id || !name) continue;
+            const previous = entry.items[name];
+            entry.items[name] = {
+                id,
+                lastUsed: Math.max(previous?.lastUsed || 0, lastUsed || 0) || null,
+            };
+        }
+        if (refreshed) {
+            entry.refreshedAt = Date.now();
+        }
+        catalog.tasks[repoId] = entry;
+    });
+}
+
+/**
+ * Cached tasks of a repository, most recently used first
+ * @param {{host?: string, owner: string, repo: string}} repo
+ * @returns {Array<{id: string, name: string, lastUsed: number|null}>}
+ */
+export function getCachedTasks(repo) {
+    const catalog = readCatalog();
+    const repoId = catalog.repos[getRepoKey(repo)];
+    const items = repoId ? catalog.tasks[repoId]?.items || {} : {};
+    return Object.entries(items)
+        .map(([name, { id, lastUsed }]) => ({ id, name, lastUsed: lastUsed || null }))
+        .sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0));
+}
+
+/**
+ * Cached result of verifying the user's access to a repository, while it lasts
+ * @param {{host?: string, owner: string, repo: string}} repo
+ * @param {string} userId - Results are per user
+ * @returns {{allowed: boolean, permission?: string, reason?: string, expiresAt: number}|null}
+ */
+export function getCachedRepoAccess(repo, userId) {
+    const entry = readCatalog().access[getRepoKey(repo)];
+    if (!entry || entry.userId !== userId || !(entry.expiresAt > Date.now())) {
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Remember the result of verifying the user's access to a repository
+ * @param {{host?: string, owner: string, repo: string}} repo
+ * @param {{userId: string, allowed: boolean, permission?: string, reason?: string, expiresAt: number}} entry
+ *   expiresAt in milliseconds
+ */
+export function cacheRepoAccess(repo, entry) {
+    updateCatalog(catalog => {
+        catalog.access[getRepoKey(repo)] = entry;
+    });
+}
+
+/**
+ * Forget every access result, e.g. after logging in again with new GitHub scopes
+ */
+export function clearRepoAccess() {
+    updateCatalog(catalog => {
+        catalog.access = {};
+    });
+}
+
+/**
+ * Drop a repository, its tasks and its verified access from the cache (e.g.
+ * after the cloud rejected one of its IDs), so they are looked up again
+ * @param {string} repoId
+ */
+export function forgetRepo(repoId) {
+    updateCatalog(catalog => {
+        for (const [key, id] of Object.entries(catalog.repos)) {
+            if (id !== repoId) continue;
+            delete catalog.repos[key];
+            delete catalog.access[key];
+        }
+        delete catalog.tasks[repoId];
+    });
+}
+
+export default {
+    getCachedRepoId,
+    cacheRepoId,
+    getCachedTaskIds,
+    cacheTasks,
+    getCachedTasks,
+    getCachedRepoAccess,
+    cacheRepoAccess,
+    clearRepoAccess,
+    forgetRepo,
+};
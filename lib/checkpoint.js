@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import config from './config.js';
+import { isValidSegmentList } from './segments.js';
+import { isProcessAlive, writeFileAtomic } from './lockfile.js';
+
+export { isProcessAlive };
+
+const CHECKPOINT_DIR = config.paths.checkpointDir;
+
+// How often the active session is written to disk
+export const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Ensure the checkpoint directory exists
+ */
+function ensureCheckpointDir() {
+    if (!fs.existsSync(CHECKPOINT_DIR)) {
+        fs.mkdirSync(CHECKPOINT_DIR, { recursive: true, mode: 0o700 });
+    }
+}
+
+/**
+ * Get the checkpoint file path for a session
+ * Client IDs are UUIDs, but strip anything path-like to be safe
+ */
+function getCheckpointPath(clientId) {
+    const safeId = String(clientId).replace(/[^a-zA-Z0-9-]/g, '');
+    return path.join(CHECKPOINT_DIR, `${safeId}.json`);
+}
+
+/**
+ * Validate checkpoint data structure
+ */
+function validateCheckpoint(data) {
+    if (!data || typeof data !== 'object') return false;
+    if (typeof data.clientId !== 'string') return false;
+    if (typeof data.start !== 'number' || typeof data.heartbeat !== 'number') return false;
+    if (!isValidSegmentList(data.segments)) return false;
+    return true;
+}
+
+/**
+ * Write a checkpoint for the active session
+ * Written atomically so a crash mid-write never leaves a torn file
+ * @param {Object} state - Session state (clientId, start, taskName, pause info)
+ */
+export function writeCheckpoint(state) {
+    ensureCheckpointDir();
+
+    const checkpoint = {
+        ...state,
+        pid: process.pid,
+        cwd: process.cwd(),
+        heartbeat: Date.now(),
+    };
+
+    const filePath = getCheckpointPath(state.clientId);
+    writeFileAtomic(filePath, JSON.stringify(checkpoint, null, 2), { mode: 0o600 });
+
+    return checkpoint;
+}
+
+/**
+ * Remove the checkpoint for a session (after it was saved or discarded)
+ */
+export function removeCheckpoint(clientId) {
+    if (!clientId) return;
+    const filePath = getCheckpointPath(clientId);
+    try {
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    } catch (err) {
+        console.error('[Checkpoint] Failed to remove checkpoint:', err.message);
+    }
+}
+
+/**
+ * Get the active segments recorded in a checkpoint
+ * A segment that was still open is closed at the last heartbeat
+ * @param {Object} saved - Checkpoint data
+ */
+export function getCheckpointSegments(saved) {
+    const segments = [...saved.segments];
+    if (typeof saved.segmentStart === 'number' && saved.heartbeat > saved.segmentStart) {
+        segments.push({ start: saved.segmentStart, end: saved.heartbeat });
+    }
+    return segments;
+}
+
+/**
+ * Get the pauses recorded in a checkpoint, with their reasons
+ * A pause that was still running is closed at the last heartbeat
+ * @param {Object} saved - Checkpoint data
+ */
+export function getCheckpointPauses(saved) {
+    const pauses = Array.isArray(saved.pauses) ? [...saved.pauses] : [];
+    if (saved.isPaused && typeof saved.pauseStart === 'number' && saved.heartbeat > saved.pauseStart) {
+        pauses.push({ start: saved.pauseStart, end: saved.heartbeat, reason: saved.pauseReason || 'manual' });
+    }
+    return pauses;
+}
+
+/**
+ * Find checkpoints left behind by sessions whose process is no longer running
+ * @param {string} cwd - Only return checkpoints for this project directory
+ * @returns {Array<Object>} Orphaned checkpoints, oldest first
+ */
+export function findOrphanedCheckpoints(cwd = process.cwd()) {
+    if (!fs.existsSync(CHECKPOINT_DIR)) {
+        return [];
+    }
+
+    const orphans = [];
+    for (const file of fs.readdirSync(CHECKPOINT_DIR)) {
+        if (!file.endsWith('.json')) continue;
+
+        try {
+            const content = fs.readFileSync(path.join(CHECKPOINT_DIR, file), 'utf8');
+            const data = JSON.parse(content);
+
+            if (!validateCheckpoint(data)) {
+                console.error(`[Checkpoint] Ignoring invalid checkpoint: ${file}`);
+                continue;
+            }
+            if (data.cwd !== cwd || isProcessAlive(data.pid)) {
+                continue;
+            }
+
+            orphans.push(data);
+        } catch (err) {
+            console.error(`[Checkpoint] Failed to read ${file}:`, err.message);
+        }
+    }
+
+    return orphans.sort((a, b) => a.start - b.start);
+}
+
+export default {
+    HEARTBEAT_INTERVAL_MS,
+    writeCheckpoint,
+    removeCheckpoint,
+    isProcessAlive,
+    getCheckpointSegments,
+    getCheckpointPauses,
+    findOrphanedCheckpoints,
+};
@@ -3,6 +3,7 @@ import path from 'path';
 import os from 'os';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { withFileLock, writeFileAtomic } from './lockfile.js';
 
 // Load .env file if it exists (for self-hosted instances)
 const __filename = fileURLToPath(import.meta.url);
@@ -19,6 +20,10 @@ const CONFIG_DIR = path.join(os.homedir(), '.dev-timr');
 const AUTH_FILE = path.join(CONFIG_DIR, 'auth.json');
 const QUEUE_FILE = path.join(CONFIG_DIR, 'queue.json');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const CHECKPOINT_DIR = path.join(CONFIG_DIR, 'checkpoints');
+const DAEMON_DIR = path.join(CONFIG_DIR, 'daemons');
+const REPO_STORE_DIR = path.join(CONFIG_DIR, 'repos');
+const CATALOG_FILE = path.join(CONFIG_DIR, 'catalog.json');
 
 // Ensure config directory exists
 function ensureConfigDir() {
@@ -36,13 +41,82 @@ const SHARED_INSTANCE = {
   githubClientId: 'Ov23lisr5QBFJRlbInmZ',
 };
 
+// Minutes without activity before the timer auto-pauses
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 15;
+
+// Local store format: 'json' (.dev-clock.json) or 'log' (append-only .dev-clock.ndjson)
+const DEFAULT_STORAGE_BACKEND = 'json';
+
+// Parse an on/off environment variable (1/0, true/false, yes/no)
+function parseEnvBoolean(value) {
+  if (value === undefined || value === '') return undefined;
+  if (/^(1|true|yes|on)$/i.test(value)) return true;
+  if (/^(0|false|no|off)$/i.test(value)) return false;
+  return undefined;
+}
+
+// Parse a non-negative number from an environment variable (0 is meaningful)
+function parseEnvNumber(value) {
+  if (value === undefined || value === '') return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) && num >= 0 ? num : undefined;
+}
+
 // Configuration priority: 1. Environment variables, 2. Config file, 3. Shared instance
 const defaultConfig = {
   supabaseUrl: process.env.SUPABASE_URL || SHARED_INSTANCE.supabaseUrl,
   supabaseAnonKey: process.env.SUPABASE_ANON_KEY || SHARED_INSTANCE.supabaseAnonKey,
   githubClientId: process.env.GITHUB_CLIENT_ID || SHARED_INSTANCE.githubClientId,
+  // GitHub API base URL (GitHub Enterprise, or a local stub in tests)
+  githubApiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
+  idleTimeoutMinutes: DEFAULT_IDLE_TIMEOUT_MINUTES,
+  // Count the wrapped command's output as activity. 'auto' watches output that
+  // doesn't go to a terminal (redirected, CI, editors); true also pipes terminal
+  // output, which takes the command's terminal away; false never watches
+  outputActivity: 'auto',
+  // Ctrl+T task switching in wrapped commands. Off by default: it puts the
+  // terminal in raw mode and pipes the command's stdin, which breaks REPLs,
+  // prompts and dev servers with keyboard shortcuts
+  hotkeys: false,
+  storageBackend: DEFAULT_STORAGE_BACKEND,
+  // Keep sessions in ~/.dev-timr/repos/<owner>/<repo> instead of the project directory
+  centralStore: false,
+  // IANA timezone that days, weeks and months are counted in (empty: the system's)
+  timeZone: '',
+  // First day of the week for "This Week" and weekly reports
+  weekStart: 'sunday',
+  // Git remote that identifies a repository before "origin" (e.g. "upstream" in forks);
+  // a project's .dev-timr.json can choose its own
+  remote: '',
 };
 
+// Environment overrides that must win over the config file
+const envOverrides = {};
+if (parseEnvNumber(process.env.DEV_TIMR_IDLE_TIMEOUT) !== undefined) {
+  envOverrides.idleTimeoutMinutes = parseEnvNumber(process.env.DEV_TIMR_IDLE_TIMEOUT);
+}
+if (parseEnvBoolean(process.env.DEV_TIMR_OUTPUT_ACTIVITY) !== undefined) {
+  envOverrides.outputActivity = parseEnvBoolean(process.env.DEV_TIMR_OUTPUT_ACTIVITY);
+}
+if (parseEnvBoolean(process.env.DEV_TIMR_HOTKEYS) !== undefined) {
+  envOverrides.hotkeys = parseEnvBoolean(process.env.DEV_TIMR_HOTKEYS);
+}
+if (parseEnvBoolean(process.env.DEV_TIMR_CENTRAL_STORE) !== undefined) {
+  envOverrides.centralStore = parseEnvBoolean(process.env.DEV_TIMR_CENTRAL_STORE);
+}
+if (process.env.DEV_TIMR_TIMEZONE) {
+  envOverrides.timeZone = process.env.DEV_TIMR_TIMEZONE;
+}
+if (process.env.DEV_TIMR_WEEK_START) {
+  envOverrides.weekStart = process.env.DEV_TIMR_WEEK_START.toLowerCase();
+}
+if (process.env.DEV_TIMR_REMOTE) {
+  envOverrides.remote = process.env.DEV_TIMR_REMOTE;
+}
+if (process.env.DEV_TIMR_STORAGE) {
+  envOverrides.storageBackend = process.env.DEV_TIMR_STORAGE.toLowerCase();
+}
+
 /**
  * Check if content is encrypted
  */
@@ -68,54 +142,74 @@ async function getEncryptionFunctions() {
   return { encrypt: encryptFn, decrypt: decryptFn };
 }
 
-// Load config from file if exists (handles encrypted and legacy plaintext)
+// Read the config file's own settings (handles encrypted and legacy plaintext)
+// Returns {} without a file, and null for an encrypted file that can't be decrypted (yet)
+function readConfigFile() {
+  if (!fs.existsSync(CONFIG_FILE)) {
+    return {};
+  }
+
+  const content = fs.readFileSync(CONFIG_FILE, 'utf8');
+  if (isEncrypted(content)) {
+    // Until secure-storage.js has loaded there is no decrypt (see registerEncryption)
+    return (decryptFn && decryptFn(content)) || null;
+  }
+
+  // Legacy plaintext (will be encrypted on next save)
+  return JSON.parse(content);
+}
+
+// Load config: defaults, then the file, then environment overrides
 function loadConfig() {
   ensureConfigDir();
 
-  if (fs.existsSync(CONFIG_FILE)) {
-    try {
-      const content = fs.readFileSync(CONFIG_FILE, 'utf8');
-
-      if (isEncrypted(content)) {
-        // For encrypted content, use cached decrypt if available
-        if (decryptFn) {
-          const fileConfig = decryptFn(content);
-          if (fileConfig) {
-            return { ...defaultConfig, ...fileConfig };
-          }
-        }
-        // If no decrypt available, return defaults (init encryption first)
-        return defaultConfig;
-      } else {
-        // Legacy plaintext - parse and return (will be encrypted on next save)
-        const fileConfig = JSON.parse(content);
-        return { ...defaultConfig, ...fileConfig };
-      }
-    } catch (err) {
-      // Ignore parse errors, use defaults
-      console.error('[Config] Failed to load config:', err.message);
-    }
+  try {
+    return { ...defaultConfig, ...readConfigFile(), ...envOverrides };
+  } catch (err) {
+    // Ignore parse errors, use defaults
+    console.error('[Config] Failed to load config:', err.message);
   }
 
-  return defaultConfig;
+  return { ...defaultConfig, ...envOverrides };
 }
 
 // Save config to file (encrypted)
+// Merges into the file's latest content under the config lock, so concurrent saves keep each other's keys.
+// Only the file's own settings are kept: defaults and environment overrides are not written
 export async function saveConfig(newConfig) {
   ensureConfigDir();
-  const currentConfig = loadConfig();
-  const mergedConfig = { ...currentConfig, ...newConfig };
 
+  let encrypt = null;
   try {
-    const { encrypt } = await getEncryptionFunctions();
-    const encrypted = encrypt(mergedConfig);
-    fs.writeFileSync(CONFIG_FILE, encrypted, { mode: 0o600 });
+    ({ encrypt } = await getEncryptionFunctions());
   } catch {
-    // Fallback to plaintext if encryption fails
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(mergedConfig, null, 2), { mode: 0o600 });
+    // Written as plaintext below
   }
 
-  return mergedConfig;
+  return withFileLock(CONFIG_FILE, () => {
+    const fileConfig = readConfigFile();
+    if (!fileConfig) {
+      throw new Error(`Could not decrypt ${CONFIG_FILE}; not overwriting it`);
+    }
+    const mergedConfig = { ...fileConfig, ...newConfig };
+
+    try {
+      writeFileAtomic(CONFIG_FILE, encrypt(mergedConfig), { mode: 0o600 });
+    } catch {
+      // Fallback to plaintext if encryption fails
+      writeFileAtomic(CONFIG_FILE, JSON.stringify(mergedConfig, null, 2), { mode: 0o600 });
+    }
+
+    return mergedConfig;
+  });
+}
+
+// Called by secure-storage.js once it has loaded: settings from an encrypted
+// config file can only be read from then on, so apply them now
+export function registerEncryption(encrypt, decrypt) {
+  encryptFn = encrypt;
+  decryptFn = decrypt;
+  Object.assign(config, loadConfig());
 }
 
 // Check if using shared instance or custom instance
@@ -132,6 +226,10 @@ export const config = {
     authFile: AUTH_FILE,
     queueFile: QUEUE_FILE,
     configFile: CONFIG_FILE,
+    checkpointDir: CHECKPOINT_DIR,
+    daemonDir: DAEMON_DIR,
+    repoStoreDir: REPO_STORE_DIR,
+    catalogFile: CATALOG_FILE,
   },
 };
 
@@ -148,10 +246,41 @@ export function getSupabaseConfig() {
   };
 }
 
+// Get idle auto-pause threshold in milliseconds (0 disables idle detection)
+export function getIdleTimeoutMs() {
+  const minutes = Number(config.idleTimeoutMinutes);
+  if (!Number.isFinite(minutes) || minutes <= 0) return 0;
+  return minutes * 60 * 1000;
+}
+
+// How the wrapped command's output counts as activity for idle detection:
+// 'all' (terminal output too), 'redirected' (only output that isn't a terminal) or 'off'
+export function getOutputActivityMode() {
+  if (config.outputActivity === true) return 'all';
+  if (config.outputActivity === false) return 'off';
+  return 'redirected';
+}
+
+// Check if wrapped commands take the Ctrl+T hotkey
+export function isHotkeysEnabled() {
+  return config.hotkeys === true;
+}
+
+// Get the local store backend ('json' or 'log'); unknown values fall back to json
+export function getStorageBackend() {
+  return config.storageBackend === 'log' ? 'log' : DEFAULT_STORAGE_BACKEND;
+}
+
+// Check if sessions are kept in the central per-user store
+export function isCentralStore() {
+  return config.centralStore === true;
+}
+
 // Get GitHub config
 export function getGitHubConfig() {
   return {
     clientId: config.githubClientId,
+    apiUrl: String(config.githubApiUrl || 'https://api.github.com').replace(/\/+$/, ''),
   };
 }
 
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import config from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DAEMON_ENTRY = path.resolve(__dirname, '..', 'bin', 'daemon.js');
+
+const REQUEST_TIMEOUT_MS = 5000;
+const STARTUP_TIMEOUT_MS = 5000;
+
+/**
+ * Get socket and log file locations for a project's daemon
+ * There is one daemon per project directory, so paths are keyed by a hash of it
+ * @param {string} cwd - Project directory
+ */
+export function getDaemonPaths(cwd = process.cwd()) {
+    const key = crypto.createHash('sha256').update(path.resolve(cwd)).digest('hex').slice(0, 16);
+    const dir = config.paths.daemonDir;
+
+    return {
+        dir,
+        socketPath: process.platform === 'win32'
+            ? `\\\\.\\pipe\\dev-timr-${key}`
+            : path.join(dir, `${key}.sock`),
+        logFile: path.join(dir, `${key}.log`),
+    };
+}
+
+/**
+ * Ensure the daemon directory exists (private to the user)
+ */
+export function ensureDaemonDir() {
+    const { dir } = getDaemonPaths();
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+}
+
+/**
+ * Send a command to the daemon and wait for its reply
+ * @param {string} command - e.g. 'status', 'start', 'stop'
+ * @param {Object} payload - Command arguments
+ * @returns {Promise<Object>} Response data
+ */
+export function sendCommand(command, payload = {}, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+    const { socketPath } = getDaemonPaths();
+
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection(socketPath);
+        let buffer = '';
+
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(new Error('Timed out waiting for the dev-timr daemon'));
+        }, timeoutMs);
+
+        socket.setEncoding('utf8');
+        socket.on('connect', () => {
+            socket.write(JSON.stringify({ command, ...payload }) + '\n');
+        });
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            const newline = buffer.indexOf('\n');
+            if (newline === -1) return;
+
+            clearTimeout(timer);
+            socket.end();
+            try {
+                const response = JSON.parse(buffer.slice(0, newline));
+                if (response.ok) {
+                    resolve(response);
+                } else {
+                    reject(new Error(response.error || 'Daemon request failed'));
+                }
+            } catch (err) {
+                reject(new Error('Invalid response from the dev-timr daemon'));
+            }
+        });
+        socket.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+
+/**
+ * Check if a daemon is running for the current project
+ */
+export async function isDaemonRunning() {
+    try {
+        await sendCommand('status', {}, { timeoutMs: 1000 });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Start the daemon in the background if it isn't running yet
+ * Its output goes to a log file next to the socket
+ */
+export async function ensureDaemon() {
+    if (await isDaemonRunning()) {
+        return;
+    }
+
+    ensureDaemonDir();
+    const { logFile } = getDaemonPaths();
+    const log = fs.openSync(logFile, 'a', 0o600);
+
+    const child = spawn(process.execPath, [DAEMON_ENTRY], {
+        cwd: process.cwd(),
+        detached: true,
+        stdio: ['ignore', log, log],
+        env: process.env,
+    });
+    child.unref();
+    fs.closeSync(log);
+
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        if (await isDaemonRunning()) {
+            return;
+        }
+    }
+
+    throw new Error(`dev-timr daemon did not start (see ${logFile})`);
+}
+
+export default {
+    getDaemonPaths,
+    ensureDaemonDir,
+    sendCommand,
+    isDaemonRunning,
+    ensureDaemon,
+};
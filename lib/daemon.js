@@ -0,0 +1,291 @@
+/**
+ * dev-timr daemon
+ *
+ * A background process that owns the tracker state and the GUI server for one
+ * project directory. CLI commands (start, stop, pause, resume, status) and
+ * wrapped commands talk to it over a local socket using newline-delimited JSON.
+ */
+
+import fs from 'fs';
+import net from 'net';
+import {
+    startSession,
+    endSession,
+    pauseSession,
+    resumeSession,
+    switchTask,
+    setTaskName,
+    getDuration,
+    getCurrentTaskName,
+    getCurrentSessionBranch,
+    getStartTime,
+    getSessionClientId,
+    isPausedState,
+    isSessionActive,
+    resumeCheckpointedSession,
+    startIdleDetection,
+    recordActivity,
+} from './tracker.js';
+import { findOrphanedCheckpoints, isProcessAlive } from './checkpoint.js';
+import { getIdleTimeoutMs } from './config.js';
+import { getDaemonPaths, ensureDaemonDir, isDaemonRunning } from './daemon-client.js';
+
+const MAX_REQUEST_BYTES = 64 * 1024;
+const OWNER_CHECK_INTERVAL_MS = 5 * 1000;
+const STARTUP_GRACE_MS = 30 * 1000;
+
+// Wrapped commands attached to the session, by process ID
+const owners = new Set();
+// Whether the session ends when its last wrapped command exits
+let endsWithOwners = false;
+let guiUrl = null;
+let guiServer = null;
+let socketServer = null;
+let shuttingDown = false;
+
+/**
+ * Snapshot of the daemon state for status replies
+ */
+function getStatus() {
+    return {
+        active: isSessionActive(),
+        taskName: getCurrentTaskName(),
+        branch: getCurrentSessionBranch(),
+        clientId: getSessionClientId(),
+        startTime: getStartTime(),
+        duration: getDuration(),
+        isPaused: isPausedState(),
+        owners: owners.size,
+        guiUrl,
+        pid: process.pid,
+        cwd: process.cwd(),
+    };
+}
+
+/**
+ * Stop the session (if any) and exit the daemon
+ * @returns {Promise<Object|null>} The saved session
+ */
+async function shutdown() {
+    if (shuttingDown) return null;
+    shuttingDown = true;
+
+    let saved = null;
+    try {
+        saved = await endSession();
+    } catch (err) {
+        console.error('[Daemon] Failed to save session:', err.message);
+    }
+
+    if (socketServer) socketServer.close();
+    if (guiServer) guiServer.close();
+
+    // Give pending replies a moment to flush
+    setTimeout(() => process.exit(0), 200).unref();
+
+    return saved;
+}
+
+/**
+ * Start the session, or attach a wrapped command to the running one
+ */
+async function handleStart(request) {
+    const owner = Number.isInteger(request.owner) ? request.owner : null;
+
+    if (isSessionActive()) {
+        if (!owner) {
+            throw new Error(`A session is already running${getCurrentTaskName() ? ` for "${getCurrentTaskName()}"` : ''}`);
+        }
+        owners.add(owner);
+        return { attached: true };
+    }
+
+    if (request.resume) {
+        const saved = findOrphanedCheckpoints().find(c => c.clientId === request.resume);
+        if (!saved) {
+            throw new Error('Recovered session not found');
+        }
+        resumeCheckpointedSession(saved);
+    } else {
+        startSession();
+        if (request.taskName) {
+            setTaskName(request.taskName);
+        }
+    }
+
+    if (owner) {
+        owners.add(owner);
+        endsWithOwners = true;
+    }
+
+    // Idle detection only makes sense while a command runs; manual sessions
+    // cover reading and reviewing, where files don't change
+    if (request.idleDetection) {
+        startIdleDetection(getIdleTimeoutMs());
+    }
+
+    return { attached: false };
+}
+
+/**
+ * Detach a wrapped command; the session ends with its last one
+ */
+async function handleRelease(request) {
+    owners.delete(request.owner);
+    if (endsWithOwners && owners.size === 0) {
+        const saved = await shutdown();
+        return { stopped: true, saved };
+    }
+    return { stopped: false };
+}
+
+/**
+ * Dispatch one request
+ */
+async function handleRequest(request) {
+    switch (request.command) {
+        case 'status':
+            return getStatus();
+        case 'start':
+            return { ...(await handleStart(request)), ...getStatus() };
+        case 'stop': {
+            if (!isSessionActive()) {
+                throw new Error('No active session');
+            }
+            const saved = await shutdown();
+            return { ...getStatus(), saved };
+        }
+        case 'pause':
+            return { success: pauseSession(), ...getStatus() };
+        case 'resume':
+            return { success: resumeSession(), ...getStatus() };
+        case 'task':
+            if (typeof request.taskName !== 'string' || !request.taskName.trim()) {
+                throw new Error('taskName is required');
+            }
+            return { success: await switchTask(request.taskName), ...getStatus() };
+        case 'rename':
+            // Names the running session without splitting it (used right after start)
+            if (typeof request.taskName !== 'string' || !request.taskName.trim()) {
+                throw new Error('taskName is required');
+            }
+            setTaskName(request.taskName);
+            return getStatus();
+        case 'activity':
+            recordActivity();
+            return {};
+        case 'release':
+            return handleRelease(request);
+        default:
+            throw new Error(`Unknown command: ${request.command}`);
+    }
+}
+
+/**
+ * Handle a client connection (one JSON request per line)
+ */
+function handleConnection(socket) {
+    let buffer = '';
+    socket.setEncoding('utf8');
+
+    socket.on('data', (chunk) => {
+        buffer += chunk;
+        if (buffer.length > MAX_REQUEST_BYTES) {
+            socket.destroy();
+            return;
+        }
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+
+            let request;
+            try {
+                request = JSON.parse(line);
+            } catch {
+                socket.write(JSON.stringify({ ok: false, error: 'Invalid request' }) + '\n');
+                continue;
+            }
+
+            handleRequest(request)
+                .then(data => ({ ok: true, ...data }))
+                .catch(err => ({ ok: false, error: err.message }))
+                .then(response => {
+                    if (!socket.destroyed) {
+                        socket.write(JSON.stringify(response) + '\n');
+                    }
+                });
+        }
+    });
+
+    socket.on('error', () => {
+        // Client went away, nothing to do
+    });
+}
+
+/**
+ * End the session when every wrapped command that owned it has died without releasing it
+ */
+function watchOwners() {
+    const timer = setInterval(() => {
+        for (const pid of owners) {
+            if (!isProcessAlive(pid)) {
+                owners.delete(pid);
+            }
+        }
+        if (endsWithOwners && owners.size === 0 && isSessionActive()) {
+            console.log('[Daemon] Wrapped command is gone, ending session.');
+            shutdown();
+        }
+    }, OWNER_CHECK_INTERVAL_MS);
+    timer.unref();
+}
+
+/**
+ * Run the daemon in the current process
+ */
+export async function runDaemon() {
+    // Another daemon may have won a startup race
+    if (await isDaemonRunning()) {
+        console.error('[Daemon] Already running for this project.');
+        process.exit(0);
+    }
+
+    ensureDaemonDir();
+    const { socketPath } = getDaemonPaths();
+
+    // A socket file left by a crashed daemon blocks listen()
+    if (process.platform !== 'win32' && fs.existsSync(socketPath)) {
+        fs.unlinkSync(socketPath);
+    }
+
+    // Imported lazily so the stats cache is only loaded inside the daemon
+    const { startServer } = await import('./server.js');
+    guiServer = await startServer({ openBrowser: false });
+    guiUrl = `http://localhost:${guiServer.address().port}`;
+
+    socketServer = net.createServer(handleConnection);
+    socketServer.listen(socketPath, () => {
+        if (process.platform !== 'win32') {
+            fs.chmodSync(socketPath, 0o600);
+        }
+        console.log(`[Daemon] Listening for ${process.cwd()} (pid ${process.pid})`);
+    });
+
+    watchOwners();
+
+    // Don't linger if the client that spawned us never starts a session
+    setTimeout(() => {
+        if (!isSessionActive()) {
+            shutdown();
+        }
+    }, STARTUP_GRACE_MS);
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+export default {
+    runDaemon,
+};
@@ -0,0 +1,184 @@
+/**
+ * Session export formats
+ *
+ * Serializers take sessions in the shape returned by store.getSessions() and
+ * return the whole document as a string.
+ */
+
+import { getSessionSegments, sumSegments } from './segments.js';
+
+export const EXPORT_FORMATS = ['csv', 'json', 'ndjson', 'ics'];
+
+const CSV_COLUMNS = ['id', 'start', 'end', 'duration_ms', 'duration_hours', 'task', 'member', 'branch', 'source', 'repo'];
+
+/**
+ * Flatten a session into an export record
+ * @param {Object} session - Session from store.getSessions()
+ * @param {string|null} repo - Repository full name
+ */
+export function toExportRecord(session, repo = null) {
+    const segments = getSessionSegments(session);
+    const durationMs = sumSegments(segments);
+    return {
+        id: session.clientId || null,
+        start: new Date(session.start).toISOString(),
+        end: new Date(session.end).toISOString(),
+        duration_ms: durationMs,
+        duration_hours: Math.round((durationMs / 3600000) * 100) / 100,
+        task: session.taskName || null,
+        member: session.member || null,
+        branch: session.branch || null,
+        source: session.source || 'timer',
+        repo,
+        segments: segments.map(seg => ({
+            start: new Date(seg.start).toISOString(),
+            end: new Date(seg.end).toISOString(),
+        })),
+    };
+}
+
+function escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Task names are user input; keep spreadsheets from running them as formulas
+    if (typeof value === 'string' && /^[=+\-@\t]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function toCsv(records) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const record of records) {
+        lines.push(CSV_COLUMNS.map(column => escapeCsv(record[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+function toJson(records) {
+    return JSON.stringify(records, null, 2) + '\n';
+}
+
+function toNdjson(records) {
+    return records.map(record => JSON.stringify(record) + '\n').join('');
+}
+
+/**
+ * UTC date-time in iCalendar form (20260918T140000Z)
+ */
+function formatIcsDate(iso) {
+    return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets as RFC 5545 requires
+ */
+function foldIcsLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char, 'utf8');
+        // Continuation lines start with a space, which counts toward their 75
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + size > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatHours(ms) {
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function toIcs(records) {
+    const stamp = formatIcsDate(new Date().toISOString());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//dev-timr//Session Export//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:dev-timr',
+    ];
+
+    for (const record of records) {
+        const title = record.task || 'Coding';
+        const summary = record.repo ? `${title} (${record.repo})` : title;
+        const details = [
+            `Active time: ${formatHours(record.duration_ms)}`,
+            record.member && `Member: ${record.member}`,
+            record.branch && `Branch: ${record.branch}`,
+            record.source === 'manual' && 'Logged manually',
+        ].filter(Boolean).join('\n');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${record.id || `${record.start}-${record.end}`}@dev-timr`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatIcsDate(record.start)}`,
+            `DTEND:${formatIcsDate(record.end)}`,
+            `SUMMARY:${escapeIcsText(summary)}`,
+            `DESCRIPTION:${escapeIcsText(details)}`,
+            'CATEGORIES:dev-timr',
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize sessions in one of EXPORT_FORMATS
+ * @param {Array<Object>} sessions - Sessions from store.getSessions()
+ * @param {string} format - csv, json, ndjson or ics
+ * @param {Object} options
+ * @param {string|null} options.repo - Repository full name added to each record
+ * @returns {string}
+ */
+export function formatSessions(sessions, format, { repo = null } = {}) {
+    const records = sessions.map(session => toExportRecord(session, repo));
+
+    switch (format) {
+        case 'csv':
+            return toCsv(records);
+        case 'json':
+            return toJson(records);
+        case 'ndjson':
+            return toNdjson(records);
+        case 'ics':
+            return toIcs(records);
+        default:
+            throw new Error(`Unknown export format: ${format} (choose from ${EXPORT_FORMATS.join(', ')})`);
+    }
+}
+
+export default {
+    EXPORT_FORMATS,
+    toExportRecord,
+    formatSessions,
+};
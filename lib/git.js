@@ -1,110 +1,333 @@
 import fs from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
+import { execSync, execFileSync } from 'child_process';
+import config from './config.js';
+
+// Host assumed for repositories named without one ("owner/repo"), and for
+// repositories recorded before hosts were part of a repository's identity
+export const DEFAULT_GIT_HOST = 'github.com';
+
+// Host of identities made from a repository's root commit when it has no usable remote
+export const LOCAL_GIT_HOST = 'local';
+
+// Checked-in project file that can pin a repository's identity or pick its remote
+export const PROJECT_CONFIG_FILE = '.dev-timr.json';
+
+// scheme://[user@]host[:port]/path (https, http, ssh, git, git+ssh)
+const URL_REMOTE = /^(?:https?|ssh|git|git\+ssh|ssh\+git):\/\/(?:[^@/]+@)?(\[[^\]]+\]|[^/:]+)(?::\d*)?\/(.+)$/i;
+
+// scp-like SSH: [user@]host:path
+const SCP_REMOTE = /^(?:[^@/]+@)?([^/:\s]+):(?!\/)(.+)$/;
 
 /**
- * Parse git remote URL to extract owner and repo name
- * Supports both HTTPS and SSH formats:
- * - https://github.com/owner/repo.git
+ * Build a repository identity from a host and a path
+ * Everything before the last path segment is the namespace, so GitLab
+ * subgroups ("group/sub/repo") keep their full path.
+ * @returns {{host: string, owner: string, repo: string, fullName: string}|null}
+ */
+function toRepoInfo(host, repoPath) {
+    const segments = repoPath.split('/').filter(Boolean);
+    if (segments.length < 2 || segments.some(segment => segment === '.' || segment === '..')) {
+        return null;
+    }
+
+    const repo = {
+        host: host.toLowerCase(),
+        owner: segments.slice(0, -1).join('/'),
+        repo: segments[segments.length - 1],
+    };
+    return { ...repo, fullName: formatRepoName(repo) };
+}
+
+/**
+ * Parse a git remote URL into the repository's host, namespace and name
+ * Supports:
+ * - https://github.com/owner/repo.git (also with user@ or :port)
  * - git@github.com:owner/repo.git
+ * - ssh://git@host:2222/owner/repo.git and git://host/owner/repo
+ * - Nested namespaces, e.g. git@gitlab.com:group/subgroup/repo.git
+ * Bitbucket and self-hosted servers work the same way. The port is not part
+ * of the identity, so SSH and HTTPS remotes of one repository match.
+ * @returns {{host: string, owner: string, repo: string, fullName: string}|null}
  */
-function parseGitUrl(url) {
+export function parseGitUrl(url) {
     if (!url) return null;
 
-    // Remove trailing .git if present
-    url = url.replace(/\.git$/, '').trim();
+    // Remove trailing slashes and .git if present
+    url = url.trim().replace(/\/+$/, '').replace(/\.git$/, '');
 
-    // SSH format: git@github.com:owner/repo
-    const sshMatch = url.match(/git@[\w.-]+:(.+)\/(.+)$/);
-    if (sshMatch) {
-        return {
-            owner: sshMatch[1],
-            repo: sshMatch[2],
-            fullName: `${sshMatch[1]}/${sshMatch[2]}`,
-        };
+    const urlMatch = url.match(URL_REMOTE);
+    if (urlMatch) {
+        return toRepoInfo(urlMatch[1], urlMatch[2]);
     }
 
-    // HTTPS format: https://github.com/owner/repo
-    const httpsMatch = url.match(/https?:\/\/[\w.-]+\/(.+)\/(.+)$/);
-    if (httpsMatch) {
-        return {
-            owner: httpsMatch[1],
-            repo: httpsMatch[2],
-            fullName: `${httpsMatch[1]}/${httpsMatch[2]}`,
-        };
+    const scpMatch = url.match(SCP_REMOTE);
+    if (scpMatch) {
+        return toRepoInfo(scpMatch[1], scpMatch[2]);
     }
 
     return null;
 }
 
 /**
- * Get the git remote origin URL from current directory
+ * Display name of a repository: "owner/repo" on GitHub, "host/namespace/repo" elsewhere
+ * @param {{host?: string, owner: string, repo: string}} repo
+ */
+export function formatRepoName(repo) {
+    const host = repo.host || DEFAULT_GIT_HOST;
+    return host === DEFAULT_GIT_HOST ? `${repo.owner}/${repo.repo}` : `${host}/${repo.owner}/${repo.repo}`;
+}
+
+/**
+ * Key identifying a repository across hosts: "host/namespace/repo"
+ * Repositories recorded without a host are on DEFAULT_GIT_HOST.
+ * @param {{host?: string, owner: string, repo: string}} repo
+ */
+export function getRepoKey(repo) {
+    return `${repo.host || DEFAULT_GIT_HOST}/${repo.owner}/${repo.repo}`;
+}
+
+/**
+ * Parse a repository name as typed by a user: "owner/repo" (GitHub),
+ * "host/namespace/repo", or a remote URL
+ * A leading segment is a host when it contains a dot or a port, or is "localhost"
+ * or LOCAL_GIT_HOST.
+ * @returns {{host: string, owner: string, repo: string, fullName: string}|null}
  */
-function getOriginUrl() {
+export function parseRepoName(name) {
+    const value = String(name || '').trim();
+    if (!value) return null;
+
+    if (/^[\w+]+:\/\//.test(value) || /^[^/\s]+@[^/\s]+:/.test(value)) {
+        return parseGitUrl(value);
+    }
+
+    const segments = value.replace(/\.git$/, '').split('/').filter(Boolean);
+    if (segments.length >= 3 && (/[.:]/.test(segments[0]) || ['localhost', LOCAL_GIT_HOST].includes(segments[0]))) {
+        return toRepoInfo(segments[0].replace(/:\d*$/, ''), segments.slice(1).join('/'));
+    }
+    return toRepoInfo(DEFAULT_GIT_HOST, segments.join('/'));
+}
+
+/**
+ * Get the URLs of a directory's git remotes
+ * @returns {Map<string, string>} Remote name -> URL, in the order git lists them
+ */
+function getRemoteUrls(cwd = process.cwd()) {
+    const remotes = new Map();
     try {
         // Try using git command first (more reliable)
-        const url = execSync('git config --get remote.origin.url', {
+        const output = execSync('git config --get-regexp "^remote\\..*\\.url$"', {
+            cwd,
             encoding: 'utf8',
             stdio: ['pipe', 'pipe', 'pipe'],
-        }).trim();
-        return url;
+        });
+        for (const line of output.split('\n')) {
+            const match = line.match(/^remote\.(.+)\.url\s+(.+)$/);
+            if (match) remotes.set(match[1], match[2].trim());
+        }
+        return remotes;
     } catch (err) {
-        // Fall back to parsing .git/config file
+        // No remotes (git exits with 1), or no git: fall back to parsing .git/config
         try {
-            const gitConfigPath = path.join(process.cwd(), '.git', 'config');
+            const gitConfigPath = path.join(cwd, '.git', 'config');
             if (!fs.existsSync(gitConfigPath)) {
-                return null;
+                return remotes;
             }
 
             const content = fs.readFileSync(gitConfigPath, 'utf8');
-            const match = content.match(/\[remote "origin"\][^[]*url\s*=\s*(.+)/);
-            return match ? match[1].trim() : null;
+            for (const match of content.matchAll(/\[remote "([^"]+)"\][^[]*?url\s*=\s*(.+)/g)) {
+                remotes.set(match[1], match[2].trim());
+            }
+            return remotes;
         } catch (err) {
-            return null;
+            return remotes;
         }
     }
 }
 
 /**
- * Check if current directory is a git repository
+ * Hash of the repository's first commit, the same in every clone
+ * A history with several roots (merged unrelated histories) uses the smallest hash.
  */
-export function isGitRepo() {
+function getRootCommit(cwd = process.cwd()) {
+    try {
+        const roots = execSync('git rev-list --max-parents=0 HEAD', {
+            cwd,
+            encoding: 'utf8',
+            stdio: ['pipe', 'pipe', 'pipe'],
+        }).split('\n').map(line => line.trim()).filter(Boolean).sort();
+        return roots[0] || null;
+    } catch (err) {
+        // No commits yet
+        return null;
+    }
+}
+
+// Project files that were already reported as unusable
+const reportedProjectFiles = new Set();
+
+/**
+ * Read the checked-in project file (.dev-timr.json) at the top of a project
+ * An unreadable or invalid file is reported once and otherwise ignored.
+ * @returns {{repo?: string, remote?: string}|null}
+ */
+function readProjectConfig(dir) {
+    const file = path.join(dir, PROJECT_CONFIG_FILE);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    const report = (problem) => {
+        if (!reportedProjectFiles.has(file)) {
+            reportedProjectFiles.add(file);
+            console.warn(`⚠️  Ignoring ${file}: ${problem}`);
+        }
+    };
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        report(err.message);
+        return null;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        report('expected a JSON object');
+        return null;
+    }
+    if (data.repo !== undefined && !parseRepoName(data.repo)) {
+        report(`"repo" must be "owner/repo" or "host/namespace/repo", not ${JSON.stringify(data.repo)}`);
+        return null;
+    }
+    if (data.remote !== undefined && (typeof data.remote !== 'string' || !data.remote.trim())) {
+        report('"remote" must be the name of a git remote');
+        return null;
+    }
+    return data;
+}
+
+/**
+ * Check if a directory (default: current) is inside a git repository
+ */
+export function isGitRepo(cwd = process.cwd()) {
     try {
         execSync('git rev-parse --git-dir', {
+            cwd,
             stdio: ['pipe', 'pipe', 'pipe'],
         });
         return true;
     } catch (err) {
-        return fs.existsSync(path.join(process.cwd(), '.git'));
+        return fs.existsSync(path.join(cwd, '.git'));
     }
 }
 
 /**
- * Get repository information from current directory
- * @returns {{ owner: string, repo: string, fullName: string } | null}
+ * Get repository information for a directory (default: current)
+ *
+ * The identity is resolved in this order:
+ * 1. "repo" pinned in the project's checked-in .dev-timr.json
+ * 2. The preferred remote: "remote" in .dev-timr.json, else the `remote`
+ *    setting (DEV_TIMR_REMOTE), e.g. "upstream" to count a fork's time
+ *    toward the original project
+ * 3. The "origin" remote, or the only remote if there is just one
+ * 4. A local identity from the root commit hash (host "local"), which is
+ *    the same in every clone but can't be synced
+ * @returns {{ host: string, owner: string, repo: string, fullName: string, source: 'pinned'|'remote'|'local' } | null}
  */
-export function getRepoInfo() {
-    if (!isGitRepo()) {
+export function getRepoInfo(cwd = process.cwd()) {
+    const root = getRepoRoot(cwd);
+    const project = readProjectConfig(root || cwd);
+
+    if (project?.repo) {
+        return { ...parseRepoName(project.repo), source: 'pinned' };
+    }
+    if (!root && !isGitRepo(cwd)) {
         return null;
     }
 
-    const originUrl = getOriginUrl();
-    if (!originUrl) {
+    const remotes = getRemoteUrls(root || cwd);
+    const preferred = [project?.remote, config.remote, 'origin']
+        .map(name => (typeof name === 'string' ? name.trim() : ''))
+        .filter(Boolean);
+    if (remotes.size === 1) {
+        preferred.push(...remotes.keys());
+    }
+
+    for (const name of preferred) {
+        const repo = parseGitUrl(remotes.get(name));
+        if (repo) {
+            return { ...repo, source: 'remote' };
+        }
+    }
+
+    const rootCommit = getRootCommit(root || cwd);
+    if (!rootCommit) {
+        return null;
+    }
+    const repo = { host: LOCAL_GIT_HOST, owner: 'commit', repo: rootCommit };
+    return { ...repo, fullName: formatRepoName(repo), source: 'local' };
+}
+
+/**
+ * Get the top-level directory of the repository containing cwd
+ */
+export function getRepoRoot(cwd = process.cwd()) {
+    try {
+        return execSync('git rev-parse --show-toplevel', {
+            cwd,
+            encoding: 'utf8',
+            stdio: ['pipe', 'pipe', 'pipe'],
+        }).trim();
+    } catch (err) {
         return null;
     }
+}
 
-    return parseGitUrl(originUrl);
+/**
+ * Get the absolute path of the .git directory (worktrees have their own)
+ */
+export function getGitDir(cwd = process.cwd()) {
+    try {
+        return execSync('git rev-parse --absolute-git-dir', {
+            cwd,
+            encoding: 'utf8',
+            stdio: ['pipe', 'pipe', 'pipe'],
+        }).trim();
+    } catch (err) {
+        return null;
+    }
 }
 
 /**
  * Get current git branch name
+ * @returns {string|null} null outside a repository and while HEAD is detached
  */
-export function getCurrentBranch() {
+export function getCurrentBranch(cwd = process.cwd()) {
     try {
-        return execSync('git rev-parse --abbrev-ref HEAD', {
+        return execSync('git symbolic-ref --short -q HEAD', {
+            cwd,
             encoding: 'utf8',
             stdio: ['pipe', 'pipe', 'pipe'],
-        }).trim();
+        }).trim() || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Get the commit hash HEAD (or another revision) points to
+ * @param {string} [rev] - e.g. "refs/heads/main"
+ * @returns {string|null} null before the first commit or if rev doesn't exist
+ */
+export function getHeadCommit(cwd = process.cwd(), rev = 'HEAD') {
+    try {
+        // Branch names may contain shell characters, so no shell here
+        return execFileSync('git', ['rev-parse', '--verify', '-q', `${rev}^{commit}`], {
+            cwd,
+            encoding: 'utf8',
+            stdio: ['pipe', 'pipe', 'pipe'],
+        }).trim() || null;
     } catch (err) {
         return null;
     }
@@ -139,9 +362,16 @@ export function getGitUserEmail() {
 }
 
 export default {
+    parseGitUrl,
+    parseRepoName,
+    formatRepoName,
+    getRepoKey,
     getRepoInfo,
+    getRepoRoot,
     isGitRepo,
+    getGitDir,
     getCurrentBranch,
+    getHeadCommit,
     getGitUserName,
     getGitUserEmail,
 };
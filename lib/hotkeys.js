@@ -0,0 +1,90 @@
+/**
+ * Terminal hotkeys for a wrapped command
+ *
+ * The terminal is put in raw mode so single keypresses reach us. Everything
+ * that isn't a hotkey is forwarded to the child's stdin, and Ctrl+C still
+ * interrupts both the child and dev-timr like it would without raw mode.
+ */
+
+const CTRL_C = 0x03;
+const CTRL_T = 0x14;
+
+/**
+ * Check if hotkeys can be used (needs an interactive terminal)
+ */
+export function canUseHotkeys() {
+    return !!process.stdin.isTTY && typeof process.stdin.setRawMode === 'function';
+}
+
+/**
+ * Listen for hotkeys while the child runs
+ * @param {ChildProcess} child - Child spawned with a stdin pipe
+ * @param {Object} handlers
+ * @param {Function} handlers.onSwitchTask - Async handler for Ctrl+T; may prompt on the terminal
+ * @returns {Function} Detach function restoring the terminal
+ */
+export function attachHotkeys(child, { onSwitchTask }) {
+    if (!canUseHotkeys() || !child.stdin) {
+        return () => { };
+    }
+
+    const stdin = process.stdin;
+    let busy = false;
+
+    const enable = () => {
+        stdin.setRawMode(true);
+        stdin.on('data', onData);
+        stdin.resume();
+    };
+
+    const disable = () => {
+        stdin.off('data', onData);
+        stdin.setRawMode(false);
+    };
+
+    async function onData(data) {
+        if (data.includes(CTRL_C)) {
+            // Raw mode swallows the terminal's SIGINT, so deliver it ourselves
+            child.kill('SIGINT');
+            process.kill(process.pid, 'SIGINT');
+            return;
+        }
+
+        if (data.length === 1 && data[0] === CTRL_T) {
+            if (busy) return;
+            busy = true;
+            // Hand the terminal back so the handler can prompt normally
+            disable();
+            try {
+                await onSwitchTask();
+            } catch (err) {
+                console.error('Task switch failed:', err.message);
+            } finally {
+                busy = false;
+                enable();
+            }
+            return;
+        }
+
+        if (!child.stdin.destroyed) {
+            child.stdin.write(data);
+        }
+    }
+
+    // Writes to an exited child's stdin fail with EPIPE; the exit handler deals with that
+    child.stdin.on('error', () => { });
+
+    enable();
+
+    return () => {
+        if (!busy) {
+            disable();
+        }
+        stdin.pause();
+    };
+}
+
+export default {
+    canUseHotkeys,
+    attachHotkeys,
+};
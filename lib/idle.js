@@ -0,0 +1,186 @@
+import fs from 'fs';
+import path from 'path';
+
+// Paths that change on their own and say nothing about the developer being active
+const IGNORED_SEGMENTS = new Set(['.git', 'node_modules', '.dev-clock.json']);
+
+// How often the idle threshold is checked
+const CHECK_INTERVAL_MS = 5 * 1000;
+
+// Directories watched one by one at most (Linux uses an inotify watch for each,
+// and they are limited per user by fs.inotify.max_user_watches)
+const MAX_WATCHED_DIRS = 2000;
+
+/**
+ * Check if a changed path should be ignored
+ */
+function isIgnored(filename) {
+    if (!filename) return false;
+    return filename.split(path.sep).some(segment => IGNORED_SEGMENTS.has(segment));
+}
+
+/**
+ * Entries of a directory that aren't ignored
+ */
+function readEntries(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true }).filter(entry => !IGNORED_SEGMENTS.has(entry.name));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Directories under root (root included) that aren't ignored; symlinks are not followed
+ * @returns {Array<string>|null} null if there are more than limit
+ */
+function listDirectories(root, limit) {
+    const dirs = [];
+    const pending = [root];
+    while (pending.length > 0) {
+        const dir = pending.pop();
+        dirs.push(dir);
+        if (dirs.length > limit) return null;
+        for (const entry of readEntries(dir)) {
+            if (entry.isDirectory()) pending.push(path.join(dir, entry.name));
+        }
+    }
+    return dirs;
+}
+
+/**
+ * Watch a project for file changes, leaving out ignored directories
+ * Recursive watches on Linux add a watch for every directory below them,
+ * node_modules and .git included, so there each directory that isn't ignored
+ * is watched on its own, up to MAX_WATCHED_DIRS. Elsewhere the OS watches
+ * whole trees cheaply, so each top-level entry that isn't ignored is watched
+ * recursively.
+ * @param {string} root
+ * @param {Function} onChange - Called for every change that isn't ignored
+ * @returns {{close: Function}|null} null if the project is too big to watch or watching failed
+ */
+function watchProject(root, onChange) {
+    const watchers = new Map();
+
+    const close = () => {
+        for (const watcher of watchers.values()) watcher.close();
+        watchers.clear();
+    };
+
+    const watch = (target, recursive) => {
+        if (watchers.has(target)) return;
+        const watcher = fs.watch(target, { recursive }, (eventType, filename) => {
+            const relative = filename ? path.join(path.relative(root, target), filename.toString()) : null;
+            if (isIgnored(relative)) return;
+            onChange();
+
+            // Directories created later are watched too (Linux only; elsewhere recursion covers them)
+            if (!recursive && filename && eventType === 'rename' && watchers.size < MAX_WATCHED_DIRS) {
+                const created = path.join(target, filename.toString());
+                try {
+                    if (fs.lstatSync(created).isDirectory()) watch(created, false);
+                } catch {
+                    // Removed again, or it was a deletion
+                }
+            }
+        });
+        watcher.on('error', () => {
+            // Typically the directory was deleted
+            watcher.close();
+            watchers.delete(target);
+        });
+        watchers.set(target, watcher);
+    };
+
+    try {
+        if (process.platform === 'linux') {
+            const dirs = listDirectories(root, MAX_WATCHED_DIRS);
+            if (!dirs) {
+                console.error(`[Idle] More than ${MAX_WATCHED_DIRS} directories in the project, not watching files.`);
+                return null;
+            }
+            dirs.forEach(dir => watch(dir, false));
+        } else {
+            // Files at the top level are covered by a plain watch of the root
+            watch(root, false);
+            for (const entry of readEntries(root)) {
+                if (entry.isDirectory()) watch(path.join(root, entry.name), true);
+            }
+        }
+    } catch (err) {
+        // e.g. inotify limits reached
+        console.error('[Idle] Could not watch files:', err.message);
+        close();
+        return null;
+    }
+
+    return { close };
+}
+
+/**
+ * Create an idle detector
+ * Activity is reported through touch() and by file changes under cwd;
+ * restart() starts the countdown over (e.g. after a manual resume).
+ * Once nothing happens for thresholdMs, onIdle(lastActivityAt) is called;
+ * the next activity after that calls onActive().
+ * Without file watching (too many directories, watch limits) the detector only
+ * goes idle once touch() has shown there is another source of activity;
+ * otherwise every session would pause after thresholdMs.
+ * @param {Object} options
+ * @param {number} options.thresholdMs - Inactivity before going idle
+ * @param {string} [options.cwd] - Directory to watch for file changes (null to skip)
+ * @param {Function} options.onIdle - Called with the time of the last activity
+ * @param {Function} options.onActive - Called when activity resumes after idling
+ */
+export function createIdleDetector({ thresholdMs, cwd = process.cwd(), onIdle, onActive }) {
+    let lastActivityAt = Date.now();
+    let idle = false;
+    let watcher = null;
+    let touched = false;
+
+    const markActive = () => {
+        lastActivityAt = Date.now();
+        if (idle) {
+            idle = false;
+            onActive();
+        }
+    };
+
+    const touch = () => {
+        touched = true;
+        markActive();
+    };
+
+    const check = () => {
+        if (!watcher && !touched) return;
+        if (!idle && Date.now() - lastActivityAt >= thresholdMs) {
+            idle = true;
+            onIdle(lastActivityAt);
+        }
+    };
+
+    const timer = setInterval(check, Math.min(CHECK_INTERVAL_MS, thresholdMs));
+    timer.unref();
+
+    if (cwd) {
+        watcher = watchProject(cwd, markActive);
+    }
+
+    return {
+        touch,
+        // Start the idle countdown over without counting as a source of activity
+        restart: markActive,
+        isIdle: () => idle,
+        stop() {
+            clearInterval(timer);
+            if (watcher) {
+                watcher.close();
+                watcher = null;
+            }
+        },
+    };
+}
+
+export default {
+    createIdleDetector,
+};
@@ -0,0 +1,474 @@
+/**
+ * Importers for other time trackers
+ *
+ * Each importer turns an export file into entries of the same shape:
+ *   { externalId, start, end, project, task, description, tags, branch, user }
+ * where user ({name, email, id}, or null) is whose entry it is in a team
+ * workspace export. Entries are then mapped onto repositories and task names,
+ * and given a deterministic clientId so importing the same file twice never
+ * duplicates sessions (locally or in the cloud).
+ *
+ * Supported files:
+ * - Toggl Track: detailed report CSV, time entries JSON (API v9 or reports API)
+ * - Clockify: detailed report CSV, time entries JSON
+ * - WakaTime: durations JSON (API) and the data dump JSON (heartbeats)
+ */
+
+import crypto from 'crypto';
+import { parseRepoName } from './git.js';
+
+export const IMPORT_TOOLS = ['toggl', 'clockify', 'wakatime'];
+
+// WakaTime joins heartbeats less than this far apart into one session (its default)
+const WAKATIME_TIMEOUT_MS = 15 * 60 * 1000;
+
+// ============= CSV =============
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, newlines in quotes)
+ * @returns {Array<Object>} One object per row, keyed by header
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip a byte order mark some tools put in front
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+    if (!header) return [];
+
+    const keys = header.map(h => h.trim());
+    return records.map(record => Object.fromEntries(keys.map((key, i) => [key, (record[i] ?? '').trim()])));
+}
+
+/**
+ * Combine a date and a time from a CSV export into epoch ms (local time)
+ * Dates: YYYY-MM-DD, MM/DD/YYYY (or DD/MM/YYYY with dayFirst), DD.MM.YYYY
+ * Times: HH:MM[:SS] with optional AM/PM
+ */
+function parseLocalDateTime(dateText, timeText, { dayFirst = false } = {}) {
+    let year, month, day;
+    let match;
+
+    if ((match = dateText.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+        [, year, month, day] = match;
+    } else if ((match = dateText.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+        [, month, day, year] = match;
+        if (dayFirst) [month, day] = [day, month];
+    } else if ((match = dateText.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/))) {
+        [, day, month, year] = match;
+    } else {
+        return null;
+    }
+
+    const time = timeText.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?$/i);
+    if (!time) return null;
+
+    let hours = Number(time[1]);
+    const meridiem = time[4]?.toLowerCase();
+    if (meridiem === 'pm' && hours !== 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+
+    const result = new Date(Number(year), Number(month) - 1, Number(day), hours, Number(time[2]), Number(time[3] || 0));
+    return Number.isNaN(result.getTime()) ? null : result.getTime();
+}
+
+function splitTags(text) {
+    return (text || '').split(',').map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Stable ID for entries the source tool exported without one
+ */
+function hashEntry(...parts) {
+    return crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex').slice(0, 24);
+}
+
+/**
+ * Whose entry it is, from the user columns or fields of team exports
+ * @returns {{name: string|null, email: string|null, id: string|null}|null} null when not recorded
+ */
+function toEntryUser(name, email, id) {
+    if (!name && !email && (id === undefined || id === null || id === '')) return null;
+    return { name: name || null, email: email || null, id: id !== undefined && id !== null && id !== '' ? String(id) : null };
+}
+
+/**
+ * Hash parts identifying an entry; the user is added when there is one, so two
+ * people with the same entry in a team export get different IDs (client IDs
+ * are unique across all users) while entries of personal exports keep theirs
+ */
+function entryHashParts(user, ...parts) {
+    const key = user && (user.email || user.name || user.id);
+    return key ? [...parts, key.toLowerCase()] : parts;
+}
+
+// ============= TOGGL =============
+
+function parseTogglCsv(rows) {
+    return rows.map(row => {
+        const start = parseLocalDateTime(row['Start date'], row['Start time']);
+        const end = parseLocalDateTime(row['End date'], row['End time']);
+        const user = toEntryUser(row.User, row.Email);
+        return {
+            externalId: hashEntry(...entryHashParts(user, row['Start date'], row['Start time'], row['End date'], row['End time'], row.Project, row.Description)),
+            start,
+            end,
+            project: row.Project || null,
+            task: row.Task || null,
+            description: row.Description || null,
+            tags: splitTags(row.Tags),
+            user,
+        };
+    });
+}
+
+function parseTogglJson(data) {
+    const entries = Array.isArray(data) ? data : data.data;
+    return entries.map(entry => {
+        const user = toEntryUser(entry.username || entry.user_name, entry.email || entry.user_email, entry.user_id);
+        return {
+            externalId: entry.id !== undefined ? String(entry.id) : hashEntry(...entryHashParts(user, entry.start, entry.stop || entry.end, entry.description)),
+            start: Date.parse(entry.start),
+            // Running entries have no stop time yet
+            end: entry.stop || entry.end ? Date.parse(entry.stop || entry.end) : null,
+            project: entry.project_name || (typeof entry.project === 'string' ? entry.project : null),
+            task: entry.task_name || (typeof entry.task === 'string' ? entry.task : null),
+            description: entry.description || null,
+            tags: Array.isArray(entry.tags) ? entry.tags.map(String) : [],
+            user,
+        };
+    });
+}
+
+// ============= CLOCKIFY =============
+
+function parseClockifyCsv(rows, options) {
+    return rows.map(row => {
+        const start = parseLocalDateTime(row['Start Date'], row['Start Time'], options);
+        const end = parseLocalDateTime(row['End Date'], row['End Time'], options);
+        const user = toEntryUser(row.User, row.Email);
+        return {
+            externalId: hashEntry(...entryHashParts(user, row['Start Date'], row['Start Time'], row['End Date'], row['End Time'], row.Project, row.Description)),
+            start,
+            end,
+            project: row.Project || null,
+            task: row.Task || null,
+            description: row.Description || null,
+            tags: splitTags(row.Tags),
+            user,
+        };
+    });
+}
+
+function parseClockifyJson(data) {
+    const entries = Array.isArray(data) ? data : data.timeentries || data.timeEntries || [];
+    return entries.map(entry => {
+        const user = toEntryUser(entry.user?.name || entry.userName, entry.user?.email || entry.userEmail, entry.userId);
+        return {
+            externalId: String(entry.id || entry._id || hashEntry(...entryHashParts(user, entry.timeInterval?.start, entry.description))),
+            start: Date.parse(entry.timeInterval?.start),
+            end: entry.timeInterval?.end ? Date.parse(entry.timeInterval.end) : null,
+            project: entry.project?.name || entry.projectName || null,
+            task: entry.task?.name || entry.taskName || null,
+            description: entry.description || null,
+            tags: Array.isArray(entry.tags) ? entry.tags.map(t => (typeof t === 'string' ? t : t.name)).filter(Boolean) : [],
+            user,
+        };
+    });
+}
+
+// ============= WAKATIME =============
+
+function parseWakatimeDurations(data) {
+    return data.data.map(entry => {
+        const start = Math.round(entry.time * 1000);
+        return {
+            externalId: hashEntry(entry.project, entry.time, entry.duration),
+            start,
+            end: start + Math.round(entry.duration * 1000),
+            project: entry.project || null,
+            task: null,
+            description: null,
+            tags: [],
+            branch: entry.branch || null,
+            user: null,
+        };
+    });
+}
+
+/**
+ * Join heartbeats into sessions per project, like WakaTime's own durations
+ */
+function parseWakatimeDump(data) {
+    const byProject = new Map();
+    for (const day of data.days || []) {
+        for (const beat of day.heartbeats || []) {
+            const project = beat.project || null;
+            if (!byProject.has(project)) byProject.set(project, []);
+            byProject.get(project).push(beat);
+        }
+    }
+
+    const entries = [];
+    for (const [project, beats] of byProject) {
+        beats.sort((a, b) => a.time - b.time);
+        let current = null;
+        for (const beat of beats) {
+            const time = Math.round(beat.time * 1000);
+            if (current && time - current.end <= WAKATIME_TIMEOUT_MS) {
+                current.end = time;
+                continue;
+            }
+            if (current && current.end > current.start) entries.push(current);
+            current = {
+                externalId: hashEntry(project, beat.time),
+                start: time,
+                end: time,
+                project,
+                task: null,
+                description: null,
+                tags: [],
+                branch: beat.branch || null,
+                user: null,
+            };
+        }
+        if (current && current.end > current.start) entries.push(current);
+    }
+    return entries;
+}
+
+// ============= DETECTION =============
+
+/**
+ * Work out which tool produced a file
+ * @returns {string|null} One of IMPORT_TOOLS
+ */
+function detectTool(content, isJson) {
+    if (!isJson) {
+        // CSV: header names differ in case between the two tools
+        const headers = Object.keys(content[0] || {});
+        if (headers.includes('Start date')) return 'toggl';
+        if (headers.includes('Start Date')) return 'clockify';
+        return null;
+    }
+
+    if (Array.isArray(content)) {
+        const sample = content[0] || {};
+        if (sample.timeInterval) return 'clockify';
+        if ('stop' in sample || 'workspace_id' in sample || 'duration' in sample) return 'toggl';
+        return null;
+    }
+
+    if (content && typeof content === 'object') {
+        if (Array.isArray(content.days)) return 'wakatime';
+        if (Array.isArray(content.data) && content.data[0] && 'time' in content.data[0]) return 'wakatime';
+        if (Array.isArray(content.data)) return 'toggl';
+        if (Array.isArray(content.timeentries) || Array.isArray(content.timeEntries)) return 'clockify';
+    }
+
+    return null;
+}
+
+/**
+ * Parse an export file
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {string} [options.tool] - Force a tool instead of detecting it
+ * @param {boolean} [options.dayFirst] - Clockify CSV dates are DD/MM/YYYY
+ * @returns {{tool: string, entries: Array<Object>, invalid: number}}
+ * @throws {Error} If the file isn't recognized
+ */
+export function parseImportFile(text, { tool = null, dayFirst = false } = {}) {
+    let content;
+    let isJson = true;
+    try {
+        content = JSON.parse(text);
+    } catch {
+        isJson = false;
+        content = parseCsv(text);
+    }
+
+    // In JSON mode `content` is the parsed document; in CSV mode it's the rows
+    const detected = tool || detectTool(content, isJson);
+    if (!detected) {
+        throw new Error(`Could not tell which tool this file comes from (pass --tool ${IMPORT_TOOLS.join('|')})`);
+    }
+    if (!IMPORT_TOOLS.includes(detected)) {
+        throw new Error(`Unknown tool "${detected}" (choose from ${IMPORT_TOOLS.join(', ')})`);
+    }
+
+    let entries;
+    if (detected === 'toggl') {
+        entries = isJson ? parseTogglJson(content) : parseTogglCsv(content);
+    } else if (detected === 'clockify') {
+        entries = isJson ? parseClockifyJson(content) : parseClockifyCsv(content, { dayFirst });
+    } else {
+        if (!isJson) throw new Error('WakaTime imports must be JSON (durations or data dump)');
+        entries = Array.isArray(content.days) ? parseWakatimeDump(content) : parseWakatimeDurations(content);
+    }
+
+    const valid = entries.filter(e => Number.isFinite(e.start) && Number.isFinite(e.end) && e.end > e.start);
+    return { tool: detected, entries: valid, invalid: entries.length - valid.length };
+}
+
+// ============= USERS =============
+
+function formatEntryUser(user) {
+    if (!user) return '(unknown)';
+    if (user.name && user.email) return `${user.name} <${user.email}>`;
+    return user.name || user.email || user.id;
+}
+
+function matchesUser(user, who) {
+    const wanted = String(who).trim().toLowerCase();
+    return !!user && [user.name, user.email, user.id].some(value => value && value.toLowerCase() === wanted);
+}
+
+/**
+ * People whose entries are in a (team workspace) export
+ * @returns {Array<string>} One label per person, e.g. "Ada Lovelace <ada@example.com>"
+ */
+export function listEntryUsers(entries) {
+    return [...new Set(entries.filter(entry => entry.user).map(entry => formatEntryUser(entry.user)))].sort();
+}
+
+/**
+ * Keep the entries of one person
+ * @param {Array<Object>} entries - From parseImportFile
+ * @param {string|Array<string>} who - Name, email or user ID as the tool exported it; with
+ *   several candidates the first one matching any entry is used
+ * @returns {{entries: Array<Object>, user: string|null, others: Array<string>}} The person's
+ *   entries, who matched (null if nobody did) and everyone else in the export
+ */
+export function filterEntriesByUser(entries, who) {
+    const candidates = [].concat(who).filter(Boolean);
+    const match = candidates.find(candidate => entries.some(entry => matchesUser(entry.user, candidate)));
+    if (!match) {
+        return { entries: [], user: null, others: listEntryUsers(entries) };
+    }
+
+    const mine = entries.filter(entry => matchesUser(entry.user, match));
+    const others = listEntryUsers(entries.filter(entry => !matchesUser(entry.user, match)));
+    return { entries: mine, user: formatEntryUser(mine[0].user), others };
+}
+
+// ============= MAPPING =============
+
+/**
+ * Parse repeated "from=to" options into a case-insensitive lookup
+ */
+export function parseMappings(values = []) {
+    const map = new Map();
+    for (const value of [].concat(values)) {
+        const index = String(value).lastIndexOf('=');
+        if (index <= 0 || index === value.length - 1) {
+            throw new Error(`Invalid mapping "${value}" (expected "name=target")`);
+        }
+        map.set(value.slice(0, index).trim().toLowerCase(), value.slice(index + 1).trim());
+    }
+    return map;
+}
+
+/**
+ * Parse "owner/repo" or "host/namespace/repo"
+ */
+export function parseRepoTarget(fullName) {
+    const repo = parseRepoName(fullName);
+    if (!repo) {
+        throw new Error(`Invalid repository "${fullName}" (expected owner/repo or host/namespace/repo)`);
+    }
+    return repo;
+}
+
+/**
+ * Turn parsed entries into sessions for dev-timr
+ * - The repository comes from the project mapping, else the default repository
+ * - The task name comes from a mapped tag, else the entry's task, description,
+ *   or project (in that order)
+ * @param {Array<Object>} entries - From parseImportFile
+ * @param {Object} options
+ * @param {string} options.tool - Tool the entries came from (part of the clientId)
+ * @param {Map} options.projectMap - project name → owner/repo
+ * @param {Map} options.tagMap - tag → task name
+ * @param {Object|null} options.defaultRepo - Repo for unmapped projects (null skips them)
+ * @returns {{sessions: Array<Object>, unmapped: Array<string>}} Sessions with repo set,
+ *   and the names of projects that had nowhere to go
+ */
+export function mapEntries(entries, { tool, projectMap = new Map(), tagMap = new Map(), defaultRepo = null }) {
+    const sessions = [];
+    const unmapped = new Set();
+
+    for (const entry of entries) {
+        const mappedRepo = entry.project ? projectMap.get(entry.project.toLowerCase()) : null;
+        const repo = mappedRepo ? parseRepoTarget(mappedRepo) : defaultRepo;
+        if (!repo) {
+            unmapped.add(entry.project || '(no project)');
+            continue;
+        }
+
+        const mappedTag = entry.tags.find(tag => tagMap.has(tag.toLowerCase()));
+        const taskName = (mappedTag && tagMap.get(mappedTag.toLowerCase())) ||
+            entry.task || entry.description || (mappedRepo ? null : entry.project) || null;
+
+        sessions.push({
+            start: entry.start,
+            end: entry.end,
+            segments: [{ start: entry.start, end: entry.end }],
+            taskName,
+            clientId: `import-${tool}-${entry.externalId}`,
+            source: 'import',
+            ...(entry.branch && { branch: entry.branch }),
+            repo,
+        });
+    }
+
+    return { sessions: sessions.sort((a, b) => a.start - b.start), unmapped: [...unmapped] };
+}
+
+export default {
+    IMPORT_TOOLS,
+    parseCsv,
+    parseImportFile,
+    listEntryUsers,
+    filterEntriesByUser,
+    parseMappings,
+    parseRepoTarget,
+    mapEntries,
+};
@@ -0,0 +1,203 @@
+/**
+ * Safe read-modify-write for files shared between processes
+ *
+ * Several dev-timr processes can work on the same files at once: two wrapped
+ * commands in one project, the daemon and `dev-timr log`, every process that
+ * flushes the offline queue. writeFileAtomic() makes each write all-or-nothing,
+ * and withFileLock() serializes read-modify-write cycles with an advisory lock
+ * file next to the data (`<file>.lock`).
+ *
+ * A lock whose owner has exited, or that is older than STALE_LOCK_MS, is stale
+ * and gets broken, so a crash never blocks later runs.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Locks only cover synchronous file work, so anything older was left behind
+export const STALE_LOCK_MS = 10 * 1000;
+
+// How long to wait for a busy lock before giving up (long enough to outlast a stale one)
+const LOCK_TIMEOUT_MS = 15 * 1000;
+const RETRY_DELAY_MS = 20;
+
+// Locks this process holds, by lock path, with their owner record and nesting depth
+const heldLocks = new Map();
+
+const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+    Atomics.wait(sleepBuffer, 0, 0, ms);
+}
+
+/**
+ * Check if a process is still running
+ */
+export function isProcessAlive(pid) {
+    if (!pid) return false;
+    try {
+        // Signal 0 only checks for existence
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // EPERM means the process exists but belongs to someone else
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * Write a file by writing a temp file next to it and renaming it into place
+ * Readers see either the old or the new content, never a torn file
+ * @param {string} filePath - Destination
+ * @param {string|Buffer} data - File content
+ * @param {Object} [options] - fs.writeFileSync options (e.g. mode)
+ */
+export function writeFileAtomic(filePath, data, options = {}) {
+    const tempPath = `${filePath}.${process.pid}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+
+    try {
+        const fd = fs.openSync(tempPath, 'w', options.mode);
+        try {
+            fs.writeFileSync(fd, data, options.encoding ? { encoding: options.encoding } : undefined);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (err) {
+        try {
+            fs.unlinkSync(tempPath);
+        } catch {
+            // Never created or already renamed
+        }
+        throw err;
+    }
+}
+
+function readLockOwner(lockPath) {
+    try {
+        return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Decide whether a lock can be broken
+ * A lock that can't be parsed yet may be in the middle of being written,
+ * so only its age counts
+ */
+function isStale(lockPath, owner) {
+    if (owner && owner.hostname === os.hostname() && !isProcessAlive(owner.pid)) {
+        return true;
+    }
+
+    try {
+        const age = Date.now() - (owner?.acquiredAt ?? fs.statSync(lockPath).mtimeMs);
+        return age > STALE_LOCK_MS;
+    } catch {
+        // Gone already
+        return true;
+    }
+}
+
+/**
+ * Remove a stale lock unless someone replaced it in the meantime
+ * Renaming first means only one of several waiting processes breaks it
+ */
+function breakLock(lockPath, owner) {
+    const claimedPath = `${lockPath}.${process.pid}.stale`;
+    try {
+        fs.renameSync(lockPath, claimedPath);
+    } catch {
+        return; // Someone else got there first
+    }
+
+    const claimed = readLockOwner(claimedPath);
+    if (owner && claimed && (claimed.pid !== owner.pid || claimed.acquiredAt !== owner.acquiredAt)) {
+        // A fresh lock was taken between our check and the rename: put it back
+        try {
+            fs.linkSync(claimedPath, lockPath);
+        } catch {
+            // A newer lock exists; the one we took was released meanwhile
+        }
+    }
+    fs.rmSync(claimedPath, { force: true });
+}
+
+/**
+ * Take the lock, waiting for other processes and breaking stale locks
+ * @returns {Object} The owner record written to the lock file
+ */
+function acquireLock(lockPath) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    const owner = { pid: process.pid, hostname: os.hostname(), acquiredAt: Date.now() };
+
+    for (;;) {
+        try {
+            const fd = fs.openSync(lockPath, 'wx', 0o600);
+            try {
+                fs.writeFileSync(fd, JSON.stringify(owner));
+            } finally {
+                fs.closeSync(fd);
+            }
+            return owner;
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+
+        const current = readLockOwner(lockPath);
+        if (isStale(lockPath, current)) {
+            breakLock(lockPath, current);
+            continue;
+        }
+
+        if (Date.now() > deadline) {
+            const holder = current?.pid ? ` (held by process ${current.pid})` : '';
+            throw new Error(`Timed out waiting for ${path.basename(lockPath)}${holder}`);
+        }
+        sleepSync(RETRY_DELAY_MS + Math.floor(Math.random() * RETRY_DELAY_MS));
+    }
+}
+
+/**
+ * Run fn while holding the advisory lock for filePath
+ * Locks are re-entrant within a process. fn must be synchronous: the lock is
+ * released as soon as it returns, so never hold it across network calls.
+ * @param {string} filePath - File being protected (the lock is `<file>.lock`)
+ * @param {Function} fn - Read-modify-write to run
+ * @returns {*} Whatever fn returns
+ */
+export function withFileLock(filePath, fn) {
+    const lockPath = `${path.resolve(filePath)}.lock`;
+
+    let held = heldLocks.get(lockPath);
+    if (!held) {
+        fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+        held = { owner: acquireLock(lockPath), depth: 0 };
+        heldLocks.set(lockPath, held);
+    }
+    held.depth++;
+
+    try {
+        return fn();
+    } finally {
+        held.depth--;
+        if (held.depth === 0) {
+            heldLocks.delete(lockPath);
+            // Don't remove a lock someone else took after breaking ours as stale
+            const current = readLockOwner(lockPath);
+            if (current?.pid === held.owner.pid && current?.acquiredAt === held.owner.acquiredAt) {
+                fs.rmSync(lockPath, { force: true });
+            }
+        }
+    }
+}
+
+export default {
+    STALE_LOCK_MS,
+    isProcessAlive,
+    writeFileAtomic,
+    withFileLock,
+};
@@ -0,0 +1,248 @@
+/**
+ * Calendar periods (days, weeks, months) in an explicit timezone
+ *
+ * Every "today / this week / this month" total, daily chart and report group
+ * goes through this module, locally and for cloud data alike, so the same
+ * session always lands on the same day. Days start at midnight in the
+ * configured IANA timezone (default: the system's), weeks on the configured
+ * weekday (default: Sunday).
+ *
+ * Midnights are computed from the timezone's rules rather than by adding 24h,
+ * so days around DST changes are 23 or 25 hours long, as they should be.
+ */
+
+import config from './config.js';
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_WEEK_START = 'sunday';
+
+// Intl formatters are slow to create, so keep one per timezone
+const formatters = new Map();
+
+let warnedTimeZone = null;
+
+function getSystemTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Check that a timezone name is one Intl knows (e.g. "Europe/Berlin")
+ */
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Parse a week start setting ("monday", "mon", 1) to a weekday number (0 = Sunday)
+ * @returns {number|null}
+ */
+export function parseWeekStart(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= 6) {
+        return Number(value);
+    }
+    const text = String(value).trim().toLowerCase();
+    const index = WEEKDAYS.findIndex(day => day === text || day.slice(0, 3) === text);
+    return index === -1 ? null : index;
+}
+
+/**
+ * Get the timezone and week start from the config
+ * An unknown timezone falls back to the system's (with a warning)
+ * @returns {{timeZone: string, weekStart: number}}
+ */
+export function getPeriodSettings() {
+    let timeZone = config.timeZone || getSystemTimeZone();
+    if (!isValidTimeZone(timeZone)) {
+        if (warnedTimeZone !== timeZone) {
+            console.error(`[Config] Unknown timezone "${timeZone}", using ${getSystemTimeZone()}`);
+            warnedTimeZone = timeZone;
+        }
+        timeZone = getSystemTimeZone();
+    }
+
+    const weekStart = parseWeekStart(config.weekStart) ?? parseWeekStart(DEFAULT_WEEK_START);
+    return { timeZone, weekStart };
+}
+
+function getFormatter(timeZone) {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short',
+        });
+        formatters.set(timeZone, formatter);
+    }
+    return formatter;
+}
+
+/**
+ * Wall-clock date and time of an instant in the timezone
+ * @returns {{year, month, day, hour, minute, second, weekday}} month is 1-12, weekday 0 = Sunday
+ */
+export function getZonedParts(ms, settings = getPeriodSettings()) {
+    const parts = {};
+    for (const { type, value } of getFormatter(settings.timeZone).formatToParts(new Date(ms))) {
+        parts[type] = value;
+    }
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS.findIndex(day => day.slice(0, 3) === parts.weekday.toLowerCase()),
+    };
+}
+
+/**
+ * Offset of the timezone from UTC at an instant, in ms (UTC-7 is -7h)
+ */
+function getOffset(ms, settings) {
+    const p = getZonedParts(ms, settings);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time occurs in the timezone
+ * Out-of-range fields roll over (day 0 is the last day of the previous month).
+ * A time skipped by a DST change resolves to just after the change.
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number}} wall - month is 1-12
+ */
+export function zonedTime({ year, month, day, hour = 0, minute = 0 }, settings = getPeriodSettings()) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    const guess = asUtc - getOffset(asUtc, settings);
+    const offset = getOffset(guess, settings);
+    const result = asUtc - offset;
+
+    // In a DST gap the wall time doesn't exist; move forward by the size of the gap
+    const check = getOffset(result, settings);
+    return check === offset ? result : asUtc - check;
+}
+
+/**
+ * Start (midnight) of the day containing an instant
+ */
+export function startOfDay(ms, settings = getPeriodSettings()) {
+    const { year, month, day } = getZonedParts(ms, settings);
+    return zonedTime({ year, month, day }, settings);
+}
+
+/**
+ * Start of the day n days after the day containing an instant (n may be negative)
+ */
+export function addDays(ms, n, settings = getPeriodSettings()) {
+    const { year, month, day } = getZonedParts(ms, settings);
+    return zonedTime({ year, month, day: day + n }, settings);
+}
+
+/**
+ * A time of day on the day containing an instant
+ */
+export function atTimeOfDay(ms, hour, minute, settings = getPeriodSettings()) {
+    const { year, month, day } = getZonedParts(ms, settings);
+    return zonedTime({ year, month, day, hour, minute }, settings);
+}
+
+/**
+ * Start of the week containing an instant (weeks begin on settings.weekStart)
+ */
+export function startOfWeek(ms, settings = getPeriodSettings()) {
+    const { year, month, day, weekday } = getZonedParts(ms, settings);
+    const back = (weekday - settings.weekStart + 7) % 7;
+    return zonedTime({ year, month, day: day - back }, settings);
+}
+
+/**
+ * Start of the month containing an instant
+ */
+export function startOfMonth(ms, settings = getPeriodSettings()) {
+    const { year, month } = getZonedParts(ms, settings);
+    return zonedTime({ year, month, day: 1 }, settings);
+}
+
+/**
+ * Get the start of the current today/week/month periods
+ * @param {number} [now] - Epoch ms
+ * @returns {{todayStart: number, weekStart: number, monthStart: number}}
+ */
+export function getPeriodStarts(now = Date.now(), settings = getPeriodSettings()) {
+    return {
+        todayStart: startOfDay(now, settings),
+        weekStart: startOfWeek(now, settings),
+        monthStart: startOfMonth(now, settings),
+    };
+}
+
+/**
+ * Date of an instant in the timezone as YYYY-MM-DD
+ */
+export function formatDateKey(ms, settings = getPeriodSettings()) {
+    const { year, month, day } = getZonedParts(ms, settings);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Split segments at midnight
+ * @returns {Array<{date: string, dayStart: number, ms: number}>} One entry per day touched
+ */
+export function splitSegmentsByDay(segments, settings = getPeriodSettings()) {
+    const pieces = [];
+    for (const seg of segments) {
+        let cursor = seg.start;
+        while (cursor < seg.end) {
+            const dayStart = startOfDay(cursor, settings);
+            const end = Math.min(seg.end, addDays(cursor, 1, settings));
+            pieces.push({ date: formatDateKey(cursor, settings), dayStart, ms: end - cursor });
+            cursor = end;
+        }
+    }
+    return pieces;
+}
+
+/**
+ * The last `days` days up to and including today, oldest first
+ * @returns {Array<{date: string, start: number}>}
+ */
+export function getRecentDays(days, now = Date.now(), settings = getPeriodSettings()) {
+    const result = [];
+    for (let i = days - 1; i >= 0; i--) {
+        const start = addDays(now, -i, settings);
+        result.push({ date: formatDateKey(start, settings), start });
+    }
+    return result;
+}
+
+export default {
+    WEEKDAYS,
+    isValidTimeZone,
+    parseWeekStart,
+    getPeriodSettings,
+    getZonedParts,
+    zonedTime,
+    startOfDay,
+    addDays,
+    atTimeOfDay,
+    startOfWeek,
+    startOfMonth,
+    getPeriodStarts,
+    formatDateKey,
+    splitSegmentsByDay,
+    getRecentDays,
+};
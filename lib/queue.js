@@ -1,10 +1,24 @@
 import fs from 'fs';
 import config from './config.js';
-import { syncSession } from './api.js';
+import { syncSessionBatch, classifySyncError } from './api.js';
+import { isLoggedIn } from './auth.js';
 import { encrypt, decrypt } from './secure-storage.js';
+import { withFileLock, writeFileAtomic } from './lockfile.js';
+
+export { classifySyncError };
 
 const QUEUE_FILE = config.paths.queueFile;
 
+// Failed entries are retried after 30s, 1m, 2m, ... (at most 6h apart) and
+// moved to the dead-letter list after MAX_SYNC_ATTEMPTS failures
+const MAX_SYNC_ATTEMPTS = 10;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+function emptyQueue() {
+    return { sessions: [], deadLetters: [], lastSyncAttempt: null };
+}
+
 /**
  * Ensure the config directory exists
  */
@@ -21,6 +35,7 @@ function ensureQueueDir() {
 function validateQueueData(data) {
     if (!data || typeof data !== 'object') return false;
     if (!Array.isArray(data.sessions)) return false;
+    if (data.deadLetters !== undefined && !Array.isArray(data.deadLetters)) return false;
     // Ensure each session has required fields
     for (const session of data.sessions) {
         if (typeof session.start !== 'number' || typeof session.end !== 'number') {
@@ -44,11 +59,12 @@ function isEncrypted(content) {
 
 /**
  * Read the queue from file with validation (handles encrypted and legacy plaintext)
+ * Entries that gave up syncing are kept in deadLetters until retried or dropped
  */
 function readQueue() {
     ensureQueueDir();
     if (!fs.existsSync(QUEUE_FILE)) {
-        return { sessions: [], lastSyncAttempt: null };
+        return emptyQueue();
     }
     try {
         const content = fs.readFileSync(QUEUE_FILE, 'utf8');
@@ -58,64 +74,123 @@ function readQueue() {
             data = decrypt(content);
             if (!data) {
                 console.error('[Queue] Failed to decrypt queue file, resetting');
-                return { sessions: [], lastSyncAttempt: null };
+                return emptyQueue();
             }
         } else {
             // Legacy plaintext - parse and migrate to encrypted
             data = JSON.parse(content);
             // Re-save as encrypted
-            writeQueue(data);
+            withFileLock(QUEUE_FILE, () => writeQueue(data));
         }
 
         if (!validateQueueData(data)) {
             console.error('[Queue] Integrity warning: Invalid queue data structure, resetting');
-            return { sessions: [], lastSyncAttempt: null };
+            return emptyQueue();
         }
 
-        return data;
+        return { ...data, deadLetters: data.deadLetters || [] };
     } catch (err) {
         console.error('[Queue] Failed to read queue file:', err.message);
-        return { sessions: [], lastSyncAttempt: null };
+        return emptyQueue();
     }
 }
 
 /**
  * Write the queue to file (encrypted)
+ * Callers hold the queue lock (see updateQueue)
  */
 function writeQueue(queue) {
     ensureQueueDir();
     const encrypted = encrypt(queue);
-    fs.writeFileSync(QUEUE_FILE, encrypted, { mode: 0o600 });
+    writeFileAtomic(QUEUE_FILE, encrypted, { mode: 0o600 });
+}
+
+/**
+ * Read, change and write the queue under the queue lock, so processes
+ * queueing or flushing at the same time never drop each other's entries
+ * @param {Function} change - Mutates the queue; its return value is passed on
+ */
+function updateQueue(change) {
+    ensureQueueDir();
+    return withFileLock(QUEUE_FILE, () => {
+        const queue = readQueue();
+        const result = change(queue);
+        writeQueue(queue);
+        return result;
+    });
+}
+
+/**
+ * Identify one queued entry (a later change to the same session is a new entry)
+ */
+export function getEntryKey(entry) {
+    return `${entry.clientId}:${entry.queuedAt}`;
+}
+
+/**
+ * Wait before the next attempt after a number of failed attempts
+ */
+function getRetryDelay(attempts) {
+    return Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
 }
 
 /**
- * Add a session to the offline queue
+ * Add a session change to the offline queue
+ * Changes to a session that is still waiting to be synced are folded into
+ * the pending entry, so the cloud only ever sees the latest version
  * @param {Object} session - Session data with start, end, taskName, clientId, repo
+ * @param {string} action - 'insert' (default), 'update' or 'delete'
  */
-export function queueSession(session) {
-    const queue = readQueue();
+export function queueSession(session, action = 'insert') {
+    return updateQueue((queue) => {
+        const pendingIndex = session.clientId
+            ? queue.sessions.findIndex((s) => s.clientId === session.clientId)
+            : -1;
+        let pending = pendingIndex === -1 ? null : queue.sessions[pendingIndex];
 
-    // Add metadata for queue management
-    const queuedSession = {
-        ...session,
-        queuedAt: Date.now(),
-        syncAttempts: 0,
-        lastError: null,
-    };
+        // A new change gives a session that gave up syncing another chance
+        if (!pending && session.clientId) {
+            const deadIndex = queue.deadLetters.findIndex((s) => s.clientId === session.clientId);
+            if (deadIndex !== -1) {
+                [pending] = queue.deadLetters.splice(deadIndex, 1);
+            }
+        }
+
+        if (pending) {
+            if (pendingIndex !== -1) queue.sessions.splice(pendingIndex, 1);
+            // A session that never reached the cloud doesn't need deleting there
+            if (action === 'delete' && (pending.action || 'insert') === 'insert') {
+                return null;
+            }
+            // Keep inserting if the insert hasn't happened yet
+            if (action === 'update' && (pending.action || 'insert') === 'insert') {
+                action = 'insert';
+            }
+        }
 
-    queue.sessions.push(queuedSession);
-    writeQueue(queue);
+        // Add metadata for queue management
+        const queuedSession = {
+            ...session,
+            action,
+            queuedAt: Date.now(),
+            syncAttempts: 0,
+            nextAttemptAt: null,
+            lastError: null,
+        };
 
-    return queuedSession;
+        queue.sessions.push(queuedSession);
+        return queuedSession;
+    });
 }
 
 /**
- * Remove a session from the queue by clientId
+ * Remove a session from the queue (and the dead-letter list) by clientId
  */
 export function removeFromQueue(clientId) {
-    const queue = readQueue();
-    queue.sessions = queue.sessions.filter((s) => s.clientId !== clientId);
-    writeQueue(queue);
+    updateQueue((queue) => {
+        queue.sessions = queue.sessions.filter((s) => s.clientId !== clientId);
+        queue.deadLetters = queue.deadLetters.filter((s) => s.clientId !== clientId);
+    });
 }
 
 /**
@@ -135,52 +210,176 @@ export function getQueuedSessions() {
 }
 
 /**
- * Process the queue - attempt to sync all pending sessions
- * @returns {Object} Result with synced and failed counts
+ * Get sessions that gave up syncing (permanent failure or out of attempts)
+ */
+export function getDeadLetters() {
+    const queue = readQueue();
+    return queue.deadLetters;
+}
+
+/**
+ * Process the queue - sync pending sessions that are due in one batch (see api.syncSessionBatch)
+ * A failed entry waits an exponentially growing delay before its next attempt;
+ * after a permanent failure or MAX_SYNC_ATTEMPTS it moves to the dead-letter list.
+ * The lock is not held during network calls: results are merged into the
+ * queue as it is afterwards, keeping entries other processes added meanwhile
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Also attempt entries whose retry isn't due yet
+ * @param {Function} [options.onProgress] - Called with (done, total) while syncing
+ * @param {Array<string>} [options.keys] - Only attempt these entries (see getEntryKey)
+ * @returns {Object} Result with synced, failed (will retry), deadLettered,
+ *   deferred (not attempted) and remaining counts
  */
-export async function processQueue() {
+export async function processQueue({ force = false, onProgress, keys } = {}) {
     const queue = readQueue();
 
     if (queue.sessions.length === 0) {
-        return { synced: 0, failed: 0, remaining: 0 };
+        return { synced: 0, failed: 0, deadLettered: 0, deferred: 0, remaining: 0 };
     }
 
-    queue.lastSyncAttempt = Date.now();
+    // Logged out, every attempt would fail; don't let that use up the entries' retries
+    if (!isLoggedIn()) {
+        const count = queue.sessions.length;
+        return { synced: 0, failed: 0, deadLettered: 0, deferred: count, remaining: count };
+    }
+
+    const lastSyncAttempt = Date.now();
+    const selected = keys ? new Set(keys) : null;
+    const due = queue.sessions.filter((s) => (!selected || selected.has(getEntryKey(s)))
+        && (force || !s.nextAttemptAt || s.nextAttemptAt <= lastSyncAttempt));
+    const deferred = queue.sessions.length - due.length;
+
+    let results;
+    try {
+        results = await syncSessionBatch(due, { onProgress });
+    } catch (err) {
+        results = due.map(() => ({ ok: false, error: err }));
+    }
 
     let synced = 0;
     let failed = 0;
-    const remaining = [];
+    let deadLettered = 0;
+    // Outcome per entry: null once synced, otherwise the entry to keep (pending or dead)
+    const outcomes = new Map();
+    const insertedIds = new Set();
 
-    for (const session of queue.sessions) {
-        try {
-            // Attempt to sync to cloud
-            await syncSession(session);
-            synced++;
-        } catch (err) {
-            // Update retry metadata
-            session.syncAttempts++;
-            session.lastError = err.message;
-
-            // Keep in queue if under max retries (10 attempts with exponential backoff)
-            if (session.syncAttempts < 10) {
-                remaining.push(session);
+    due.forEach((session, index) => {
+        const result = results[index];
+        if (result.ok) {
+            outcomes.set(getEntryKey(session), null);
+            // Entries queued before actions existed are inserts
+            if (session.action !== 'update' && session.action !== 'delete') {
+                insertedIds.add(session.clientId);
             }
+            synced++;
+            return;
+        }
+
+        const attempts = (session.syncAttempts || 0) + 1;
+        const failure = classifySyncError(result.error);
+        const entry = { ...session, syncAttempts: attempts, lastError: result.error.message };
+
+        if (failure === 'permanent' || attempts >= MAX_SYNC_ATTEMPTS) {
+            outcomes.set(getEntryKey(session), {
+                dead: true,
+                entry: { ...entry, nextAttemptAt: null, failure, deadAt: Date.now() },
+            });
+            deadLettered++;
+        } else {
+            outcomes.set(getEntryKey(session), {
+                dead: false,
+                entry: { ...entry, nextAttemptAt: Date.now() + getRetryDelay(attempts) },
+            });
             failed++;
         }
-    }
+    });
 
-    // Update queue with remaining sessions
-    queue.sessions = remaining;
-    writeQueue(queue);
+    const remaining = updateQueue((latest) => {
+        latest.lastSyncAttempt = lastSyncAttempt;
+        latest.sessions = latest.sessions.flatMap((entry) => {
+            const key = getEntryKey(entry);
+            if (outcomes.has(key)) {
+                const outcome = outcomes.get(key);
+                if (!outcome) return [];
+                if (outcome.dead) {
+                    latest.deadLetters.push(outcome.entry);
+                    return [];
+                }
+                return [outcome.entry];
+            }
+            // Edited while its insert was in flight: the row exists now, so update it
+            if (insertedIds.has(entry.clientId) && (entry.action || 'insert') === 'insert') {
+                return [{ ...entry, action: 'update' }];
+            }
+            return [entry];
+        });
+        return latest.sessions.length;
+    });
 
-    return { synced, failed, remaining: remaining.length };
+    return { synced, failed, deadLettered, deferred, remaining };
+}
+
+/**
+ * Queue entries again for an immediate attempt with a fresh set of retries
+ * Dead letters move back to the pending queue
+ * @param {Array<string>} [keys] - Entry keys (see getEntryKey); all entries when omitted
+ * @returns {number} How many entries were rescheduled
+ */
+export function retryEntries(keys) {
+    const selected = keys ? new Set(keys) : null;
+    const reset = (entry) => ({ ...entry, syncAttempts: 0, nextAttemptAt: null, failure: undefined, deadAt: undefined });
+
+    return updateQueue((queue) => {
+        let count = 0;
+        queue.sessions = queue.sessions.map((entry) => {
+            if (selected && !selected.has(getEntryKey(entry))) return entry;
+            count++;
+            return reset(entry);
+        });
+        queue.deadLetters = queue.deadLetters.filter((entry) => {
+            if (selected && !selected.has(getEntryKey(entry))) return true;
+            queue.sessions.push(reset(entry));
+            count++;
+            return false;
+        });
+        return count;
+    });
+}
+
+/**
+ * Remove entries from the queue and the dead-letter list without syncing them
+ * The sessions stay in the local store
+ * @param {Array<string>} keys - Entry keys (see getEntryKey)
+ * @returns {number} How many entries were removed
+ */
+export function dropEntries(keys) {
+    const selected = new Set(keys);
+    return updateQueue((queue) => {
+        const before = queue.sessions.length + queue.deadLetters.length;
+        queue.sessions = queue.sessions.filter((entry) => !selected.has(getEntryKey(entry)));
+        queue.deadLetters = queue.deadLetters.filter((entry) => !selected.has(getEntryKey(entry)));
+        return before - queue.sessions.length - queue.deadLetters.length;
+    });
+}
+
+/**
+ * Empty the dead-letter list
+ * @returns {number} How many entries were removed
+ */
+export function purgeDeadLetters() {
+    return updateQueue((queue) => {
+        const count = queue.deadLetters.length;
+        queue.deadLetters = [];
+        return count;
+    });
 }
 
 /**
  * Clear all queued sessions (use with caution)
  */
 export function clearQueue() {
-    writeQueue({ sessions: [], lastSyncAttempt: null });
+    ensureQueueDir();
+    withFileLock(QUEUE_FILE, () => writeQueue(emptyQueue()));
 }
 
 /**
@@ -188,9 +387,13 @@ export function clearQueue() {
  */
 export function getQueueStats() {
     const queue = readQueue();
+    const now = Date.now();
 
     const stats = {
         count: queue.sessions.length,
+        due: 0,
+        nextAttemptAt: null,
+        deadLetterCount: queue.deadLetters.length,
         lastSyncAttempt: queue.lastSyncAttempt,
         oldestSession: null,
         totalRetries: 0,
@@ -198,7 +401,13 @@ export function getQueueStats() {
 
     if (queue.sessions.length > 0) {
         stats.oldestSession = Math.min(...queue.sessions.map((s) => s.queuedAt));
-        stats.totalRetries = queue.sessions.reduce((sum, s) => sum + s.syncAttempts, 0);
+        stats.totalRetries = queue.sessions.reduce((sum, s) => sum + (s.syncAttempts || 0), 0);
+
+        const scheduled = queue.sessions.filter((s) => s.nextAttemptAt && s.nextAttemptAt > now);
+        stats.due = queue.sessions.length - scheduled.length;
+        if (scheduled.length > 0) {
+            stats.nextAttemptAt = Math.min(...scheduled.map((s) => s.nextAttemptAt));
+        }
     }
 
     return stats;
@@ -209,7 +418,13 @@ export default {
     removeFromQueue,
     getQueuedCount,
     getQueuedSessions,
+    getDeadLetters,
+    getEntryKey,
+    classifySyncError,
     processQueue,
+    retryEntries,
+    dropEntries,
+    purgeDeadLetters,
     clearQueue,
     getQueueStats,
 };
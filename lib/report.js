@@ -0,0 +1,121 @@
+/**
+ * Time reports grouped by day, week, task, branch or member
+ *
+ * Works on sessions in the shape returned by store.getSessions(), so local and
+ * cloud data are aggregated by exactly the same rules: only active time inside
+ * [from, to) counts, and time is assigned to days and weeks in the configured
+ * timezone (see period.js).
+ */
+
+import { getSessionSegments, clipSegments } from './segments.js';
+import { getPeriodSettings, formatDateKey, startOfWeek, splitSegmentsByDay } from './period.js';
+
+export const GROUP_BY_FIELDS = ['day', 'week', 'task', 'branch', 'member'];
+
+// Groups that are listed in time order rather than by size
+const CHRONOLOGICAL_FIELDS = ['day', 'week'];
+
+/**
+ * The group a piece of a session falls into for one field
+ */
+function getGroupKey(field, session, dayStart, settings) {
+    switch (field) {
+        case 'day':
+            return formatDateKey(dayStart, settings);
+        case 'week':
+            // Same weeks as the dashboard's "This Week"
+            return `Week of ${formatDateKey(startOfWeek(dayStart, settings), settings)}`;
+        case 'task':
+            return session.taskName || '(no task)';
+        case 'branch':
+            return session.branch || '(unknown branch)';
+        case 'member':
+            return session.member || 'Unknown';
+        default:
+            throw new Error(`Unknown group: ${field}`);
+    }
+}
+
+/**
+ * Parse and validate a --group-by value ("task,member")
+ * @returns {Array<string>}
+ */
+export function parseGroupBy(value) {
+    const fields = String(value || '')
+        .split(',')
+        .map(f => f.trim().toLowerCase())
+        .filter(Boolean);
+
+    for (const field of fields) {
+        if (!GROUP_BY_FIELDS.includes(field)) {
+            throw new Error(`Cannot group by "${field}" (choose from ${GROUP_BY_FIELDS.join(', ')})`);
+        }
+    }
+    if (new Set(fields).size !== fields.length) {
+        throw new Error('Each group can only be used once');
+    }
+    return fields;
+}
+
+function createNode(key) {
+    return { key, ms: 0, sessionIds: new Set(), children: new Map() };
+}
+
+/**
+ * Turn the working tree into sorted plain objects
+ */
+function finalizeNode(node, depth, groupBy) {
+    const field = groupBy[depth];
+    const children = [...node.children.values()].map(child => finalizeNode(child, depth + 1, groupBy));
+
+    if (CHRONOLOGICAL_FIELDS.includes(field)) {
+        children.sort((a, b) => a.key.localeCompare(b.key));
+    } else {
+        children.sort((a, b) => b.ms - a.ms || a.key.localeCompare(b.key));
+    }
+
+    return { key: node.key, ms: node.ms, sessions: node.sessionIds.size, children };
+}
+
+/**
+ * Aggregate sessions into nested groups with subtotals
+ * @param {Array<Object>} sessions - Sessions from store.getSessions()
+ * @param {Object} options
+ * @param {number} options.from - Epoch ms (inclusive)
+ * @param {number} options.to - Epoch ms (exclusive)
+ * @param {Array<string>} options.groupBy - Fields from GROUP_BY_FIELDS, outermost first
+ * @returns {{key: string, ms: number, sessions: number, children: Array}} Root node holding the total
+ */
+export function buildReport(sessions, { from, to, groupBy }) {
+    const root = createNode('Total');
+    const settings = getPeriodSettings();
+
+    for (const session of sessions) {
+        const segments = clipSegments(getSessionSegments(session), from, to);
+        const id = session.clientId || `${session.start}-${session.end}`;
+
+        for (const { dayStart, ms } of splitSegmentsByDay(segments, settings)) {
+            let node = root;
+            node.ms += ms;
+            node.sessionIds.add(id);
+
+            for (const field of groupBy) {
+                const key = getGroupKey(field, session, dayStart, settings);
+                if (!node.children.has(key)) {
+                    node.children.set(key, createNode(key));
+                }
+                node = node.children.get(key);
+                node.ms += ms;
+                node.sessionIds.add(id);
+            }
+        }
+    }
+
+    return finalizeNode(root, 0, groupBy);
+}
+
+export default {
+    GROUP_BY_FIELDS,
+    parseGroupBy,
+    buildReport,
+};
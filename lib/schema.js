@@ -0,0 +1,106 @@
+/**
+ * Local store schema versions and upgrades
+ *
+ * Store data carries a schemaVersion. On load, records that can't be used are
+ * set aside for quarantine and the rest are passed through every upgrade from
+ * the stored version to STORE_SCHEMA_VERSION, in order. Stores written before
+ * versioning existed are version 0.
+ *
+ * To change the session format, add a function to UPGRADES; never edit one
+ * that has shipped.
+ */
+
+import { getSessionSegments, sumSegments, isValidSegmentList, isValidPauseList } from './segments.js';
+
+/**
+ * Upgrades by the version they start from: UPGRADES[n] turns version n into n + 1
+ * Each takes and returns the list of sessions
+ */
+const UPGRADES = [
+    // 0 -> 1: Active segments. Old sessions have only start/end, or start/end plus a
+    // list of pauses; store their segments and the active duration explicitly
+    (sessions) => sessions.map((session) => {
+        const segments = getSessionSegments(session);
+        const { pauses, ...rest } = session;
+        return { ...rest, segments, duration: sumSegments(segments) };
+    }),
+
+    // 1 -> 2: Stable client IDs. Sessions from before client IDs existed get the ID
+    // they have always been known by (see storage.getSessionId), so cloud rows
+    // created by `dev-timr migrate` keep matching
+    (sessions) => sessions.map((session) => (
+        session.clientId ? session : { ...session, clientId: `legacy-${session.start}-${session.end}` }
+    )),
+];
+
+export const STORE_SCHEMA_VERSION = UPGRADES.length;
+
+/**
+ * Check a stored session record
+ * @returns {string|null} Why the record can't be used, or null if it's fine
+ */
+export function validateSessionRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return 'not an object';
+    }
+    if (!Number.isFinite(record.start) || !Number.isFinite(record.end)) {
+        return 'start and end must be timestamps';
+    }
+    if (record.end < record.start) {
+        return 'end is before start';
+    }
+    if (record.segments !== undefined && record.segments !== null && !isValidSegmentList(record.segments)) {
+        return 'invalid segments';
+    }
+    if (record.pauses !== undefined && record.pauses !== null && !isValidPauseList(record.pauses)) {
+        return 'invalid pauses';
+    }
+    if (record.taskName !== undefined && record.taskName !== null && typeof record.taskName !== 'string') {
+        return 'taskName must be a string';
+    }
+    if (record.clientId !== undefined && record.clientId !== null && typeof record.clientId !== 'string') {
+        return 'clientId must be a string';
+    }
+    return null;
+}
+
+/**
+ * Bring store data up to the current schema
+ * @param {Object} data - { schemaVersion?, sessions, ... } as read from disk
+ * @returns {{data: Object, changed: boolean, quarantined: Array<{record: *, reason: string}>}}
+ *   data is a new object; changed is true when it differs from what is on disk
+ * @throws {Error} If the data was written by a newer version of dev-timr
+ */
+export function upgradeStoreData(data) {
+    const fromVersion = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+    if (fromVersion > STORE_SCHEMA_VERSION) {
+        throw new Error(`The local store uses schema version ${fromVersion}, but this dev-timr only knows up to ${STORE_SCHEMA_VERSION}. Update dev-timr.`);
+    }
+
+    const quarantined = [];
+    let sessions = [];
+    for (const record of data.sessions) {
+        const reason = validateSessionRecord(record);
+        if (reason) {
+            quarantined.push({ record, reason });
+        } else {
+            sessions.push(record);
+        }
+    }
+
+    for (let version = fromVersion; version < STORE_SCHEMA_VERSION; version++) {
+        sessions = UPGRADES[version](sessions);
+    }
+
+    return {
+        data: { ...data, schemaVersion: STORE_SCHEMA_VERSION, sessions },
+        changed: fromVersion !== STORE_SCHEMA_VERSION || quarantined.length > 0,
+        quarantined,
+    };
+}
+
+export default {
+    STORE_SCHEMA_VERSION,
+    validateSessionRecord,
+    upgradeStoreData,
+};
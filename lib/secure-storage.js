@@ -13,7 +13,7 @@
 import fs from 'fs';
 import crypto from 'crypto';
 import os from 'os';
-import config from './config.js';
+import config, { registerEncryption } from './config.js';
 
 const AUTH_FILE = config.paths.authFile;
 
@@ -27,12 +27,19 @@ function ensureAuthDir() {
     }
 }
 
+// Derived once per process; the queue and config files are encrypted on every write
+let cachedKey = null;
+
 /**
  * Generate a machine-specific encryption key
  * Uses PBKDF2 with high iteration count for better security
  * Additional entropy sources make brute-force attacks harder
  */
 function getEncryptionKey() {
+    if (cachedKey) {
+        return cachedKey;
+    }
+
     const factors = [
         process.env.USER || process.env.USERNAME || 'user',
         os.hostname(),
@@ -43,7 +50,8 @@ function getEncryptionKey() {
 
     // Use PBKDF2 with high iteration count (100,000) for secure key derivation
     // This makes brute-force attacks computationally expensive
-    return crypto.pbkdf2Sync(factors, 'dev-timr-salt-v2', 100000, 32, 'sha512');
+    cachedKey = crypto.pbkdf2Sync(factors, 'dev-timr-salt-v2', 100000, 32, 'sha512');
+    return cachedKey;
 }
 
 /**
@@ -147,6 +155,9 @@ export function clearSecureAuthData() {
     }
 }
 
+// Let config.js read its encrypted settings file
+registerEncryption(encrypt, decrypt);
+
 export default {
     readSecureAuthData,
     writeSecureAuthData,
@@ -0,0 +1,124 @@
+/**
+ * Active segment helpers
+ *
+ * A session is stored as a list of active segments ({ start, end } in epoch ms).
+ * Gaps between segments are pauses, so totals must always be computed from
+ * segments rather than from the session's overall start and end.
+ *
+ * Tracked sessions also keep their pauses ({ start, end, reason } with reason
+ * 'manual', 'idle' or 'crash') to record why the timer stopped. They describe
+ * the gaps and are never used for totals while segments are present.
+ */
+
+/**
+ * Check that a value is a usable list of segments
+ */
+export function isValidSegmentList(segments) {
+    return Array.isArray(segments) && segments.every(seg =>
+        seg && typeof seg.start === 'number' && typeof seg.end === 'number' && seg.end >= seg.start
+    );
+}
+
+/**
+ * Check that a value is a usable list of pauses (reasons are optional)
+ */
+export function isValidPauseList(pauses) {
+    return isValidSegmentList(pauses) && pauses.every(pause =>
+        pause.reason === undefined || pause.reason === null || typeof pause.reason === 'string'
+    );
+}
+
+/**
+ * Get the active segments of a session
+ * Older sessions only have start/end (or a list of pauses) and are converted on the fly
+ * @param {Object} session - Session with start, end and optionally segments or pauses
+ * @returns {Array<{start: number, end: number}>}
+ */
+export function getSessionSegments(session) {
+    if (!session) return [];
+
+    if (Array.isArray(session.segments) && session.segments.length > 0) {
+        return session.segments;
+    }
+
+    if (typeof session.start !== 'number' || typeof session.end !== 'number') {
+        return [];
+    }
+
+    // Sessions recorded with pause intervals: active time is what lies between them
+    if (Array.isArray(session.pauses) && session.pauses.length > 0) {
+        const segments = [];
+        let cursor = session.start;
+        const pauses = [...session.pauses].sort((a, b) => a.start - b.start);
+        for (const pause of pauses) {
+            if (pause.start > cursor) {
+                segments.push({ start: cursor, end: Math.min(pause.start, session.end) });
+            }
+            cursor = Math.max(cursor, pause.end);
+        }
+        if (cursor < session.end) {
+            segments.push({ start: cursor, end: session.end });
+        }
+        return segments;
+    }
+
+    return [{ start: session.start, end: session.end }];
+}
+
+/**
+ * Sum the active time of a list of segments, optionally clipped to [from, to)
+ */
+export function sumSegments(segments, from = -Infinity, to = Infinity) {
+    let total = 0;
+    for (const seg of segments) {
+        const start = Math.max(seg.start, from);
+        const end = Math.min(seg.end, to);
+        if (end > start) {
+            total += end - start;
+        }
+    }
+    return total;
+}
+
+/**
+ * Cut segments (or pauses, keeping their reason) down to [from, to), dropping the ones left empty
+ */
+export function clipSegments(segments, from, to) {
+    return segments
+        .map(seg => ({ ...seg, start: Math.max(seg.start, from), end: Math.min(seg.end, to) }))
+        .filter(seg => seg.end > seg.start);
+}
+
+/**
+ * Combine segments into a sorted list without overlaps
+ */
+export function unionSegments(segments) {
+    const sorted = [...segments].sort((a, b) => a.start - b.start);
+    const result = [];
+    for (const seg of sorted) {
+        const last = result[result.length - 1];
+        if (last && seg.start <= last.end) {
+            last.end = Math.max(last.end, seg.end);
+        } else {
+            result.push({ start: seg.start, end: seg.end });
+        }
+    }
+    return result;
+}
+
+/**
+ * Active duration of a session in milliseconds
+ */
+export function getActiveDuration(session) {
+    return sumSegments(getSessionSegments(session));
+}
+
+export default {
+    isValidSegmentList,
+    isValidPauseList,
+    getSessionSegments,
+    sumSegments,
+    clipSegments,
+    unionSegments,
+    getActiveDuration,
+};
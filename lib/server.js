@@ -3,7 +3,9 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import open from 'open';
 import { getStats, getLocalStats, getLocalDailyBreakdown, getLocalTaskBreakdown, getUISettings, saveUISettings } from './store.js';
-import { getDuration, getCurrentTaskName, pauseSession, resumeSession, isPausedState } from './tracker.js';
+import { getPeriodStarts } from './period.js';
+import { getDuration, getCurrentSegments, getCurrentTaskName, pauseSession, resumeSession, isPausedState, switchTask, trackerEvents } from './tracker.js';
+import { sumSegments } from './segments.js';
 import { getQueuedCount } from './queue.js';
 import { getDailyBreakdown, getTaskBreakdown, getTeamContributions, getRepoStats } from './api.js';
 import { isLoggedIn } from './auth.js';
@@ -87,6 +89,8 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Cache for base stats to avoid frequent DB/File reads during streaming
 let baseStatsCache = { totalMs: 0, todayMs: 0, weekMs: 0, monthMs: 0 };
 let lastCacheUpdate = 0;
+// Day the cached totals were computed for; a new day needs fresh totals right away
+let cachedTodayStart = null;
 
 async function updateBaseStats() {
     const now = Date.now();
@@ -100,6 +104,12 @@ async function updateBaseStats() {
 // Initial fetch
 updateBaseStats();
 
+// A saved session (e.g. after a task switch) moves time from the live timer into
+// the stored totals, so the cached totals must be refreshed on the next update
+trackerEvents.on('session-saved', () => {
+    lastCacheUpdate = 0;
+});
+
 app.get('/stream', async (req, res) => {
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -107,9 +117,16 @@ app.get('/stream', async (req, res) => {
 
     const sendUpdate = async () => {
         const currentDuration = getDuration();
+        const currentSegments = getCurrentSegments();
+        const { todayStart, weekStart, monthStart } = getPeriodStarts();
         const taskName = getCurrentTaskName();
         const queuedCount = getQueuedCount();
 
+        if (todayStart !== cachedTodayStart) {
+            cachedTodayStart = todayStart;
+            lastCacheUpdate = 0;
+        }
+
         // Refresh base stats occasionally
         if (Date.now() - lastCacheUpdate > 60000) {
             await updateBaseStats();
@@ -118,11 +135,11 @@ app.get('/stream', async (req, res) => {
         const data = {
             currentSession: currentDuration,
             taskName: taskName || 'No Task',
-            // Add current session to cached totals
-            todayTotal: (baseStatsCache.todayMs || 0) + currentDuration,
+            // Add the current session's active time within each period to cached totals
+            todayTotal: (baseStatsCache.todayMs || 0) + sumSegments(currentSegments, todayStart),
             allTimeTotal: (baseStatsCache.totalMs || 0) + currentDuration,
-            weekTotal: (baseStatsCache.weekMs || 0) + currentDuration,
-            monthTotal: (baseStatsCache.monthMs || 0) + currentDuration,
+            weekTotal: (baseStatsCache.weekMs || 0) + sumSegments(currentSegments, weekStart),
+            monthTotal: (baseStatsCache.monthMs || 0) + sumSegments(currentSegments, monthStart),
             queued: queuedCount,
             isOffline: !isLoggedIn(),
             isPaused: isPausedState()
@@ -251,14 +268,39 @@ app.post('/api/resume', (req, res) => {
     res.json({ success, isPaused: isPausedState() });
 });
 
-export function startServer() {
+/**
+ * API: Switch the task being tracked without restarting the session
+ */
+app.post('/api/task', async (req, res) => {
+    const taskName = req.body?.taskName;
+    if (typeof taskName !== 'string' || !taskName.trim()) {
+        return res.status(400).json({ error: 'taskName is required' });
+    }
+
+    try {
+        const success = await switchTask(taskName);
+        res.json({ success, taskName: getCurrentTaskName() });
+    } catch (err) {
+        console.error('API /api/task error:', err.message);
+        res.status(500).json({ error: 'Failed to switch task' });
+    }
+});
+
+/**
+ * Start the GUI server
+ * @param {Object} options
+ * @param {boolean} [options.openBrowser] - Open the dashboard in the default browser
+ */
+export function startServer({ openBrowser = true } = {}) {
     return new Promise((resolve) => {
         const server = app.listen(PORT, () => {
             const address = server.address();
             const port = address.port;
             const url = `http://localhost:${port}`;
             console.log(`Open GUI at ${url}`);
-            open(url).catch(err => console.error('Failed to open browser:', err));
+            if (openBrowser) {
+                open(url).catch(err => console.error('Failed to open browser:', err));
+            }
             resolve(server);
         });
     });
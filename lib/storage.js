@@ -0,0 +1,892 @@
+/**
+ * Storage backends for the local session store
+ *
+ * Every backend holds the same data: a list of sessions plus the dashboard's
+ * uiSettings and the cloud pull cursor (syncState). store.js only talks to the
+ * adapter interface below, so the file format can change without touching the
+ * callers. Every change is a locked read-modify-write (see lockfile.js), so
+ * concurrent processes never lose each other's sessions.
+ *
+ * Data is upgraded to the current schema on load (see schema.js). Records that
+ * can't be read are moved to .dev-clock.quarantine.json instead of being dropped.
+ *
+ *   read()                 -> { schemaVersion, sessions, uiSettings?, syncState? } (sessions in insertion order)
+ *   query(from, to)        -> sessions with end >= from and start < to, sorted by start
+ *   write(data)            -> replace everything
+ *   append(sessions)       -> add sessions
+ *   replace(id, session)   -> replace one session, keeping its position
+ *   remove(ids)            -> delete sessions, returns the removed ones
+ *   saveSettings(settings) -> replace uiSettings
+ *   merge(build)           -> build(sessionsById) returns { put, remove, syncState? }: sessions to
+ *                             add or replace, IDs to delete and a new syncState, applied in one
+ *                             locked write against the latest data
+ *
+ * Location: the project directory by default (the files are added to its
+ * .gitignore), or ~/.dev-timr/repos/<owner>/<repo>/ in central mode, keyed by
+ * the repository's identity so subdirectories and fresh clones share one history.
+ *
+ * Backends:
+ * - json: the original .dev-clock.json, rewritten in full on every change (default)
+ * - log:  .dev-clock.ndjson, an append-only operation log. Writes append one line,
+ *         reads only parse what was appended since the last read, and range
+ *         queries use a start-time index. The log is compacted when most of it
+ *         is superseded.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import config, { getStorageBackend, isCentralStore } from './config.js';
+import { getRepoInfo, getRepoRoot } from './git.js';
+import { withFileLock, writeFileAtomic } from './lockfile.js';
+import { STORE_SCHEMA_VERSION, upgradeStoreData, validateSessionRecord } from './schema.js';
+
+export const STORAGE_BACKENDS = ['json', 'log'];
+
+const FILE_NAMES = {
+    json: '.dev-clock.json',
+    log: '.dev-clock.ndjson',
+};
+
+const QUARANTINE_FILE = '.dev-clock.quarantine.json';
+
+const LOG_FORMAT = 'dev-timr-log';
+const LOG_VERSION = 1;
+
+// Compact once superseded lines outnumber live ones and there are at least this many
+const COMPACT_MIN_GARBAGE = 500;
+
+/**
+ * Get the ID a session is known by locally and in the cloud
+ * Sessions recorded before client IDs existed are identified by their times,
+ * matching the IDs `dev-timr migrate` gives them
+ */
+export function getSessionId(session) {
+    return session.clientId || `legacy-${session.start}-${session.end}`;
+}
+
+/**
+ * Get the store file name for a backend
+ */
+export function getStoreFileName(backend = getStorageBackend()) {
+    return FILE_NAMES[backend] || FILE_NAMES.json;
+}
+
+function isCentralStoreDir(dir) {
+    const relative = path.relative(config.paths.repoStoreDir, path.resolve(dir));
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Ensure the store file is in the project's .gitignore
+ */
+function ensureGitignore(dir, entry) {
+    // The central store isn't inside a project
+    if (isCentralStoreDir(dir)) return;
+
+    const gitignorePath = path.resolve(dir, '.gitignore');
+
+    try {
+        if (fs.existsSync(gitignorePath)) {
+            const content = fs.readFileSync(gitignorePath, 'utf8');
+            // Check if already present (exact line match)
+            const lines = content.split('\n').map(l => l.trim());
+            if (lines.includes(entry)) {
+                return; // Already there
+            }
+            // Append to .gitignore
+            const newContent = content.endsWith('\n')
+                ? content + entry + '\n'
+                : content + '\n' + entry + '\n';
+            fs.writeFileSync(gitignorePath, newContent);
+            console.log(`Added ${entry} to .gitignore`);
+        } else {
+            // Create .gitignore with the entry
+            fs.writeFileSync(gitignorePath, `# Dev-Timr session data\n${entry}\n`);
+            console.log(`Created .gitignore with ${entry}`);
+        }
+    } catch (err) {
+        // Silently fail - not critical
+    }
+}
+
+/**
+ * Keep records that can't be loaded in the project's quarantine file
+ * They can be inspected (and fixed by hand) there; the store carries on without them
+ * @param {string} storePath - Store file the records came from
+ * @param {Array<{record: *, reason: string}>} entries
+ */
+function quarantineRecords(storePath, entries) {
+    if (entries.length === 0) return;
+
+    const dir = path.dirname(storePath);
+    const quarantinePath = path.join(dir, QUARANTINE_FILE);
+    ensureGitignore(dir, QUARANTINE_FILE);
+
+    withFileLock(quarantinePath, () => {
+        let existing = [];
+        try {
+            existing = JSON.parse(fs.readFileSync(quarantinePath, 'utf8')).records || [];
+        } catch {
+            // Missing or unreadable: start a new list
+        }
+
+        const quarantinedAt = new Date().toISOString();
+        const records = existing.concat(entries.map(({ record, reason }) => ({
+            quarantinedAt,
+            source: path.basename(storePath),
+            reason,
+            record,
+        })));
+        writeFileAtomic(quarantinePath, JSON.stringify({ records }, null, 2));
+    });
+
+    console.error(`[Store] Integrity warning: Moved ${entries.length} unreadable session(s) to ${QUARANTINE_FILE}`);
+}
+
+/**
+ * Rename a store file whose data has moved elsewhere, without replacing an
+ * earlier backup
+ * @returns {string} The backup's path
+ */
+function keepAsMigrated(filePath) {
+    let backupPath = `${filePath}.migrated`;
+    if (fs.existsSync(backupPath)) {
+        backupPath = `${filePath}.migrated-${Date.now()}`;
+    }
+    fs.renameSync(filePath, backupPath);
+    return backupPath;
+}
+
+/**
+ * Move a store file that can't be parsed at all out of the way, so the next
+ * write starts a new store instead of overwriting it
+ */
+function backupUnreadableFile(filePath, reason) {
+    const backupPath = `${filePath}.corrupt-${Date.now()}`;
+    try {
+        fs.renameSync(filePath, backupPath);
+        console.error(`[Store] Integrity warning: ${path.basename(filePath)} could not be read (${reason}); moved it to ${path.basename(backupPath)}`);
+    } catch (err) {
+        console.error(`[Store] Failed to back up ${path.basename(filePath)}:`, err.message);
+    }
+}
+
+/**
+ * Sessions overlapping [from, to), sorted by start
+ */
+function filterRange(sessions, from, to) {
+    return sessions
+        .filter(session => session.end >= from && session.start < to)
+        .sort((a, b) => a.start - b.start);
+}
+
+// ============= JSON backend =============
+
+/**
+ * The original single-file format: { schemaVersion, sessions: [...], uiSettings, syncState }
+ * @param {string} filePath - Store file
+ * @param {Object} [options]
+ * @param {boolean} [options.gitignore] - false for files that are only read before being moved
+ */
+function createJsonAdapter(filePath, options = {}) {
+    let gitignoreChecked = options.gitignore === false;
+
+    /**
+     * Read the file as stored, or null if there is none (or it had to be set aside)
+     */
+    function parse() {
+        let content;
+        try {
+            content = fs.readFileSync(filePath, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error('[Store] Failed to read store file:', err.message);
+            }
+            return null;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (err) {
+            backupUnreadableFile(filePath, err.message);
+            return null;
+        }
+        if (!data || typeof data !== 'object' || !Array.isArray(data.sessions)) {
+            backupUnreadableFile(filePath, 'no session list');
+            return null;
+        }
+        return data;
+    }
+
+    /**
+     * Read the store, upgrading it on disk first if it uses an older schema
+     * or contains records that have to be quarantined
+     */
+    function read() {
+        const stored = parse();
+        if (!stored) {
+            return { schemaVersion: STORE_SCHEMA_VERSION, sessions: [] };
+        }
+
+        const upgraded = upgradeStoreData(stored);
+        if (!upgraded.changed) {
+            return upgraded.data;
+        }
+
+        // Upgrade under the lock, from the latest content, so it happens exactly once
+        return withFileLock(filePath, () => {
+            const latest = parse();
+            if (!latest) {
+                return { schemaVersion: STORE_SCHEMA_VERSION, sessions: [] };
+            }
+            const result = upgradeStoreData(latest);
+            if (result.changed) {
+                quarantineRecords(filePath, result.quarantined);
+                write(result.data);
+            }
+            return result.data;
+        });
+    }
+
+    function write(data) {
+        // Ensure the store file is gitignored on first write
+        if (!gitignoreChecked) {
+            ensureGitignore(path.dirname(filePath), path.basename(filePath));
+            gitignoreChecked = true;
+        }
+        const { schemaVersion, ...rest } = data;
+        const content = JSON.stringify({ schemaVersion: STORE_SCHEMA_VERSION, ...rest }, null, 2);
+        withFileLock(filePath, () => writeFileAtomic(filePath, content));
+    }
+
+    /**
+     * Apply a change to the latest data under the store lock
+     * change() mutates the data and returns false to skip the write
+     */
+    function update(change) {
+        return withFileLock(filePath, () => {
+            const data = read();
+            const result = change(data);
+            if (result !== false) {
+                write(data);
+            }
+            return result;
+        });
+    }
+
+    return {
+        backend: 'json',
+        filePath,
+        exists: () => fs.existsSync(filePath),
+        read,
+        write,
+        query(from, to) {
+            return filterRange(read().sessions, from, to);
+        },
+        append(sessions) {
+            if (sessions.length === 0) return;
+            update(data => {
+                data.sessions.push(...sessions);
+            });
+        },
+        replace(id, session) {
+            return update(data => {
+                const index = data.sessions.findIndex(s => getSessionId(s) === id);
+                if (index === -1) return false;
+                data.sessions[index] = session;
+                return true;
+            });
+        },
+        remove(ids) {
+            let removed = [];
+            update(data => {
+                removed = data.sessions.filter(s => ids.includes(getSessionId(s)));
+                if (removed.length === 0) return false;
+                data.sessions = data.sessions.filter(s => !ids.includes(getSessionId(s)));
+            });
+            return removed;
+        },
+        saveSettings(settings) {
+            update(data => {
+                data.uiSettings = settings;
+            });
+        },
+        merge(build) {
+            update(data => {
+                const byId = new Map(data.sessions.map(s => [getSessionId(s), s]));
+                const { put = [], remove = [], syncState } = build(byId);
+                if (put.length === 0 && remove.length === 0 && syncState === undefined) {
+                    return false;
+                }
+
+                // Replace in place and append new ones, so the order stays chronological by insertion
+                const replacements = new Map(put.map(session => [getSessionId(session), session]));
+                const removed = new Set(remove);
+                data.sessions = data.sessions
+                    .filter(session => !removed.has(getSessionId(session)))
+                    .map(session => {
+                        const id = getSessionId(session);
+                        const replacement = replacements.get(id);
+                        replacements.delete(id);
+                        return replacement || session;
+                    });
+                data.sessions.push(...replacements.values());
+
+                if (syncState !== undefined) {
+                    data.syncState = syncState;
+                }
+            });
+        },
+    };
+}
+
+// ============= Append-only log backend =============
+
+/**
+ * One JSON operation per line:
+ *   {"op":"meta","format":"dev-timr-log","version":1,"schemaVersion":2}
+ *   {"op":"put","id":"...","session":{...}}   add or replace a session
+ *   {"op":"delete","id":"..."}
+ *   {"op":"settings","uiSettings":{...}}
+ *   {"op":"sync","syncState":{...}}
+ *
+ * The parsed state is kept in memory together with the byte offset it covers,
+ * so later reads only parse lines appended since (by this or another process).
+ * A torn last line from a crash mid-write is ignored until it is completed.
+ * Logs with an older schemaVersion or with unreadable sessions are rewritten
+ * on load, with the bad records quarantined.
+ */
+function createLogAdapter(filePath, options = {}) {
+    let gitignoreChecked = options.gitignore === false;
+    let state = null;
+
+    function emptyState() {
+        return {
+            sessions: new Map(),
+            uiSettings: undefined,
+            syncState: undefined,
+            schemaVersion: STORE_SCHEMA_VERSION,
+            invalid: [],
+            offset: 0,
+            ino: null,
+            lines: 0,
+            index: null,
+        };
+    }
+
+    function metaLine() {
+        return JSON.stringify({ op: 'meta', format: LOG_FORMAT, version: LOG_VERSION, schemaVersion: STORE_SCHEMA_VERSION });
+    }
+
+    function applyOperation(target, op) {
+        switch (op.op) {
+            case 'put': {
+                if (typeof op.id !== 'string') return false;
+                const reason = validateSessionRecord(op.session);
+                if (reason) {
+                    target.invalid.push({ record: op.session, reason });
+                } else {
+                    target.sessions.set(op.id, op.session);
+                }
+                return true;
+            }
+            case 'delete':
+                target.sessions.delete(op.id);
+                return true;
+            case 'settings':
+                target.uiSettings = op.uiSettings;
+                return true;
+            case 'sync':
+                target.syncState = op.syncState;
+                return true;
+            case 'meta':
+                if (op.version > LOG_VERSION) {
+                    throw new Error(`${path.basename(filePath)} was written by a newer version of dev-timr`);
+                }
+                // Logs from before schema versioning
+                target.schemaVersion = Number.isInteger(op.schemaVersion) ? op.schemaVersion : 0;
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Parse complete lines from buffer; returns the number of bytes consumed
+     */
+    function applyChunk(target, buffer) {
+        let consumed = 0;
+        let skipped = 0;
+        while (consumed < buffer.length) {
+            const newline = buffer.indexOf(0x0a, consumed);
+            if (newline === -1) break; // Incomplete line, wait for the rest
+            const line = buffer.toString('utf8', consumed, newline).trim();
+            consumed = newline + 1;
+            if (!line) continue;
+
+            target.lines++;
+            try {
+                if (!applyOperation(target, JSON.parse(line))) skipped++;
+            } catch (err) {
+                if (err instanceof SyntaxError) {
+                    skipped++;
+                } else {
+                    throw err;
+                }
+            }
+        }
+        if (skipped > 0) {
+            console.error(`[Store] Integrity warning: Skipped ${skipped} unreadable line(s) in ${path.basename(filePath)}`);
+        }
+        target.index = null;
+        return consumed;
+    }
+
+    /**
+     * Bring the in-memory state up to date with the file
+     */
+    function loadRaw() {
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch {
+            state = emptyState();
+            return state;
+        }
+
+        // Rewritten (compacted) or truncated by someone else: start over
+        if (!state || state.ino !== stat.ino || stat.size < state.offset) {
+            state = emptyState();
+            state.ino = stat.ino;
+        }
+        if (stat.size === state.offset) {
+            return state;
+        }
+
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(stat.size - state.offset);
+            fs.readSync(fd, buffer, 0, buffer.length, state.offset);
+            state.offset += applyChunk(state, buffer);
+        } finally {
+            fs.closeSync(fd);
+        }
+        return state;
+    }
+
+    /**
+     * Load the log, upgrading it first if needed (once, under the lock)
+     */
+    function load() {
+        const current = loadRaw();
+        if (current.schemaVersion === STORE_SCHEMA_VERSION && current.invalid.length === 0) {
+            return current;
+        }
+
+        withFileLock(filePath, () => {
+            const latest = loadRaw();
+            if (latest.schemaVersion === STORE_SCHEMA_VERSION && latest.invalid.length === 0) return;
+
+            const { data } = upgradeStoreData({
+                schemaVersion: latest.schemaVersion,
+                sessions: [...latest.sessions.values()],
+            });
+            quarantineRecords(filePath, latest.invalid);
+            write({ ...data, uiSettings: latest.uiSettings, syncState: latest.syncState });
+        });
+        return state;
+    }
+
+    /**
+     * Append operations under the store lock
+     * build() sees the latest state and returns the operations to write
+     */
+    function appendOperations(build) {
+        if (!gitignoreChecked) {
+            ensureGitignore(path.dirname(filePath), path.basename(filePath));
+            gitignoreChecked = true;
+        }
+
+        return withFileLock(filePath, () => {
+            const current = load();
+            const { ops, result } = build(current);
+            if (ops.length > 0) {
+                writeOperations(current, ops);
+            }
+            return result;
+        });
+    }
+
+    function writeOperations(current, ops) {
+        let text = ops.map(op => JSON.stringify(op) + '\n').join('');
+        if (current.lines === 0 && current.offset === 0) {
+            text = metaLine() + '\n' + text;
+        }
+
+        // Finish off a torn line so the new operations start on their own line
+        const size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+        if (size > current.offset) {
+            text = '\n' + text;
+        }
+
+        fs.appendFileSync(filePath, text);
+        load();
+        compactIfNeeded();
+    }
+
+    /**
+     * Rewrite the log with only the live state
+     */
+    function write(data) {
+        if (!gitignoreChecked) {
+            ensureGitignore(path.dirname(filePath), path.basename(filePath));
+            gitignoreChecked = true;
+        }
+
+        const lines = [metaLine()];
+        if (data.uiSettings !== undefined) {
+            lines.push(JSON.stringify({ op: 'settings', uiSettings: data.uiSettings }));
+        }
+        if (data.syncState !== undefined) {
+            lines.push(JSON.stringify({ op: 'sync', syncState: data.syncState }));
+        }
+        for (const session of data.sessions) {
+            lines.push(JSON.stringify({ op: 'put', id: getSessionId(session), session }));
+        }
+
+        withFileLock(filePath, () => {
+            writeFileAtomic(filePath, lines.join('\n') + '\n');
+            state = null;
+            loadRaw();
+        });
+    }
+
+    function read() {
+        const current = load();
+        const data = { schemaVersion: STORE_SCHEMA_VERSION, sessions: [...current.sessions.values()] };
+        if (current.uiSettings !== undefined) {
+            data.uiSettings = current.uiSettings;
+        }
+        if (current.syncState !== undefined) {
+            data.syncState = current.syncState;
+        }
+        return data;
+    }
+
+    function compactIfNeeded() {
+        const live = state.sessions.size + (state.uiSettings !== undefined ? 1 : 0) + (state.syncState !== undefined ? 1 : 0) + 1;
+        const garbage = state.lines - live;
+        if (garbage >= COMPACT_MIN_GARBAGE && garbage > live) {
+            write(read());
+        }
+    }
+
+    /**
+     * Sessions sorted by start, with the longest span so a range lookup
+     * knows how far back an overlapping session can begin
+     */
+    function getIndex() {
+        const current = load();
+        if (!current.index) {
+            const sorted = [...current.sessions.values()].sort((a, b) => a.start - b.start);
+            const maxSpan = sorted.reduce((max, s) => Math.max(max, s.end - s.start), 0);
+            current.index = { sorted, maxSpan };
+        }
+        return current.index;
+    }
+
+    // First position whose start is >= value
+    function lowerBound(sorted, value) {
+        let lo = 0;
+        let hi = sorted.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            if (sorted[mid].start < value) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    return {
+        backend: 'log',
+        filePath,
+        exists: () => fs.existsSync(filePath),
+        read,
+        write,
+        query(from, to) {
+            const { sorted, maxSpan } = getIndex();
+            const first = lowerBound(sorted, from - maxSpan);
+            const last = lowerBound(sorted, to);
+            return sorted.slice(first, last).filter(session => session.end >= from);
+        },
+        append(sessions) {
+            appendOperations(() => ({
+                ops: sessions.map(session => ({ op: 'put', id: getSessionId(session), session })),
+            }));
+        },
+        replace(id, session) {
+            return appendOperations((current) => {
+                if (!current.sessions.has(id)) return { ops: [], result: false };
+                // A new ID (legacy sessions get their derived one) drops the old entry
+                const newId = getSessionId(session);
+                const ops = newId === id
+                    ? [{ op: 'put', id, session }]
+                    : [{ op: 'delete', id }, { op: 'put', id: newId, session }];
+                return { ops, result: true };
+            });
+        },
+        remove(ids) {
+            return appendOperations((current) => {
+                const present = [...new Set(ids)].filter(id => current.sessions.has(id));
+                return {
+                    ops: present.map(id => ({ op: 'delete', id })),
+                    result: present.map(id => current.sessions.get(id)),
+                };
+            });
+        },
+        saveSettings(settings) {
+            appendOperations(() => ({ ops: [{ op: 'settings', uiSettings: settings }] }));
+        },
+        merge(build) {
+            appendOperations((current) => {
+                const { put = [], remove = [], syncState } = build(current.sessions);
+                const ops = [
+                    ...put.map(session => ({ op: 'put', id: getSessionId(session), session })),
+                    ...remove.filter(id => current.sessions.has(id)).map(id => ({ op: 'delete', id })),
+                ];
+                if (syncState !== undefined) {
+                    ops.push({ op: 'sync', syncState });
+                }
+                return { ops };
+            });
+        },
+    };
+}
+
+// ============= Selection and migration =============
+
+const ADAPTER_FACTORIES = {
+    json: createJsonAdapter,
+    log: createLogAdapter,
+};
+
+const adapters = new Map();
+
+/**
+ * Move data from another backend's file into the selected one
+ * The old file is kept next to it with a .migrated suffix
+ */
+function migrateFromOtherBackends(adapter, dir) {
+    if (adapter.exists()) return;
+
+    for (const backend of STORAGE_BACKENDS) {
+        if (backend === adapter.backend) continue;
+
+        const source = ADAPTER_FACTORIES[backend](path.join(dir, FILE_NAMES[backend]));
+        if (!source.exists()) continue;
+
+        withFileLock(source.filePath, () => withFileLock(adapter.filePath, () => {
+            // Another process may have migrated while we waited
+            if (adapter.exists() || !source.exists()) return;
+
+            const data = source.read();
+            adapter.write(data);
+            const backupPath = keepAsMigrated(source.filePath);
+            // stderr, so piped output (e.g. dev-timr export) stays clean
+            console.error(`[Store] Moved ${data.sessions.length} session(s) from ${FILE_NAMES[backend]} to ${FILE_NAMES[adapter.backend]} (old file kept as ${path.basename(backupPath)})`);
+        }));
+        return;
+    }
+}
+
+/**
+ * Get the storage adapter for a store directory
+ * Existing data in another backend's format is migrated on first use
+ * @param {string} [dir] - Directory holding the store (default: cwd)
+ * @param {string} [backend] - 'json' or 'log' (default: configured backend)
+ */
+export function getStorageAdapter(dir = process.cwd(), backend = getStorageBackend()) {
+    const selected = ADAPTER_FACTORIES[backend] ? backend : 'json';
+    const filePath = path.resolve(dir, FILE_NAMES[selected]);
+
+    let adapter = adapters.get(filePath);
+    if (!adapter) {
+        adapter = ADAPTER_FACTORIES[selected](filePath);
+        migrateFromOtherBackends(adapter, path.dirname(filePath));
+        adapters.set(filePath, adapter);
+    }
+    return adapter;
+}
+
+// ============= Central store =============
+
+const REPO_INFO_FILE = 'repo.json';
+
+// Store directory per working directory (resolving it runs git)
+const storeDirs = new Map();
+
+function toPathSegment(name) {
+    return name.toLowerCase().replace(/[^a-z0-9._-]/g, '_').replace(/^\.+/, '_');
+}
+
+/**
+ * Read the repository a central store directory belongs to
+ * @returns {{host?: string, owner: string, repo: string, fullName: string}|null} null without a readable repo.json
+ */
+function readRepoInfo(dir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, REPO_INFO_FILE), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+function writeRepoInfo(dir, repo) {
+    writeFileAtomic(path.join(dir, REPO_INFO_FILE), JSON.stringify({ host: repo.host, owner: repo.owner, repo: repo.repo, fullName: repo.fullName }, null, 2));
+}
+
+/**
+ * Get the central store directory of a repository, creating it if needed
+ * @param {{host: string, owner: string, repo: string, fullName: string}} repo - From git.getRepoInfo()
+ */
+export function getCentralStoreDir(repo) {
+    const dir = path.join(config.paths.repoStoreDir, ...repo.fullName.split('/').map(toPathSegment));
+
+    // Stores used to be named <owner>/<repo> whatever the host, and recorded no host.
+    // One that recorded this repository's owner and name moves to the name with the
+    // host; for a GitHub repository that is the same directory
+    const legacyDir = path.join(config.paths.repoStoreDir, ...`${repo.owner}/${repo.repo}`.split('/').map(toPathSegment));
+    if (legacyDir !== dir && !fs.existsSync(dir)) {
+        const legacy = readRepoInfo(legacyDir);
+        if (legacy && !legacy.host && legacy.fullName?.toLowerCase() === `${repo.owner}/${repo.repo}`.toLowerCase()) {
+            fs.mkdirSync(path.dirname(dir), { recursive: true, mode: 0o700 });
+            fs.renameSync(legacyDir, dir);
+        }
+    }
+
+    const info = readRepoInfo(dir);
+    if (!info) {
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+        writeRepoInfo(dir, repo);
+    } else if (!info.host) {
+        // Record the host, so the store no longer looks like another host's legacy store
+        writeRepoInfo(dir, repo);
+    }
+    return dir;
+}
+
+/**
+ * List every repository in the central store
+ * @returns {Array<{dir: string, repo: {host?: string, owner: string, repo: string, fullName: string}}>}
+ */
+export function listCentralStores() {
+    const stores = [];
+
+    function walk(dir) {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch {
+            return;
+        }
+        if (entries.some(entry => entry.isFile() && entry.name === REPO_INFO_FILE)) {
+            // A store we can't name is left alone
+            const repo = readRepoInfo(dir);
+            if (repo) stores.push({ dir, repo });
+            return;
+        }
+        for (const entry of entries) {
+            if (entry.isDirectory()) walk(path.join(dir, entry.name));
+        }
+    }
+
+    walk(config.paths.repoStoreDir);
+    return stores.sort((a, b) => a.repo.fullName.localeCompare(b.repo.fullName));
+}
+
+/**
+ * Pull the store files of a project directory into a (central) store
+ * Sessions already there are skipped; each file is kept with a .migrated suffix
+ * @param {Object} adapter - Target adapter (see getStorageAdapter)
+ * @param {string} projectDir - Directory containing .dev-clock.json / .ndjson
+ * @returns {{files: Array<string>, added: number, skipped: number}}
+ */
+export function importProjectStore(adapter, projectDir) {
+    const result = { files: [], added: 0, skipped: 0 };
+
+    for (const backend of STORAGE_BACKENDS) {
+        const sourcePath = path.resolve(projectDir, FILE_NAMES[backend]);
+        if (sourcePath === adapter.filePath || !fs.existsSync(sourcePath)) continue;
+
+        withFileLock(sourcePath, () => withFileLock(adapter.filePath, () => {
+            // Another process may have pulled it in while we waited
+            if (!fs.existsSync(sourcePath)) return;
+
+            const data = ADAPTER_FACTORIES[backend](sourcePath, { gitignore: false }).read();
+            const target = adapter.read();
+            const known = new Set(target.sessions.map(getSessionId));
+            const toAdd = data.sessions.filter(session => !known.has(getSessionId(session)));
+
+            adapter.append(toAdd);
+            if (data.uiSettings !== undefined && target.uiSettings === undefined) {
+                adapter.saveSettings(data.uiSettings);
+            }
+            keepAsMigrated(sourcePath);
+
+            result.files.push(sourcePath);
+            result.added += toAdd.length;
+            result.skipped += data.sessions.length - toAdd.length;
+        }));
+    }
+    return result;
+}
+
+/**
+ * Get the store directory for the current working directory
+ * In central mode that is the repository's central directory; outside a
+ * repository with a known identity, and by default, it is cwd
+ */
+function getStoreDir() {
+    const cwd = process.cwd();
+    if (storeDirs.has(cwd)) {
+        return storeDirs.get(cwd);
+    }
+
+    let dir = cwd;
+    const repo = isCentralStore() ? getRepoInfo(cwd) : null;
+    if (repo) {
+        dir = getCentralStoreDir(repo);
+
+        // Sessions recorded in the project before central mode was turned on
+        const adapter = getStorageAdapter(dir);
+        const projectDirs = new Set([cwd, getRepoRoot(cwd)].filter(Boolean));
+        for (const projectDir of projectDirs) {
+            const { files, added } = importProjectStore(adapter, projectDir);
+            if (files.length > 0) {
+                console.error(`[Store] Moved ${added} session(s) from ${files.join(', ')} into the central store at ${dir} (old files kept with a .migrated suffix)`);
+            }
+        }
+    }
+
+    storeDirs.set(cwd, dir);
+    return dir;
+}
+
+/**
+ * Get the storage adapter for the project in cwd (central or in the project)
+ */
+export function getProjectStore() {
+    return getStorageAdapter(getStoreDir());
+}
+
+export default {
+    STORAGE_BACKENDS,
+    getSessionId,
+    getStoreFileName,
+    getStorageAdapter,
+    getCentralStoreDir,
+    listCentralStores,
+    importProjectStore,
+    getProjectStore,
+};
@@ -1,140 +1,279 @@
-import fs from 'fs';
-import path from 'path';
-import { queueSession, processQueue, getQueuedCount } from './queue.js';
-import { getRepoStats as getCloudStats } from './api.js';
-import { isLoggedIn } from './auth.js';
-import { getRepoInfo } from './git.js';
+import { queueSession, processQueue, getQueuedCount, getQueuedSessions, getDeadLetters } from './queue.js';
+import { getRepoStats as getCloudStats, getSessionsInRange as getCloudSessions, getSessionChanges, getRecentTasks as getCloudRecentTasks } from './api.js';
+import { getCachedTasks } from './catalog.js';
+import { isLoggedIn, getCurrentUser } from './auth.js';
+import { getRepoInfo, getGitUserName, LOCAL_GIT_HOST, PROJECT_CONFIG_FILE } from './git.js';
+import { getSessionSegments, sumSegments } from './segments.js';
+import { getPeriodStarts, getRecentDays, splitSegmentsByDay } from './period.js';
+import { getProjectStore, getStorageAdapter, listCentralStores, getSessionId } from './storage.js';
 
-const STORE_FILE = '.dev-clock.json';
+export { getSessionId };
 
-function getStorePath() {
-  return path.resolve(process.cwd(), STORE_FILE);
+/**
+ * Get the storage adapter for the project in cwd (see storage.js)
+ */
+function getStore() {
+  return getProjectStore();
+}
+
+function readStore() {
+  return getStore().read();
 }
 
 /**
- * Ensure .dev-clock.json is in the project's .gitignore
+ * Normalize a session for the store
  */
-function ensureGitignore() {
-  const gitignorePath = path.resolve(process.cwd(), '.gitignore');
-  const entry = STORE_FILE;
-
-  try {
-    if (fs.existsSync(gitignorePath)) {
-      const content = fs.readFileSync(gitignorePath, 'utf8');
-      // Check if already present (exact line match)
-      const lines = content.split('\n').map(l => l.trim());
-      if (lines.includes(entry)) {
-        return; // Already there
-      }
-      // Append to .gitignore
-      const newContent = content.endsWith('\n')
-        ? content + entry + '\n'
-        : content + '\n' + entry + '\n';
-      fs.writeFileSync(gitignorePath, newContent);
-      console.log(`Added ${entry} to .gitignore`);
-    } else {
-      // Create .gitignore with the entry
-      fs.writeFileSync(gitignorePath, `# Dev-Timr session data\n${entry}\n`);
-      console.log(`Created .gitignore with ${entry}`);
-    }
-  } catch (err) {
-    // Silently fail - not critical
-  }
+function toStoredSession(session) {
+  const segments = getSessionSegments(session);
+  return {
+    start: session.start,
+    end: session.end,
+    duration: sumSegments(segments),
+    segments,
+    // Why the timer stopped in between (only the tracker records them)
+    ...(Array.isArray(session.pauses) && session.pauses.length > 0 && { pauses: session.pauses }),
+    taskName: session.taskName || null,
+    clientId: session.clientId || null,
+    // Tracked sessions have no source; only exceptions are marked
+    ...(session.source && { source: session.source }),
+    ...(session.branch && { branch: session.branch }),
+    // HEAD when the session started and ended
+    ...(session.startCommit && { startCommit: session.startCommit }),
+    ...(session.endCommit && { endCommit: session.endCommit }),
+    // Server time of the cloud version this copy is based on (see pullSessions)
+    ...(session.remoteUpdatedAt && { remoteUpdatedAt: session.remoteUpdatedAt }),
+  };
 }
 
 /**
- * Validate store data structure
+ * Whether a server timestamp is newer than the one a local copy is based on
+ * Copies never pulled from the cloud count as older than any server change
  */
-function validateStoreData(data) {
-  if (!data || typeof data !== 'object') return false;
-  if (!Array.isArray(data.sessions)) return false;
-  // Validate each session has required fields
-  for (const session of data.sessions) {
-    if (typeof session.start !== 'number' || typeof session.end !== 'number') {
-      return false;
-    }
-  }
-  return true;
+function isNewer(at, local) {
+  return !local.remoteUpdatedAt || Date.parse(at) > Date.parse(local.remoteUpdatedAt);
+}
+
+function sameContent(a, b) {
+  const { remoteUpdatedAt: _a, ...restA } = a;
+  const { remoteUpdatedAt: _b, ...restB } = b;
+  return JSON.stringify(restA) === JSON.stringify(restB);
 }
 
 /**
- * Read the local store with validation
+ * Queue a change for the cloud and try to sync it right away (if logged in)
+ * @param {Object} session - Session to send
+ * @param {string} action - 'insert', 'update' or 'delete'
+ * @returns {Promise<boolean>} true if it reached the cloud
  */
-function readStore() {
-  const storePath = getStorePath();
-  if (!fs.existsSync(storePath)) {
-    return { sessions: [] };
+async function syncChange(session, action) {
+  if (!isLoggedIn()) {
+    return false;
   }
-  try {
-    const content = fs.readFileSync(storePath, 'utf8');
-    const data = JSON.parse(content);
 
-    if (!validateStoreData(data)) {
-      console.error('[Store] Integrity warning: Invalid store data structure');
-      return { sessions: [] };
-    }
+  const repo = getRepoInfo();
+  if (!repo) {
+    return false;
+  }
 
-    return data;
-  } catch (err) {
-    console.error('[Store] Failed to read store file:', err.message);
-    return { sessions: [] };
+  // Identified by its root commit only; there's nothing to sync it to
+  if (repo.host === LOCAL_GIT_HOST) {
+    console.log(`💾 Saved locally. This repository has no remote; pin its identity in ${PROJECT_CONFIG_FILE} to sync it.`);
+    return false;
   }
-}
 
-function writeStore(data) {
-  const storePath = getStorePath();
-  // Ensure .dev-clock.json is gitignored on first write
-  ensureGitignore();
-  fs.writeFileSync(storePath, JSON.stringify(data, null, 2));
+  queueSession({ ...session, repo }, action);
+
+  // Sync immediately and await the result
+  try {
+    const result = await processQueue();
+    if (result.synced > 0) {
+      console.log('☁️  Synced to cloud');
+      return true;
+    } else if (result.deadLettered > 0) {
+      console.log('⚠️  The cloud rejected this change; see `dev-timr queue list`');
+    } else if (result.failed > 0) {
+      console.log('⏳ Queued for sync (will retry)');
+    }
+  } catch (err) {
+    console.log('⏳ Queued for sync:', err.message);
+  }
+  return false;
 }
 
 /**
  * Add a session to the store
  * - Always saves to local file as backup
  * - Immediately syncs to cloud if logged in
- * @param {Object} session - Session with start, end, taskName, clientId
+ * @param {Object} session - Session with start, end, taskName, clientId and
+ *   optionally source ('manual' for entries logged by hand), branch,
+ *   startCommit and endCommit
  * @returns {Promise<{local: boolean, cloud: boolean}>}
  */
 export async function addSession(session) {
   // Always save to local file first
-  const store = readStore();
-  store.sessions.push({
-    start: session.start,
-    end: session.end,
-    taskName: session.taskName || null,
-    clientId: session.clientId || null,
-  });
-  writeStore(store);
+  const stored = toStoredSession(session);
+  getStore().append([stored]);
 
-  let cloudSynced = false;
+  const cloudSynced = await syncChange({ ...session, segments: stored.segments }, 'insert');
 
-  // Immediately sync to cloud if logged in
-  if (isLoggedIn()) {
-    const repo = getRepoInfo();
-    if (repo) {
-      queueSession({
-        ...session,
-        repo,
-      });
+  return { local: true, cloud: cloudSynced };
+}
 
-      // Sync immediately and await the result
-      try {
-        const result = await processQueue();
-        if (result.synced > 0) {
-          console.log('☁️  Synced to cloud');
-          cloudSynced = true;
-        } else if (result.failed > 0) {
-          console.log('⏳ Queued for sync (will retry)');
+/**
+ * Add imported sessions to the local store in one write, without syncing
+ * Sessions whose clientId is already stored are skipped, so re-imports are harmless
+ * @param {Array<Object>} sessions - Sessions with deterministic clientIds
+ * @returns {{added: number, skipped: number}}
+ */
+export function importSessions(sessions) {
+  const known = new Set(readStore().sessions.map(getSessionId));
+
+  const toAdd = [];
+  for (const session of sessions) {
+    if (known.has(session.clientId)) continue;
+    toAdd.push(toStoredSession(session));
+    known.add(session.clientId);
+  }
+
+  getStore().append(toAdd);
+  return { added: toAdd.length, skipped: sessions.length - toAdd.length };
+}
+
+/**
+ * Replace a recorded session (new times, segments or task name)
+ * Legacy sessions keep their derived ID from now on, so later edits still
+ * find the same cloud row
+ * @param {string} id - Session ID (see getSessionId)
+ * @param {Object} changes - Fields to change (start, end, segments, taskName)
+ * @returns {Promise<{local: boolean, cloud: boolean, session: Object}>}
+ */
+export async function updateSession(id, changes) {
+  const existing = readStore().sessions.find(s => getSessionId(s) === id);
+  if (!existing) {
+    throw new Error(`Session not found: ${id}`);
+  }
+
+  const updated = toStoredSession({ ...existing, ...changes, clientId: id });
+  getStore().replace(id, updated);
+
+  const cloudSynced = await syncChange(updated, 'update');
+
+  return { local: true, cloud: cloudSynced, session: updated };
+}
+
+/**
+ * Delete recorded sessions
+ * @param {Array<string>} ids - Session IDs (see getSessionId)
+ * @returns {Promise<{local: boolean, cloud: boolean, deleted: number}>}
+ */
+export async function deleteSessions(ids) {
+  const removed = getStore().remove(ids);
+
+  let cloudSynced = removed.length > 0;
+  for (const session of removed) {
+    const synced = await syncChange({ ...session, clientId: getSessionId(session) }, 'delete');
+    cloudSynced = cloudSynced && synced;
+  }
+
+  return { local: true, cloud: cloudSynced, deleted: removed.length };
+}
+
+/**
+ * Pull the current user's cloud sessions for this repository into the local store
+ * - Only fetches what changed since the last pull (cursor kept in the store)
+ * - Edits and deletes resolve last-writer-wins by server timestamp
+ * - Sessions with changes still waiting in the queue are left alone; pushing
+ *   them makes them the newest write anyway
+ * - Branch and commits are kept when the cloud copy has none (e.g. synced
+ *   before migration 016)
+ * - The store is only written when rows were merged or the cursor moved
+ * @returns {Promise<{added: number, updated: number, removed: number}|null>}
+ *   null when logged out or not in a repository with a remote
+ */
+export async function pullSessions() {
+  const user = getCurrentUser();
+  if (!isLoggedIn() || !user?.id) {
+    return null;
+  }
+
+  const { syncState } = readStore();
+  const since = syncState?.userId === user.id ? syncState.cursor : null;
+
+  const changes = await getSessionChanges({ since });
+  if (!changes) {
+    return null;
+  }
+
+  const pending = new Set(
+    [...getQueuedSessions(), ...getDeadLetters()].map(entry => entry.clientId).filter(Boolean)
+  );
+
+  // Latest event per session; a delete and a re-insert of the same ID can both show up
+  const latest = new Map();
+  for (const session of changes.sessions) {
+    latest.set(session.clientId, { at: session.remoteUpdatedAt, session });
+  }
+  for (const { clientId, deletedAt } of changes.deletions) {
+    const current = latest.get(clientId);
+    if (!current || Date.parse(deletedAt) > Date.parse(current.at)) {
+      latest.set(clientId, { at: deletedAt, session: null });
+    }
+  }
+
+  const counts = { added: 0, updated: 0, removed: 0 };
+
+  getStore().merge((sessionsById) => {
+    const put = [];
+    const remove = [];
+
+    for (const [clientId, { at, session }] of latest) {
+      if (pending.has(clientId)) continue;
+      const local = sessionsById.get(clientId);
+
+      if (!session) {
+        if (local && isNewer(at, local)) {
+          remove.push(clientId);
+          counts.removed++;
         }
-      } catch (err) {
-        console.log('⏳ Queued for sync:', err.message);
+        continue;
+      }
+
+      if (local && !isNewer(at, local)) continue;
+
+      const { source, ...remote } = session;
+      const merged = toStoredSession({
+        ...local,
+        ...remote,
+        source: source === 'timer' ? null : source,
+      });
+      if (local && JSON.stringify(merged) === JSON.stringify(local)) continue;
+
+      put.push(merged);
+      if (!local) {
+        counts.added++;
+      } else if (!sameContent(merged, local)) {
+        counts.updated++;
       }
     }
-  }
 
-  return { local: true, cloud: cloudSynced };
+    // Only write when something changed, so polling an unchanged history costs no write
+    const advanced = syncState?.userId !== user.id || changes.cursor !== since;
+    return {
+      put,
+      remove,
+      syncState: advanced || put.length > 0 || remove.length > 0
+        ? { userId: user.id, cursor: changes.cursor, pulledAt: Date.now() }
+        : undefined,
+    };
+  });
+
+  return counts;
 }
 
+// Least time between the pulls getStats() makes (`dev-timr sync` pulls any time)
+const STATS_PULL_INTERVAL_MS = 5 * 60 * 1000;
+let lastStatsPullAt = 0;
+
 /**
  * Get stats for the current repository
  * - Tries cloud first if logged in
@@ -146,6 +285,17 @@ export async function addSession(session) {
 export async function getStats(forceLocal = false, personalOnly = false) {
   // Try cloud first if authenticated and not forced local
   if (!forceLocal && isLoggedIn()) {
+    // Keep the local copy current, so offline totals include other machines;
+    // the dashboard asks for stats every minute, pulling that often isn't needed
+    if (Date.now() - lastStatsPullAt >= STATS_PULL_INTERVAL_MS) {
+      lastStatsPullAt = Date.now();
+      try {
+        await pullSessions();
+      } catch (err) {
+        console.debug('Could not pull cloud sessions:', err.message);
+      }
+    }
+
     try {
       const cloudStats = await getCloudStats(null, personalOnly);
       if (cloudStats) {
@@ -165,51 +315,50 @@ export async function getStats(forceLocal = false, personalOnly = false) {
 }
 
 /**
- * Calculate stats from local file only
+ * Sum active time for today/week/month/all time
+ * Only active segments count, so paused time never inflates totals
  */
-export function getLocalStats() {
-  const store = readStore();
-  const now = new Date();
-  const todayString = now.toISOString().split('T')[0];
-  const weekStart = new Date(now);
-  weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-  const weekStartTime = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate()).getTime();
-
-  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+function sumPeriods(sessions) {
+  const { todayStart, weekStart, monthStart } = getPeriodStarts();
 
   let totalMs = 0;
   let todayMs = 0;
   let weekMs = 0;
   let monthMs = 0;
 
-  for (const session of store.sessions) {
-    const duration = session.end - session.start;
-    if (duration > 0) {
-      totalMs += duration;
-
-      const sessionDate = new Date(session.start).toISOString().split('T')[0];
-      if (sessionDate === todayString) {
-        todayMs += duration;
-      }
-      if (session.start >= weekStartTime) {
-        weekMs += duration;
-      }
-      if (session.start >= monthStart) {
-        monthMs += duration;
-      }
-    }
+  for (const session of sessions) {
+    const segments = getSessionSegments(session);
+    totalMs += sumSegments(segments);
+    todayMs += sumSegments(segments, todayStart);
+    weekMs += sumSegments(segments, weekStart);
+    monthMs += sumSegments(segments, monthStart);
   }
 
+  return { totalMs, todayMs, weekMs, monthMs };
+}
+
+/**
+ * Calculate stats from local file only
+ */
+export function getLocalStats() {
   return {
-    totalMs,
-    todayMs,
-    weekMs,
-    monthMs,
+    ...sumPeriods(readStore().sessions),
     source: 'local',
     queuedCount: getQueuedCount(),
   };
 }
 
+/**
+ * Calculate stats for every repository in the central store (offline)
+ * @returns {Array<{repo: string, totalMs, todayMs, weekMs, monthMs, sessions: number}>}
+ */
+export function getAllRepoStats() {
+  return listCentralStores().map(({ dir, repo }) => {
+    const { sessions } = getStorageAdapter(dir).read();
+    return { repo: repo.fullName, ...sumPeriods(sessions), sessions: sessions.length };
+  });
+}
+
 /**
  * Get local sessions (for migration)
  */
@@ -218,6 +367,68 @@ export function getLocalSessions() {
   return store.sessions;
 }
 
+/**
+ * Find local sessions whose active time overlaps [start, end)
+ * @param {number} start - Epoch ms
+ * @param {number} end - Epoch ms
+ * @param {Array<string>} excludeIds - Sessions to ignore (e.g. the one being edited)
+ * @returns {Array<Object>} Overlapping sessions
+ */
+export function findOverlappingSessions(start, end, excludeIds = []) {
+  return getStore().query(start, end).filter(session =>
+    !excludeIds.includes(getSessionId(session)) &&
+    sumSegments(getSessionSegments(session), start, end) > 0
+  );
+}
+
+/**
+ * Get sessions that have time in [from, to)
+ * - Tries cloud first if logged in (whole team unless personalOnly)
+ * - Falls back to the local file
+ * Either way the range selects the same sessions, so callers can treat both alike
+ * @param {Object} options
+ * @param {number} options.from - Epoch ms (inclusive)
+ * @param {number} options.to - Epoch ms (exclusive)
+ * @param {boolean} options.personalOnly - Only the current user's sessions (cloud only)
+ * @param {boolean} options.forceLocal - Skip cloud lookup
+ * @returns {Promise<{sessions: Array<Object>, source: 'cloud'|'local'}>}
+ */
+export async function getSessions({ from = 0, to = Date.now(), personalOnly = false, forceLocal = false } = {}) {
+  if (!forceLocal && isLoggedIn()) {
+    try {
+      const sessions = await getCloudSessions({ from, to, personalOnly });
+      if (sessions) {
+        return { sessions, source: 'cloud' };
+      }
+    } catch (err) {
+      console.debug('Cloud sessions unavailable, using local:', err.message);
+    }
+  }
+
+  return { sessions: getLocalSessionsInRange(from, to), source: 'local' };
+}
+
+/**
+ * Get local sessions that have time in [from, to)
+ * Same shape as api.getSessionsInRange; every local session is the current user's
+ * @param {number} from - Epoch ms (inclusive)
+ * @param {number} to - Epoch ms (exclusive)
+ */
+export function getLocalSessionsInRange(from = 0, to = Date.now()) {
+  const member = getCurrentUser()?.githubUsername || getGitUserName() || 'me';
+  return getStore().query(from, to)
+    .map(session => ({
+      start: session.start,
+      end: session.end,
+      segments: getSessionSegments(session),
+      taskName: session.taskName || null,
+      clientId: getSessionId(session),
+      source: session.source || 'timer',
+      branch: session.branch || null,
+      member,
+    }));
+}
+
 /**
  * Get sessions by task name (local only)
  */
@@ -227,7 +438,7 @@ export function getLocalTaskBreakdown() {
   let unnamedTotal = 0;
 
   for (const session of store.sessions) {
-    const duration = session.end - session.start;
+    const duration = sumSegments(getSessionSegments(session));
     if (duration > 0) {
       if (session.taskName) {
         const current = taskMap.get(session.taskName) || 0;
@@ -253,32 +464,22 @@ export function getLocalTaskBreakdown() {
  * Get daily breakdown from local data
  */
 export function getLocalDailyBreakdown(days = 30) {
-  const store = readStore();
-  const endDate = new Date();
-  const startDate = new Date(endDate.getTime() - (days * 24 * 60 * 60 * 1000));
+  const recentDays = getRecentDays(days);
 
   // Initialize all days to 0
-  const dailyMap = new Map();
-  for (let i = 0; i < days; i++) {
-    const date = new Date(endDate.getTime() - (i * 24 * 60 * 60 * 1000));
-    const dateStr = date.toISOString().split('T')[0];
-    dailyMap.set(dateStr, 0);
-  }
+  const dailyMap = new Map(recentDays.map(({ date }) => [date, 0]));
 
-  // Sum durations by day
-  for (const session of store.sessions) {
-    if (session.start >= startDate.getTime()) {
-      const dateStr = new Date(session.start).toISOString().split('T')[0];
-      const duration = session.end - session.start;
-      if (duration > 0 && dailyMap.has(dateStr)) {
-        dailyMap.set(dateStr, dailyMap.get(dateStr) + duration);
+  // Sum active time by day, splitting segments that cross midnight
+  for (const session of getStore().query(recentDays[0].start, Date.now())) {
+    for (const { date, ms } of splitSegmentsByDay(getSessionSegments(session))) {
+      if (dailyMap.has(date)) {
+        dailyMap.set(date, dailyMap.get(date) + ms);
       }
     }
   }
 
   return Array.from(dailyMap.entries())
-    .map(([date, ms]) => ({ date, ms }))
-    .sort((a, b) => a.date.localeCompare(b.date));
+    .map(([date, ms]) => ({ date, ms }));
 }
 
 /**
@@ -294,6 +495,43 @@ export function getLastTaskName() {
   return null;
 }
 
+/**
+ * Recently used task names for the task prompt, most recent first
+ * Combines the repository's cloud tasks (fetched when online, otherwise from the
+ * catalog cache) with the tasks of local sessions, so it works offline too
+ * @param {number} limit - Maximum number of names
+ * @returns {Promise<Array<string>>}
+ */
+export async function getRecentTaskNames(limit = 5) {
+  const lastUsed = new Map();
+  const note = (name, at) => {
+    if (name) lastUsed.set(name, Math.max(lastUsed.get(name) || 0, at || 0));
+  };
+
+  let cloudTasks = [];
+  try {
+    cloudTasks = await getCloudRecentTasks(null, limit);
+  } catch {
+    // Offline; the cache below has the last known list
+  }
+  const repo = getRepoInfo();
+  if (cloudTasks.length === 0 && repo) {
+    cloudTasks = getCachedTasks(repo);
+  }
+  for (const task of cloudTasks) {
+    note(task.name, task.lastUsed);
+  }
+
+  for (const session of readStore().sessions) {
+    note(session.taskName, session.start);
+  }
+
+  return [...lastUsed.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([name]) => name);
+}
+
 /**
  * Get UI settings from local store
  */
@@ -306,9 +544,7 @@ export function getUISettings() {
  * Save UI settings to local store (separate from session data)
  */
 export function saveUISettings(settings) {
-  const store = readStore();
-  store.uiSettings = settings;
-  writeStore(store);
+  getStore().saveSettings(settings);
   return true;
 }
 
@@ -0,0 +1,206 @@
+/**
+ * Parsing of human-friendly durations and points in time for the CLI
+ *
+ * Durations: "1h30m", "1h 30m", "90m", "45min", "1.5h", "2h", "1:30"
+ * Times: "now", "14:00", "2:30pm", "today 9:00", "yesterday 14:00",
+ *        "monday 10:00" (most recent one), "2h ago", "2026-01-18 14:00"
+ *        or anything else Date.parse understands (ISO 8601).
+ * All times are interpreted in the configured timezone (see period.js).
+ */
+
+import { WEEKDAYS, getPeriodSettings, getZonedParts, zonedTime, addDays, atTimeOfDay, startOfMonth } from './period.js';
+
+const UNIT_MS = {
+    h: 3600000,
+    m: 60000,
+    s: 1000,
+};
+
+const UNIT_ALIASES = {
+    h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+    m: 'm', min: 'm', mins: 'm', minute: 'm', minutes: 'm',
+    s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+};
+
+/**
+ * Parse a duration
+ * @param {string} input - e.g. "1h30m"
+ * @returns {number|null} Milliseconds, or null if not a duration
+ */
+export function parseDuration(input) {
+    if (typeof input !== 'string') return null;
+    const text = input.trim().toLowerCase();
+    if (!text) return null;
+
+    // h:mm
+    const clock = text.match(/^(\d+):([0-5]\d)$/);
+    if (clock) {
+        return Number(clock[1]) * UNIT_MS.h + Number(clock[2]) * UNIT_MS.m;
+    }
+
+    // A bare number is minutes
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Math.round(Number(text) * UNIT_MS.m);
+    }
+
+    const partPattern = /(\d+(?:\.\d+)?)\s*([a-z]+)\s*/g;
+    let total = 0;
+    let consumed = 0;
+    let match;
+    while ((match = partPattern.exec(text)) !== null) {
+        if (match.index !== consumed) return null;
+        const unit = UNIT_ALIASES[match[2]];
+        if (!unit) return null;
+        total += Number(match[1]) * UNIT_MS[unit];
+        consumed = partPattern.lastIndex;
+    }
+
+    if (consumed !== text.length) return null;
+    return Math.round(total);
+}
+
+/**
+ * Parse a time of day ("14:00", "2:30pm", "9am")
+ * @returns {{hours: number, minutes: number}|null}
+ */
+function parseTimeOfDay(text) {
+    const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = match[2] ? Number(match[2]) : 0;
+    const meridiem = match[3];
+
+    // "9" alone is ambiguous with a duration or a date, so require a colon or am/pm
+    if (!match[2] && !meridiem) return null;
+    if (minutes > 59) return null;
+
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        if (meridiem === 'pm' && hours !== 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+    } else if (hours > 23) {
+        return null;
+    }
+
+    return { hours, minutes };
+}
+
+/**
+ * Parse a point in time
+ * @param {string} input - e.g. "yesterday 14:00"
+ * @param {Date} now - Reference time for relative inputs
+ * @param {Date} baseDay - Day a bare time of day ("14:00") falls on
+ * @returns {number|null} Epoch milliseconds, or null if not understood
+ */
+export function parseDateTime(input, now = new Date(), baseDay = now) {
+    if (typeof input !== 'string') return null;
+    const text = input.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!text) return null;
+
+    if (text === 'now') {
+        return now.getTime();
+    }
+
+    // "2h ago", "1h30m ago"
+    const ago = text.match(/^(.+) ago$/);
+    if (ago) {
+        const duration = parseDuration(ago[1]);
+        return duration === null ? null : now.getTime() - duration;
+    }
+
+    // "<day> [time]" where day is today, yesterday or a weekday
+    const settings = getPeriodSettings();
+    const [dayWord, ...rest] = text.split(' ');
+
+    let day = null;
+    if (dayWord === 'today') {
+        day = addDays(now.getTime(), 0, settings);
+    } else if (dayWord === 'yesterday') {
+        day = addDays(now.getTime(), -1, settings);
+    } else if (WEEKDAYS.includes(dayWord) || WEEKDAYS.some(d => d.slice(0, 3) === dayWord)) {
+        const target = WEEKDAYS.findIndex(d => d === dayWord || d.slice(0, 3) === dayWord);
+        // Most recent such day, a week back if it's today's weekday
+        const back = (getZonedParts(now.getTime(), settings).weekday - target + 7) % 7 || 7;
+        day = addDays(now.getTime(), -back, settings);
+    }
+
+    if (day !== null) {
+        const timeText = rest.join(' ');
+        if (!timeText) return day;
+        const time = parseTimeOfDay(timeText);
+        if (!time) return null;
+        return atTimeOfDay(day, time.hours, time.minutes, settings);
+    }
+
+    // A bare time of day means today (or the given day)
+    const time = parseTimeOfDay(text);
+    if (time) {
+        return atTimeOfDay(baseDay.getTime(), time.hours, time.minutes, settings);
+    }
+
+    // "YYYY-MM-DD [time]" in the configured timezone (Date.parse treats a bare date as UTC)
+    const date = text.match(/^(\d{4})-(\d{2})-(\d{2})(?: (.+))?$/);
+    if (date) {
+        const [year, month, dayOfMonth] = [Number(date[1]), Number(date[2]), Number(date[3])];
+        const check = new Date(Date.UTC(year, month - 1, dayOfMonth));
+        if (check.getUTCMonth() !== month - 1) return null;
+        const dateTime = date[4] ? parseTimeOfDay(date[4]) : { hours: 0, minutes: 0 };
+        if (dateTime) {
+            return zonedTime({ year, month, day: dayOfMonth, hour: dateTime.hours, minute: dateTime.minutes }, settings);
+        }
+    }
+
+    // Date.parse accepts almost anything (even "9"), so only trust it with a full date
+    if (!/\d{4}-\d{2}-\d{2}/.test(text)) return null;
+    const parsed = Date.parse(input);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Check if an input names a whole day rather than a moment ("2026-09-30", "yesterday")
+ */
+function isWholeDay(input) {
+    const text = String(input).trim().toLowerCase();
+    return /^\d{4}-\d{2}-\d{2}$/.test(text) ||
+        text === 'today' || text === 'yesterday' ||
+        WEEKDAYS.some(d => d === text || d.slice(0, 3) === text);
+}
+
+/**
+ * Parse a --from/--to pair into a half-open range [from, to)
+ * A whole day given as the end is included ("--to 2026-09-30" runs to midnight after it)
+ * @param {string} [fromInput] - Defaults to the start of the current month
+ * @param {string} [toInput] - Defaults to now
+ * @param {Date} now - Reference time for relative inputs
+ * @returns {{from: number, to: number}}
+ * @throws {Error} If an input can't be parsed or the range is empty
+ */
+export function parseDateRange(fromInput, toInput, now = new Date()) {
+    let from = startOfMonth(now.getTime());
+    if (fromInput !== undefined) {
+        from = parseDateTime(String(fromInput), now);
+        if (from === null) throw new Error(`Could not understand --from "${fromInput}"`);
+    }
+
+    let to = now.getTime();
+    if (toInput !== undefined) {
+        to = parseDateTime(String(toInput), now);
+        if (to === null) throw new Error(`Could not understand --to "${toInput}"`);
+        if (isWholeDay(toInput)) {
+            to = addDays(to, 1);
+        }
+    }
+
+    if (to <= from) {
+        throw new Error('--to must be after --from');
+    }
+
+    return { from, to };
+}
+
+export default {
+    parseDuration,
+    parseDateTime,
+    parseDateRange,
+};
@@ -1,14 +1,93 @@
 import spawn from 'cross-spawn';
 import { parse } from 'shell-quote';
 import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
 import { addSession } from './store.js';
+import { HEARTBEAT_INTERVAL_MS, writeCheckpoint, removeCheckpoint, getCheckpointSegments, getCheckpointPauses } from './checkpoint.js';
+import { createIdleDetector } from './idle.js';
+import { sumSegments } from './segments.js';
+import { getCurrentBranch, getHeadCommit } from './git.js';
+import { createBranchWatcher, suggestTaskName } from './branch.js';
 
 let startTime = null;
 let currentTaskName = null;
 let sessionClientId = null;
 let isPaused = false;
-let pausedDuration = 0; // Total accumulated pause time
-let pauseStartTime = null; // When current pause started
+let segments = []; // Closed active segments: { start, end }
+let segmentStart = null; // Start of the open segment (null while paused)
+let pauseReason = null; // 'manual' or 'idle'
+let pauses = []; // Closed pauses: { start, end, reason } ('manual', 'idle' or 'crash')
+let pauseStart = null; // Start of the open pause (null while running)
+let heartbeatTimer = null;
+let idleDetector = null;
+let currentBranch = null; // Branch the session is attributed to
+let startCommit = null; // HEAD when the session (or this part of it) started
+let branchWatcher = null;
+
+/**
+ * Emits 'session-saved' with the session whenever a finished session is stored
+ */
+export const trackerEvents = new EventEmitter();
+
+/**
+ * Persist the active session so it can be recovered after a crash
+ */
+function checkpoint() {
+    if (!startTime) return;
+    try {
+        writeCheckpoint({
+            clientId: sessionClientId,
+            start: startTime,
+            taskName: currentTaskName,
+            isPaused,
+            pauseReason,
+            segments,
+            segmentStart,
+            pauses,
+            pauseStart,
+            branch: currentBranch,
+            startCommit,
+        });
+    } catch (err) {
+        console.error('[Tracker] Failed to write checkpoint:', err.message);
+    }
+}
+
+/**
+ * Start writing checkpoints on a regular cadence
+ */
+function startHeartbeat() {
+    stopHeartbeat();
+    checkpoint();
+    heartbeatTimer = setInterval(checkpoint, HEARTBEAT_INTERVAL_MS);
+    // Don't keep the process alive just for checkpointing
+    heartbeatTimer.unref();
+}
+
+function stopHeartbeat() {
+    if (heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+}
+
+/**
+ * Split the session whenever the project switches branch
+ */
+function startBranchWatch() {
+    stopBranchWatch();
+    branchWatcher = createBranchWatcher({
+        branch: currentBranch,
+        onSwitch: (branch) => switchBranch(branch),
+    });
+}
+
+function stopBranchWatch() {
+    if (branchWatcher) {
+        branchWatcher.stop();
+        branchWatcher = null;
+    }
+}
 
 /**
  * Start a new tracking session
@@ -19,8 +98,16 @@ export function startSession(taskName = null) {
     currentTaskName = taskName;
     sessionClientId = randomUUID();
     isPaused = false;
-    pausedDuration = 0;
-    pauseStartTime = null;
+    segments = [];
+    segmentStart = startTime;
+    pauseReason = null;
+    pauses = [];
+    pauseStart = null;
+    currentBranch = getCurrentBranch();
+    startCommit = getHeadCommit();
+
+    startHeartbeat();
+    startBranchWatch();
 
     console.log('🕐 Timer started.');
     if (currentTaskName) {
@@ -28,6 +115,77 @@ export function startSession(taskName = null) {
     }
 }
 
+/**
+ * Save a session recovered from a crash checkpoint, ending it at its last heartbeat
+ * @param {Object} saved - Checkpoint from findOrphanedCheckpoints()
+ */
+export async function finishCheckpointedSession(saved) {
+    const savedSegments = getCheckpointSegments(saved);
+    const duration = sumSegments(savedSegments);
+
+    await addSession({
+        start: saved.start,
+        end: saved.heartbeat,
+        duration,
+        segments: savedSegments,
+        pauses: getCheckpointPauses(saved),
+        taskName: saved.taskName,
+        clientId: saved.clientId,
+        branch: saved.branch,
+        startCommit: saved.startCommit,
+    });
+
+    removeCheckpoint(saved.clientId);
+    return duration;
+}
+
+/**
+ * Discard a crash checkpoint without saving it
+ * @param {Object} saved - Checkpoint from findOrphanedCheckpoints()
+ */
+export function discardCheckpointedSession(saved) {
+    removeCheckpoint(saved.clientId);
+}
+
+/**
+ * Continue a session recovered from a crash checkpoint
+ * The time between the last heartbeat and now is counted as paused ('crash')
+ * @param {Object} saved - Checkpoint from findOrphanedCheckpoints()
+ */
+export function resumeCheckpointedSession(saved) {
+    const now = Date.now();
+
+    startTime = saved.start;
+    currentTaskName = saved.taskName || null;
+    sessionClientId = saved.clientId;
+    isPaused = !!saved.isPaused;
+    pauseReason = isPaused ? (saved.pauseReason || 'manual') : null;
+    // The segment that was open at crash time ends at the last heartbeat
+    segments = getCheckpointSegments(saved);
+    // A pause that was running at crash time simply continues
+    segmentStart = isPaused ? null : now;
+    pauses = Array.isArray(saved.pauses) ? [...saved.pauses] : [];
+    if (isPaused) {
+        pauseStart = typeof saved.pauseStart === 'number' ? saved.pauseStart : saved.heartbeat;
+    } else {
+        pauseStart = null;
+        if (now > saved.heartbeat) {
+            pauses.push({ start: saved.heartbeat, end: now, reason: 'crash' });
+        }
+    }
+    currentBranch = saved.branch || null;
+    startCommit = saved.startCommit || null;
+
+    startHeartbeat();
+    // Catches a checkout made since the crash on its first check
+    startBranchWatch();
+
+    console.log('🕐 Timer resumed from recovered session.');
+    if (currentTaskName) {
+        console.log(`📋 Task: ${currentTaskName}`);
+    }
+}
+
 /**
  * Sanitize task name - remove potentially dangerous characters
  * @param {string} name - Raw task name
@@ -52,6 +210,7 @@ function sanitizeTaskName(name) {
  */
 export function setTaskName(taskName) {
     currentTaskName = sanitizeTaskName(taskName);
+    checkpoint();
     if (currentTaskName) {
         console.log(`📋 Task set: ${currentTaskName}`);
     }
@@ -66,12 +225,28 @@ export function getCurrentTaskName() {
 
 /**
  * Pause the current session
+ * @param {string} reason - 'manual' or 'idle'
+ * @param {number} at - When the pause began (idle pauses start at the last activity)
  */
-export function pauseSession() {
+export function pauseSession(reason = 'manual', at = Date.now()) {
     if (!startTime || isPaused) return false;
+
+    // Close the open segment; a backdated pause never reaches before the segment began
+    const segmentEnd = Math.min(Date.now(), Math.max(at, segmentStart));
+    if (segmentEnd > segmentStart) {
+        segments.push({ start: segmentStart, end: segmentEnd });
+    }
+    segmentStart = null;
     isPaused = true;
-    pauseStartTime = Date.now();
-    console.log('⏸️  Timer paused.');
+    pauseReason = reason;
+    pauseStart = segmentEnd;
+    checkpoint();
+
+    if (reason === 'idle') {
+        console.log('💤 No activity detected, timer paused.');
+    } else {
+        console.log('⏸️  Timer paused.');
+    }
     return true;
 }
 
@@ -80,14 +255,64 @@ export function pauseSession() {
  */
 export function resumeSession() {
     if (!startTime || !isPaused) return false;
-    // Add the pause duration to total paused time
-    pausedDuration += Date.now() - pauseStartTime;
+    // Open a new active segment; the gap since the last one is the pause
+    segmentStart = Date.now();
+    if (segmentStart > pauseStart) {
+        pauses.push({ start: pauseStart, end: segmentStart, reason: pauseReason });
+    }
     isPaused = false;
-    pauseStartTime = null;
+    pauseReason = null;
+    pauseStart = null;
+    checkpoint();
     console.log('▶️  Timer resumed.');
+
+    // A manual resume counts as activity, so idling starts over
+    if (idleDetector) {
+        idleDetector.restart();
+    }
     return true;
 }
 
+/**
+ * Start auto-pausing the session when the project goes quiet
+ * Watches the working tree; command output is reported through recordActivity()
+ * @param {number} thresholdMs - Inactivity before pausing (0 disables)
+ */
+export function startIdleDetection(thresholdMs) {
+    stopIdleDetection();
+    if (!thresholdMs || thresholdMs <= 0) return;
+
+    idleDetector = createIdleDetector({
+        thresholdMs,
+        onIdle: (lastActivityAt) => pauseSession('idle', lastActivityAt),
+        onActive: () => {
+            // Only undo our own pauses, never one the user asked for
+            if (isPaused && pauseReason === 'idle') {
+                resumeSession();
+            }
+        },
+    });
+}
+
+/**
+ * Stop idle detection
+ */
+export function stopIdleDetection() {
+    if (idleDetector) {
+        idleDetector.stop();
+        idleDetector = null;
+    }
+}
+
+/**
+ * Report activity (e.g. output from the wrapped command)
+ */
+export function recordActivity() {
+    if (idleDetector) {
+        idleDetector.touch();
+    }
+}
+
 /**
  * Check if session is paused
  */
@@ -96,44 +321,166 @@ export function isPausedState() {
 }
 
 /**
- * End the current session and save it
+ * Close the open segment and snapshot the session recorded so far
+ * @param {number} endTime - When the session (or this part of it) ends
+ * @param {string|null} endCommit - HEAD at endTime
+ * @returns {Object} Session ready for addSession()
  */
-export async function endSession() {
-    if (!startTime) return;
-
-    // If paused, add current pause duration
-    if (isPaused && pauseStartTime) {
-        pausedDuration += Date.now() - pauseStartTime;
+function snapshotSession(endTime, endCommit = getHeadCommit()) {
+    const closed = [...segments];
+    if (segmentStart !== null && endTime > segmentStart) {
+        closed.push({ start: segmentStart, end: endTime });
+    }
+    // A pause still running when the session ends is kept, so its reason isn't lost
+    const closedPauses = [...pauses];
+    if (pauseStart !== null && endTime > pauseStart) {
+        closedPauses.push({ start: pauseStart, end: endTime, reason: pauseReason });
     }
 
-    const endTime = Date.now();
-    const duration = endTime - startTime - pausedDuration;
-
-    // Save session and sync to cloud (awaited)
-    await addSession({
+    return {
         start: startTime,
         end: endTime,
-        duration: duration, // Actual working time (excluding pauses)
+        duration: sumSegments(closed), // Actual working time (excluding pauses)
+        segments: closed,
+        pauses: closedPauses,
         taskName: currentTaskName,
         clientId: sessionClientId,
-    });
+        branch: currentBranch,
+        startCommit,
+        endCommit,
+    };
+}
+
+/**
+ * Close the session so far and carry on in a new one
+ * The new session keeps the pause state; fields in `next` replace the current ones.
+ * @param {Object} next
+ * @param {string|null} next.taskName
+ * @param {string|null} next.branch
+ * @param {string|null} [next.endCommit] - HEAD the saved part ends at (default: HEAD now)
+ * @returns {Object} The part to save with savePart()
+ */
+function splitSession({ taskName, branch, endCommit = getHeadCommit() }) {
+    const now = Date.now();
+    const previous = snapshotSession(now, endCommit);
+
+    // Update state before saving so the new session is live immediately
+    startTime = now;
+    currentTaskName = taskName;
+    currentBranch = branch;
+    startCommit = getHeadCommit();
+    sessionClientId = randomUUID();
+    segments = [];
+    segmentStart = isPaused ? null : now;
+    // A running pause carries on in the new part
+    pauses = [];
+    pauseStart = isPaused ? now : null;
+    checkpoint();
+
+    return previous;
+}
+
+/**
+ * Store the part of a session closed by splitSession()
+ */
+async function savePart(previous) {
+    // Nothing worth keeping if no active time was recorded under it
+    if (previous.duration > 0) {
+        await addSession(previous);
+        trackerEvents.emit('session-saved', previous);
+    }
+    removeCheckpoint(previous.clientId);
+}
+
+/**
+ * Switch to a different task without ending the tracking run
+ * The time so far is saved as its own session under the old task, and a new
+ * session starts under the new task with the same pause state.
+ * @param {string} taskName - Task to switch to
+ * @returns {Promise<boolean>} false if no session is active or the task is unchanged
+ */
+export async function switchTask(taskName) {
+    const nextTaskName = sanitizeTaskName(taskName);
+    if (!startTime || nextTaskName === currentTaskName) return false;
+
+    const previous = splitSession({ taskName: nextTaskName, branch: currentBranch });
+    console.log(`🔀 Switched task: ${previous.taskName || 'No task'} → ${currentTaskName || 'No task'}`);
+    await savePart(previous);
+
+    return true;
+}
+
+/**
+ * Continue on another branch: the time so far is saved as its own session
+ * on the old branch, ending at that branch's last commit
+ * A task that was suggested by the old branch's name follows the switch.
+ * @param {string} branch - Branch HEAD is on now
+ * @returns {Promise<boolean>} false if no session is active or the branch is unchanged
+ */
+export async function switchBranch(branch) {
+    if (!startTime || !branch || branch === currentBranch) return false;
+
+    const suggested = suggestTaskName(currentBranch);
+    const taskName = suggested && suggested === currentTaskName
+        ? sanitizeTaskName(suggestTaskName(branch))
+        : currentTaskName;
+    const endCommit = currentBranch ? getHeadCommit(process.cwd(), `refs/heads/${currentBranch}`) : null;
+
+    const previous = splitSession({ taskName, branch, endCommit });
+    console.log(`🌿 Switched branch: ${previous.branch || 'unknown'} → ${branch}`);
+    if (taskName !== previous.taskName) {
+        console.log(`📋 Task: ${taskName || 'No task'}`);
+    }
+    await savePart(previous);
+
+    return true;
+}
+
+/**
+ * End the current session and save it
+ * @returns {Promise<Object|null>} The saved session with a cloudSynced flag, or null if none was active
+ */
+export async function endSession() {
+    if (!startTime) return null;
+
+    stopHeartbeat();
+    stopIdleDetection();
+    stopBranchWatch();
+
+    const session = snapshotSession(Date.now());
+
+    // Reset right away so a second stop request can't save the session twice
+    startTime = null;
+    currentTaskName = null;
+    sessionClientId = null;
+    isPaused = false;
+    segments = [];
+    segmentStart = null;
+    pauseReason = null;
+    pauses = [];
+    pauseStart = null;
+    currentBranch = null;
+    startCommit = null;
+
+    // Save session and sync to cloud (awaited)
+    const result = await addSession(session);
+    trackerEvents.emit('session-saved', session);
+
+    // Session is safely stored, the crash checkpoint is no longer needed
+    removeCheckpoint(session.clientId);
 
     // Format duration for display
+    const { duration } = session;
     const hours = Math.floor(duration / 3600000);
     const minutes = Math.floor((duration % 3600000) / 60000);
     const seconds = Math.floor((duration % 60000) / 1000);
 
     console.log(`\n⏱️  Session ended: ${hours}h ${minutes}m ${seconds}s`);
-    if (currentTaskName) {
-        console.log(`📋 Task: ${currentTaskName}`);
+    if (session.taskName) {
+        console.log(`📋 Task: ${session.taskName}`);
     }
 
-    startTime = null;
-    currentTaskName = null;
-    sessionClientId = null;
-    isPaused = false;
-    pausedDuration = 0;
-    pauseStartTime = null;
+    return { ...session, cloudSynced: result.cloud };
 }
 
 /**
@@ -141,13 +488,23 @@ export async function endSession() {
  */
 export function getDuration() {
     if (!startTime) return 0;
+    return sumSegments(getCurrentSegments());
+}
 
-    let currentPauseDuration = 0;
-    if (isPaused && pauseStartTime) {
-        currentPauseDuration = Date.now() - pauseStartTime;
-    }
+/**
+ * Get the active segments of the current session, with the open one ending now
+ */
+export function getCurrentSegments() {
+    if (!startTime) return [];
+    if (segmentStart === null) return [...segments];
+    return [...segments, { start: segmentStart, end: Date.now() }];
+}
 
-    return Date.now() - startTime - pausedDuration - currentPauseDuration;
+/**
+ * Get the branch the current session is on
+ */
+export function getCurrentSessionBranch() {
+    return currentBranch;
 }
 
 /**
@@ -174,8 +531,13 @@ export function getStartTime() {
 /**
  * Spawn a child process safely (no shell injection)
  * @param {string} commandString - The command to run
+ * @param {Object} options
+ * @param {Function} [options.onOutput] - Called whenever the child writes to stdout/stderr
+ * @param {boolean} [options.pipeTerminalOutput] - Watch output going to a terminal too; that
+ *   means piping it, so the child loses its terminal. Otherwise only redirected output is watched
+ * @param {boolean} [options.pipeInput] - Give the child a stdin pipe instead of the terminal
  */
-export function spawnChild(commandString) {
+export function spawnChild(commandString, { onOutput = null, pipeTerminalOutput = false, pipeInput = false } = {}) {
     // Parse command string safely without shell interpretation
     // shell-quote returns an array of strings for arguments,
     // and objects for operators like { op: '|' } which we filter out
@@ -190,8 +552,23 @@ export function spawnChild(commandString) {
 
     const cmd = args.shift();
 
+    const outputs = [process.stdout, process.stderr];
+    const piped = outputs.map(stream => !!onOutput && (pipeTerminalOutput || !stream.isTTY));
+    const stdio = [pipeInput ? 'pipe' : 'inherit', ...piped.map(pipe => (pipe ? 'pipe' : 'inherit'))];
+
+    // Piped terminal output loses the TTY, so keep colors explicitly
+    const env = outputs.some((stream, i) => piped[i] && stream.isTTY) ? { FORCE_COLOR: '1', ...process.env } : process.env;
+
     // Use shell: false to prevent any shell interpretation
-    const child = spawn(cmd, args, { stdio: 'inherit', shell: false });
+    const child = spawn(cmd, args, { stdio, shell: false, env });
+
+    [child.stdout, child.stderr].forEach((source, i) => {
+        if (!piped[i]) return;
+        source.on('data', (chunk) => {
+            outputs[i].write(chunk);
+            onOutput();
+        });
+    });
 
     // Note: Exit handling is done by the caller to allow for async cleanup
     return child;
@@ -199,12 +576,24 @@ export function spawnChild(commandString) {
 
 export default {
     startSession,
+    finishCheckpointedSession,
+    discardCheckpointedSession,
+    resumeCheckpointedSession,
     setTaskName,
     getCurrentTaskName,
+    switchTask,
+    switchBranch,
     endSession,
     getDuration,
+    getCurrentSegments,
+    getCurrentSessionBranch,
     getSessionClientId,
     isSessionActive,
     getStartTime,
+    pauseSession,
+    resumeSession,
+    startIdleDetection,
+    stopIdleDetection,
+    recordActivity,
     spawnChild,
 };
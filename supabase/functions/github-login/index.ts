@@ -14,6 +14,34 @@ const RATE_WINDOW = 60; // seconds
 // JWT Secret validation
 const MIN_SECRET_LENGTH = 32; // 256 bits minimum
 
+// GitHub API base URL; point it at a local stub to test without GitHub
+const GITHUB_API_URL = (Deno.env.get("GITHUB_API_URL") || "https://api.github.com").replace(/\/+$/, "");
+
+// How long verified repository access counts before GitHub is asked again
+const REPO_ACCESS_TTL = Number(Deno.env.get("REPO_ACCESS_TTL_SECONDS")) || 60 * 60 * 24; // 24 hours
+
+// Lowest GitHub permission that lets a user sync sessions to a repository
+// Sessions are private to their user, so read access is enough by default;
+// raise it to keep read-only collaborators of public repositories out.
+// Claiming a repository for a team always takes admin (claim_repo, which
+// checks the permission recorded in repo_access), whatever this is set to
+const REPO_PERMISSIONS = ["pull", "triage", "push", "maintain", "admin"];
+const REQUIRED_REPO_PERMISSION = REPO_PERMISSIONS.includes(Deno.env.get("REPO_ACCESS_PERMISSION") || "")
+  ? Deno.env.get("REPO_ACCESS_PERMISSION")!
+  : "pull";
+
+// Host whose repositories are checked through GITHUB_API_URL
+const GITHUB_HOST = GITHUB_API_URL === "https://api.github.com" ? "github.com" : new URL(GITHUB_API_URL).hostname;
+
+// Other git hosts whose repositories are accepted without a check (comma-separated),
+// for self-hosted instances that trust their users; access can't be verified there
+const UNVERIFIED_REPO_HOSTS = Deno.env.get("UNVERIFIED_REPO_HOSTS")?.split(",").map(h => h.trim().toLowerCase()).filter(h => h.length > 0) || [];
+
+// Host names, namespaces (nested on GitLab: "group/subgroup") and repository names
+const HOST_PATTERN = /^[a-z0-9.-]{1,253}$|^\[[0-9a-f:.]+\]$/;
+const NAMESPACE_PATTERN = /^[A-Za-z0-9_.-]{1,100}(\/[A-Za-z0-9_.-]{1,100}){0,19}$/;
+const REPO_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+
 function validateJwtSecret(secret: string | undefined): { valid: boolean; error?: string } {
   if (!secret) {
     return { valid: false, error: "JWT_SECRET environment variable not set" };
@@ -81,6 +109,203 @@ interface GitHubUser {
   avatar_url: string;
 }
 
+interface GitHubRepo {
+  name: string;
+  owner: { login: string };
+  permissions?: Record<string, boolean>;
+}
+
+/**
+ * Highest permission GitHub reports for the user, or null
+ */
+function highestPermission(permissions: Record<string, boolean> | undefined): string | null {
+  const granted = REPO_PERMISSIONS.filter(p => permissions?.[p]);
+  return granted.length > 0 ? granted[granted.length - 1] : null;
+}
+
+/**
+ * Ask GitHub for the user's permission on a repository
+ * Returns null when the user has no access (GitHub answers 404 for private
+ * repositories the user can't see), or "unavailable" when GitHub can't answer.
+ */
+async function fetchGitHubPermission(githubToken: string, owner: string, name: string): Promise<string | null> {
+  const githubResponse = await fetch(
+    `${GITHUB_API_URL}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`,
+    {
+      headers: {
+        Authorization: `Bearer ${githubToken}`,
+        Accept: "application/vnd.github+json",
+        "User-Agent": "dev-timr",
+      },
+    }
+  );
+
+  const rateLimited = githubResponse.status === 429 ||
+    (githubResponse.status === 403 && githubResponse.headers.get("x-ratelimit-remaining") === "0");
+  if (rateLimited || githubResponse.status >= 500) {
+    return "unavailable";
+  }
+  if (!githubResponse.ok) {
+    return null;
+  }
+
+  const githubRepo: GitHubRepo = await githubResponse.json();
+  return highestPermission(githubRepo.permissions);
+}
+
+/**
+ * Verify the user's access to a repository and record it
+ *
+ * A current record is reused until it expires; otherwise GitHub is asked with
+ * the user's own token. Access that is missing (or below REPO_ACCESS_PERMISSION)
+ * removes any earlier record and is answered with 403 REPO_ACCESS_DENIED.
+ * Repositories on other hosts are only accepted from UNVERIFIED_REPO_HOSTS.
+ * The repository row is created here, so names nobody can access never get one.
+ */
+async function verifyRepoAccess(
+  supabase: any,
+  githubToken: string,
+  githubUser: GitHubUser,
+  repo: { host?: string; owner?: string; repo?: string },
+  corsHeaders: Record<string, string>,
+): Promise<Response> {
+  // Clients from before hosts were sent only knew GitHub repositories
+  const host = String(repo?.host || "github.com").toLowerCase();
+  const owner = String(repo?.owner || "");
+  const name = String(repo?.repo || "");
+  const fullName = `${host}/${owner}/${name}`;
+  if (!HOST_PATTERN.test(host) || !NAMESPACE_PATTERN.test(owner) || !REPO_NAME_PATTERN.test(name)) {
+    return new Response(
+      JSON.stringify({ error: "Invalid repository name" }),
+      { status: 400, headers: corsHeaders }
+    );
+  }
+
+  const { data: user } = await supabase
+    .from("users")
+    .select("id")
+    .eq("github_id", githubUser.id)
+    .maybeSingle();
+
+  if (!user) {
+    return new Response(
+      JSON.stringify({ error: "Unknown user. Please log in again.", code: "GITHUB_TOKEN_INVALID" }),
+      { status: 401, headers: corsHeaders }
+    );
+  }
+
+  const { data: existingRepo } = await supabase
+    .from("repos")
+    .select("id")
+    .eq("host", host)
+    .eq("owner_name", owner)
+    .eq("repo_name", name)
+    .maybeSingle();
+
+  // Cached result
+  if (existingRepo) {
+    const { data: access } = await supabase
+      .from("repo_access")
+      .select("permission, expires_at")
+      .eq("user_id", user.id)
+      .eq("repo_id", existingRepo.id)
+      .gt("expires_at", new Date().toISOString())
+      .maybeSingle();
+
+    if (access) {
+      return new Response(
+        JSON.stringify({
+          repo_id: existingRepo.id,
+          permission: access.permission,
+          expires_at: Math.floor(new Date(access.expires_at).getTime() / 1000),
+        }),
+        { status: 200, headers: corsHeaders }
+      );
+    }
+  }
+
+  let permission: string | null = null;
+  let denial = `You don't have access to ${fullName}`;
+  if (host === GITHUB_HOST) {
+    permission = await fetchGitHubPermission(githubToken, owner, name);
+    if (permission === "unavailable") {
+      return new Response(
+        JSON.stringify({ error: "GitHub is not available right now. Please try again later." }),
+        { status: 503, headers: { ...corsHeaders, "Retry-After": "60" } }
+      );
+    }
+    if (permission && REPO_PERMISSIONS.indexOf(permission) < REPO_PERMISSIONS.indexOf(REQUIRED_REPO_PERMISSION)) {
+      denial = `You need ${REQUIRED_REPO_PERMISSION} access to ${fullName} (you have ${permission})`;
+      permission = null;
+    }
+  } else if (UNVERIFIED_REPO_HOSTS.includes(host)) {
+    permission = "unverified";
+  } else {
+    denial = `Repositories on ${host} can't be verified by this server; only ${GITHUB_HOST} repositories can sync`;
+  }
+
+  if (!permission) {
+    if (existingRepo) {
+      await supabase
+        .from("repo_access")
+        .delete()
+        .eq("user_id", user.id)
+        .eq("repo_id", existingRepo.id);
+    }
+    return new Response(
+      JSON.stringify({ error: denial, code: "REPO_ACCESS_DENIED" }),
+      { status: 403, headers: corsHeaders }
+    );
+  }
+
+  let repoId = existingRepo?.id;
+  if (!repoId) {
+    const { data: created, error: upsertError } = await supabase
+      .from("repos")
+      .upsert({ host, owner_name: owner, repo_name: name }, { onConflict: "host,owner_name,repo_name" })
+      .select("id")
+      .single();
+
+    if (upsertError) {
+      console.error("Repo upsert error:", upsertError);
+      return new Response(
+        JSON.stringify({ error: "Failed to create repository" }),
+        { status: 500, headers: corsHeaders }
+      );
+    }
+    repoId = created.id;
+  }
+
+  const now = Date.now();
+  const expiresAt = new Date(now + REPO_ACCESS_TTL * 1000);
+  const { error: accessError } = await supabase
+    .from("repo_access")
+    .upsert({
+      user_id: user.id,
+      repo_id: repoId,
+      permission,
+      verified_at: new Date(now).toISOString(),
+      expires_at: expiresAt.toISOString(),
+    }, { onConflict: "user_id,repo_id" });
+
+  if (accessError) {
+    console.error("Repo access upsert error:", accessError);
+    return new Response(
+      JSON.stringify({ error: "Failed to record repository access" }),
+      { status: 500, headers: corsHeaders }
+    );
+  }
+
+  return new Response(
+    JSON.stringify({
+      repo_id: repoId,
+      permission,
+      expires_at: Math.floor(expiresAt.getTime() / 1000),
+    }),
+    { status: 200, headers: corsHeaders }
+  );
+}
+
 serve(async (req) => {
   // Get origin from request for CORS handling
   const origin = req.headers.get("Origin");
@@ -118,7 +343,8 @@ serve(async (req) => {
       );
     }
 
-    const { github_token } = await req.json();
+    // With `repo`, the request verifies access to that repository instead of logging in
+    const { github_token, repo } = await req.json();
 
     if (!github_token) {
       return new Response(
@@ -128,7 +354,7 @@ serve(async (req) => {
     }
 
     // Validate GitHub token by fetching user info
-    const githubResponse = await fetch("https://api.github.com/user", {
+    const githubResponse = await fetch(`${GITHUB_API_URL}/user`, {
       headers: {
         Authorization: `Bearer ${github_token}`,
         Accept: "application/json",
@@ -150,6 +376,14 @@ serve(async (req) => {
     const supabaseServiceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
     const jwtSecret = Deno.env.get("JWT_SECRET");
 
+    if (repo !== undefined) {
+      const adminClient = createClient(supabaseUrl, supabaseServiceKey, {
+        db: { schema: 'public' },
+        auth: { persistSession: false }
+      });
+      return await verifyRepoAccess(adminClient, github_token, githubUser, repo, corsHeaders);
+    }
+
     // Validate JWT secret strength
     const secretValidation = validateJwtSecret(jwtSecret);
     if (!secretValidation.valid) {
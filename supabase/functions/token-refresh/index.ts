@@ -6,6 +6,8 @@ const ALLOWED_ORIGINS = Deno.env.get("ALLOWED_ORIGINS")?.split(",").map(o => o.t
 const RATE_LIMIT = 30;
 const RATE_WINDOW = 60;
 const MIN_SECRET_LENGTH = 32;
+// GitHub API base URL; point it at a local stub to test without GitHub
+const GITHUB_API_URL = (Deno.env.get("GITHUB_API_URL") || "https://api.github.com").replace(/\/+$/, "");
 
 function validateJwtSecret(secret: string | undefined): { valid: boolean; error?: string } {
     if (!secret) return { valid: false, error: "JWT_SECRET not set" };
@@ -85,7 +87,7 @@ serve(async (req) => {
         }
 
         // Validate GitHub token is still valid by fetching user info
-        const githubResponse = await fetch("https://api.github.com/user", {
+        const githubResponse = await fetch(`${GITHUB_API_URL}/user`, {
             headers: {
                 Authorization: `Bearer ${github_token}`,
                 Accept: "application/json",
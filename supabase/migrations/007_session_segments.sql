@@ -0,0 +1,65 @@
+-- =============================================
+-- Dev-Timr Session Segments
+-- Migration: 007_session_segments.sql
+-- Description: Stores sessions as active segments so paused
+--              time is excluded from duration_ms
+-- =============================================
+-- Run this AFTER 006_rate_limiting.sql
+-- Execute in: Supabase Dashboard > SQL Editor
+-- =============================================
+
+-- =============================================
+-- STEP 1: ADD SEGMENTS COLUMN
+-- JSON array of { "start": <ms>, "end": <ms> } active periods
+-- =============================================
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS segments JSONB;
+
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_segments_is_array;
+ALTER TABLE sessions ADD CONSTRAINT sessions_segments_is_array
+    CHECK (segments IS NULL OR jsonb_typeof(segments) = 'array');
+
+-- =============================================
+-- STEP 2: DURATION FROM SEGMENTS
+-- duration_ms was generated as end_time - start_time, which counted
+-- paused time as work. Turn it into a regular column kept up to date
+-- by a trigger that sums the active segments instead.
+-- =============================================
+ALTER TABLE sessions ALTER COLUMN duration_ms DROP EXPRESSION IF EXISTS;
+
+CREATE OR REPLACE FUNCTION compute_session_duration()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    -- Sessions without segments were active for their whole span
+    IF NEW.segments IS NULL OR jsonb_array_length(NEW.segments) = 0 THEN
+        NEW.segments := jsonb_build_array(
+            jsonb_build_object('start', NEW.start_time, 'end', NEW.end_time)
+        );
+    END IF;
+
+    SELECT COALESCE(SUM(GREATEST((seg->>'end')::BIGINT - (seg->>'start')::BIGINT, 0)), 0)
+    INTO NEW.duration_ms
+    FROM jsonb_array_elements(NEW.segments) AS seg;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS compute_session_duration ON sessions;
+CREATE TRIGGER compute_session_duration
+    BEFORE INSERT OR UPDATE OF start_time, end_time, segments ON sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION compute_session_duration();
+
+-- =============================================
+-- STEP 3: BACKFILL EXISTING ROWS
+-- Fires the trigger, which fills segments and duration_ms
+-- =============================================
+UPDATE sessions SET segments = NULL WHERE segments IS NULL;
+
+-- Verification
+SELECT
+    COUNT(*) AS total_sessions,
+    COUNT(*) FILTER (WHERE segments IS NULL) AS missing_segments
+FROM sessions;
@@ -0,0 +1,26 @@
+-- =============================================
+-- Dev-Timr Session Source
+-- Migration: 008_session_source.sql
+-- Description: Marks sessions logged by hand (`dev-timr log`)
+--              so reports can tell them apart from tracked time
+-- =============================================
+-- Run this AFTER 007_session_segments.sql
+-- Execute in: Supabase Dashboard > SQL Editor
+-- =============================================
+
+-- =============================================
+-- STEP 1: ADD SOURCE COLUMN
+-- 'timer'  = recorded by a wrapped command or the daemon
+-- 'manual' = entered with `dev-timr log`
+-- Existing rows were all recorded by the timer
+-- =============================================
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'timer';
+
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_source_valid;
+ALTER TABLE sessions ADD CONSTRAINT sessions_source_valid
+    CHECK (source IN ('timer', 'manual'));
+
+-- Verification
+SELECT source, COUNT(*) AS sessions
+FROM sessions
+GROUP BY source;
@@ -0,0 +1,43 @@
+-- =============================================
+-- Dev-Timr Session Edits
+-- Migration: 009_session_edits.sql
+-- Description: Lets users edit and delete their own sessions
+--              (`dev-timr sessions edit/split/merge/delete`)
+-- =============================================
+-- Run this AFTER 008_session_source.sql
+-- Execute in: Supabase Dashboard > SQL Editor
+-- =============================================
+
+-- =============================================
+-- STEP 1: DROP EXISTING POLICIES (for clean re-application)
+-- =============================================
+DROP POLICY IF EXISTS "Users can update own sessions" ON sessions;
+DROP POLICY IF EXISTS "Users can delete own sessions" ON sessions;
+
+-- =============================================
+-- STEP 2: SESSIONS UPDATE/DELETE POLICIES
+-- Team members can read each other's sessions, but only
+-- the owner may change or remove them
+-- =============================================
+
+-- Users can update their own sessions, and can't hand them to someone else
+CREATE POLICY "Users can update own sessions"
+    ON sessions FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+-- Users can delete their own sessions
+CREATE POLICY "Users can delete own sessions"
+    ON sessions FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- =============================================
+-- STEP 3: GRANT PERMISSIONS
+-- =============================================
+GRANT UPDATE, DELETE ON sessions TO authenticated;
+
+-- Verification
+SELECT policyname, cmd
+FROM pg_policies
+WHERE tablename = 'sessions'
+ORDER BY policyname;
@@ -0,0 +1,18 @@
+-- =============================================
+-- Dev-Timr Imported Sessions
+-- Migration: 010_import_source.sql
+-- Description: Allows source = 'import' for sessions brought in
+--              from Toggl, Clockify or WakaTime (`dev-timr import`)
+-- =============================================
+-- Run this AFTER 009_session_edits.sql
+-- Execute in: Supabase Dashboard > SQL Editor
+-- =============================================
+
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_source_valid;
+ALTER TABLE sessions ADD CONSTRAINT sessions_source_valid
+    CHECK (source IN ('timer', 'manual', 'import'));
+
+-- Verification
+SELECT source, COUNT(*) AS sessions
+FROM sessions
+GROUP BY source;
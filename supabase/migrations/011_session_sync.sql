@@ -0,0 +1,103 @@
+-- =============================================
+-- Dev-Timr Session Pull Sync
+-- Migration: 011_session_sync.sql
+-- Description: Server-side change timestamps and delete tombstones,
+--              so each machine can pull the sessions that changed
+--              since its last pull and resolve conflicts by
+--              last-writer-wins
+-- =============================================
+-- Run this AFTER 010_import_source.sql
+-- Execute in: Supabase Dashboard > SQL Editor
+-- =============================================
+
+-- =============================================
+-- STEP 1: SESSIONS.UPDATED_AT
+-- Set by the server on every insert and update, never by clients,
+-- so all machines compare the same clock
+-- =============================================
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+UPDATE sessions SET updated_at = COALESCE(created_at, NOW()) WHERE updated_at IS NULL;
+ALTER TABLE sessions ALTER COLUMN updated_at SET DEFAULT NOW();
+ALTER TABLE sessions ALTER COLUMN updated_at SET NOT NULL;
+
+-- clock_timestamp() rather than NOW(), so two writes in one
+-- transaction still get distinct, ordered times
+CREATE OR REPLACE FUNCTION stamp_session_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = clock_timestamp();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS stamp_sessions_updated_at ON sessions;
+CREATE TRIGGER stamp_sessions_updated_at
+    BEFORE INSERT OR UPDATE ON sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION stamp_session_updated_at();
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_updated ON sessions(user_id, updated_at);
+
+-- =============================================
+-- STEP 2: SESSION TOMBSTONES
+-- Deletes stay hard deletes; a trigger remembers the client_id
+-- so other machines can drop their copy
+-- =============================================
+CREATE TABLE IF NOT EXISTS session_tombstones (
+    client_id TEXT PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    repo_id UUID NOT NULL REFERENCES repos(id) ON DELETE CASCADE,
+    deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_tombstones_user_deleted ON session_tombstones(user_id, deleted_at);
+
+-- Runs as the table owner: users can't write tombstones directly
+CREATE OR REPLACE FUNCTION record_session_tombstone()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF OLD.client_id IS NOT NULL THEN
+        INSERT INTO session_tombstones (client_id, user_id, repo_id, deleted_at)
+        VALUES (OLD.client_id, OLD.user_id, OLD.repo_id, clock_timestamp())
+        ON CONFLICT (client_id) DO UPDATE
+            SET user_id = EXCLUDED.user_id,
+                repo_id = EXCLUDED.repo_id,
+                deleted_at = EXCLUDED.deleted_at;
+    END IF;
+    RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_sessions_tombstone ON sessions;
+CREATE TRIGGER record_sessions_tombstone
+    AFTER DELETE ON sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION record_session_tombstone();
+
+-- =============================================
+-- STEP 3: ROW LEVEL SECURITY
+-- Users only see their own tombstones. Not FORCEd: the trigger
+-- writes as the table owner, and there is no INSERT policy
+-- =============================================
+ALTER TABLE session_tombstones ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own tombstones" ON session_tombstones;
+CREATE POLICY "Users can read own tombstones"
+    ON session_tombstones FOR SELECT
+    USING (auth.uid() = user_id);
+
+GRANT SELECT ON session_tombstones TO authenticated;
+
+-- Verification
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'sessions' AND column_name = 'updated_at';
+
+SELECT policyname, cmd
+FROM pg_policies
+WHERE tablename = 'session_tombstones'
+ORDER BY policyname;
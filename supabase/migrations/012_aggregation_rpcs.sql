@@ -0,0 +1,177 @@
+-- =============================================
+-- Dev-Timr Aggregation Functions
+-- Migration: 012_aggregation_rpcs.sql
+-- Description: Totals by period, day, task and member computed in
+--              Postgres, so stats no longer download every session
+--              row (and no longer stop at the API's 1000-row limit)
+-- =============================================
+-- Run this AFTER 011_session_sync.sql
+-- Execute in: Supabase Dashboard > SQL Editor
+-- =============================================
+
+-- Period and day boundaries are passed in by the client (epoch ms), so the
+-- configured timezone and week start apply exactly as they do to local
+-- stats. The functions run with the caller's rights (SECURITY INVOKER), so
+-- the sessions RLS policies decide which rows are summed.
+-- p_user_id limits the totals to one user; NULL means the whole team.
+
+-- =============================================
+-- STEP 1: HELPER
+-- Active time of a segment list inside [p_from, p_to)
+-- NULL bounds are open (LEAST/GREATEST ignore NULLs)
+-- =============================================
+CREATE OR REPLACE FUNCTION segment_overlap_ms(p_segments JSONB, p_from BIGINT, p_to BIGINT)
+RETURNS BIGINT
+LANGUAGE SQL
+IMMUTABLE
+AS $$
+    SELECT COALESCE(SUM(GREATEST(
+        LEAST((seg->>'end')::BIGINT, p_to) - GREATEST((seg->>'start')::BIGINT, p_from),
+        0
+    )), 0)::BIGINT
+    FROM jsonb_array_elements(COALESCE(p_segments, '[]'::JSONB)) AS seg;
+$$;
+
+-- =============================================
+-- STEP 2: TOTALS BY PERIOD
+-- =============================================
+CREATE OR REPLACE FUNCTION get_repo_period_totals(
+    p_repo_id UUID,
+    p_today_start BIGINT,
+    p_week_start BIGINT,
+    p_month_start BIGINT,
+    p_user_id UUID DEFAULT NULL
+)
+RETURNS TABLE(total_ms BIGINT, today_ms BIGINT, week_ms BIGINT, month_ms BIGINT)
+LANGUAGE SQL
+STABLE
+SET search_path = public
+AS $$
+    SELECT
+        COALESCE(SUM(s.duration_ms), 0)::BIGINT,
+        COALESCE(SUM(segment_overlap_ms(s.segments, p_today_start, NULL)) FILTER (WHERE s.end_time > p_today_start), 0)::BIGINT,
+        COALESCE(SUM(segment_overlap_ms(s.segments, p_week_start, NULL)) FILTER (WHERE s.end_time > p_week_start), 0)::BIGINT,
+        COALESCE(SUM(segment_overlap_ms(s.segments, p_month_start, NULL)) FILTER (WHERE s.end_time > p_month_start), 0)::BIGINT
+    FROM sessions s
+    WHERE s.repo_id = p_repo_id
+      AND (p_user_id IS NULL OR s.user_id = p_user_id);
+$$;
+
+-- =============================================
+-- STEP 3: TOTALS BY DAY
+-- p_day_starts holds N+1 boundaries for N days: day i runs from
+-- p_day_starts[i] to p_day_starts[i + 1]. Segments crossing midnight
+-- are split between the days they touch.
+-- =============================================
+CREATE OR REPLACE FUNCTION get_repo_daily_totals(
+    p_repo_id UUID,
+    p_day_starts BIGINT[],
+    p_user_id UUID DEFAULT NULL
+)
+RETURNS TABLE(day_start BIGINT, total_ms BIGINT)
+LANGUAGE SQL
+STABLE
+SET search_path = public
+AS $$
+    WITH days AS (
+        SELECT p_day_starts[i] AS day_start, p_day_starts[i + 1] AS day_end
+        FROM generate_series(1, COALESCE(array_length(p_day_starts, 1), 0) - 1) AS i
+    )
+    SELECT
+        d.day_start,
+        COALESCE(SUM(segment_overlap_ms(s.segments, d.day_start, d.day_end)), 0)::BIGINT
+    FROM days d
+    LEFT JOIN sessions s
+        ON s.repo_id = p_repo_id
+       AND (p_user_id IS NULL OR s.user_id = p_user_id)
+       AND s.end_time > d.day_start
+       AND s.start_time < d.day_end
+    GROUP BY d.day_start
+    ORDER BY d.day_start;
+$$;
+
+-- =============================================
+-- STEP 4: TOTALS BY TASK
+-- Sessions without a task are returned with task_name NULL
+-- =============================================
+CREATE OR REPLACE FUNCTION get_repo_task_totals(
+    p_repo_id UUID,
+    p_user_id UUID DEFAULT NULL
+)
+RETURNS TABLE(task_name TEXT, total_ms BIGINT)
+LANGUAGE SQL
+STABLE
+SET search_path = public
+AS $$
+    SELECT t.name, COALESCE(SUM(s.duration_ms), 0)::BIGINT
+    FROM sessions s
+    LEFT JOIN tasks t ON t.id = s.task_id
+    WHERE s.repo_id = p_repo_id
+      AND (p_user_id IS NULL OR s.user_id = p_user_id)
+    GROUP BY t.name
+    ORDER BY 2 DESC;
+$$;
+
+-- =============================================
+-- STEP 5: TOTALS BY MEMBER
+-- =============================================
+CREATE OR REPLACE FUNCTION get_repo_member_totals(p_repo_id UUID)
+RETURNS TABLE(user_id UUID, github_username TEXT, avatar_url TEXT, total_ms BIGINT)
+LANGUAGE SQL
+STABLE
+SET search_path = public
+AS $$
+    SELECT s.user_id, u.github_username, u.avatar_url, COALESCE(SUM(s.duration_ms), 0)::BIGINT
+    FROM sessions s
+    LEFT JOIN users u ON u.id = s.user_id
+    WHERE s.repo_id = p_repo_id
+    GROUP BY s.user_id, u.github_username, u.avatar_url
+    ORDER BY 4 DESC;
+$$;
+
+-- =============================================
+-- STEP 6: RECENT TASKS
+-- Most recently used tasks first, one row per task
+-- =============================================
+CREATE OR REPLACE FUNCTION get_repo_recent_tasks(
+    p_repo_id UUID,
+    p_limit INTEGER DEFAULT 10
+)
+RETURNS TABLE(task_id UUID, task_name TEXT, last_used BIGINT)
+LANGUAGE SQL
+STABLE
+SET search_path = public
+AS $$
+    SELECT t.id, t.name, MAX(s.start_time)
+    FROM sessions s
+    JOIN tasks t ON t.id = s.task_id
+    WHERE s.repo_id = p_repo_id
+    GROUP BY t.id, t.name
+    ORDER BY 3 DESC
+    LIMIT p_limit;
+$$;
+
+-- =============================================
+-- STEP 7: INDEX AND PERMISSIONS
+-- =============================================
+CREATE INDEX IF NOT EXISTS idx_sessions_repo_end_time ON sessions(repo_id, end_time);
+
+GRANT EXECUTE ON FUNCTION segment_overlap_ms(JSONB, BIGINT, BIGINT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_repo_period_totals(UUID, BIGINT, BIGINT, BIGINT, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_repo_daily_totals(UUID, BIGINT[], UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_repo_task_totals(UUID, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_repo_member_totals(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_repo_recent_tasks(UUID, INTEGER) TO authenticated;
+
+-- Verification
+SELECT proname
+FROM pg_proc
+WHERE proname IN (
+    'segment_overlap_ms',
+    'get_repo_period_totals',
+    'get_repo_daily_totals',
+    'get_repo_task_totals',
+    'get_repo_member_totals',
+    'get_repo_recent_tasks'
+)
+ORDER BY proname;
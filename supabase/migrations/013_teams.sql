@@ -0,0 +1,596 @@
+-- =============================================
+-- Dev-Timr Teams
+-- Migration: 013_teams.sql
+-- Description: Teams with explicit membership (owner, admin,
+--              member), invites, and repositories claimed by a
+--              team. Team stats and RLS are scoped to members
+--              instead of "anyone who synced to the repo".
+-- =============================================
+-- Run this AFTER 012_aggregation_rpcs.sql
+-- Execute in: Supabase Dashboard > SQL Editor
+-- =============================================
+
+-- Invite codes are random and stored as SHA-256 hashes
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+-- =============================================
+-- STEP 1: TABLES
+-- =============================================
+CREATE TABLE IF NOT EXISTS teams (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slug TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT teams_slug_valid CHECK (slug ~ '^[a-z0-9][a-z0-9-]{1,38}$')
+);
+
+CREATE TABLE IF NOT EXISTS team_members (
+    team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'member',
+    joined_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (team_id, user_id),
+    CONSTRAINT team_members_role_valid CHECK (role IN ('owner', 'admin', 'member'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_members_user_id ON team_members(user_id);
+
+-- github_username limits an invite to one GitHub account (NULL: anyone with the code)
+CREATE TABLE IF NOT EXISTS team_invites (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    team_id UUID NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    code_hash TEXT UNIQUE NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member',
+    github_username TEXT,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    accepted_at TIMESTAMPTZ,
+    CONSTRAINT team_invites_role_valid CHECK (role IN ('admin', 'member'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_invites_team_id ON team_invites(team_id);
+
+-- A repository belongs to at most one team
+ALTER TABLE repos ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_repos_team_id ON repos(team_id);
+
+-- =============================================
+-- STEP 2: HELPER FUNCTIONS
+-- SECURITY DEFINER so policies can use them without recursion.
+-- They take any user ID and bypass RLS, so only other SECURITY
+-- DEFINER functions may call them (see STEP 6); policies use the
+-- get_my_* wrappers below, which are fixed to auth.uid()
+-- =============================================
+
+-- Teams a user belongs to
+CREATE OR REPLACE FUNCTION get_user_team_ids(uid UUID)
+RETURNS TABLE(team_id UUID)
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT m.team_id FROM team_members m WHERE m.user_id = uid;
+$$;
+
+-- A user's role in a team (NULL if not a member)
+CREATE OR REPLACE FUNCTION get_team_role(p_team_id UUID, uid UUID)
+RETURNS TEXT
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT m.role FROM team_members m WHERE m.team_id = p_team_id AND m.user_id = uid;
+$$;
+
+-- Anyone may write to an unclaimed repository; a claimed one only takes its team's members
+CREATE OR REPLACE FUNCTION can_write_repo(p_repo_id UUID, uid UUID)
+RETURNS BOOLEAN
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT NOT EXISTS (
+        SELECT 1
+        FROM repos r
+        WHERE r.id = p_repo_id
+          AND r.team_id IS NOT NULL
+          AND NOT EXISTS (
+              SELECT 1 FROM team_members m WHERE m.team_id = r.team_id AND m.user_id = uid
+          )
+    );
+$$;
+
+-- (repo, user) pairs whose sessions a user may read as a teammate:
+-- members of the user's teams, in repositories claimed by those teams
+CREATE OR REPLACE FUNCTION get_team_session_scope(uid UUID)
+RETURNS TABLE(repo_id UUID, user_id UUID)
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT r.id, m.user_id
+    FROM team_members mine
+    JOIN repos r ON r.team_id = mine.team_id
+    JOIN team_members m ON m.team_id = mine.team_id
+    WHERE mine.user_id = uid;
+$$;
+
+-- Teammates are now fellow team members, not everyone who shares a repository
+CREATE OR REPLACE FUNCTION get_teammate_ids(uid UUID)
+RETURNS TABLE(user_id UUID)
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT DISTINCT m.user_id
+    FROM team_members mine
+    JOIN team_members m ON m.team_id = mine.team_id
+    WHERE mine.user_id = uid;
+$$;
+
+-- The caller's own view of the helpers above, for policies
+CREATE OR REPLACE FUNCTION get_my_team_ids()
+RETURNS TABLE(team_id UUID)
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT t.team_id FROM get_user_team_ids(auth.uid()) t;
+$$;
+
+CREATE OR REPLACE FUNCTION get_my_team_role(p_team_id UUID)
+RETURNS TEXT
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT get_team_role(p_team_id, auth.uid());
+$$;
+
+CREATE OR REPLACE FUNCTION can_i_write_repo(p_repo_id UUID)
+RETURNS BOOLEAN
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT can_write_repo(p_repo_id, auth.uid());
+$$;
+
+CREATE OR REPLACE FUNCTION get_my_team_session_scope()
+RETURNS TABLE(repo_id UUID, user_id UUID)
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT s.repo_id, s.user_id FROM get_team_session_scope(auth.uid()) s;
+$$;
+
+CREATE OR REPLACE FUNCTION get_my_teammate_ids()
+RETURNS TABLE(user_id UUID)
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT t.user_id FROM get_teammate_ids(auth.uid()) t;
+$$;
+
+-- =============================================
+-- STEP 3: TEAM FUNCTIONS
+-- Teams, memberships and claims change only through these,
+-- so every rule about roles is enforced in one place
+-- =============================================
+
+-- Caller's user ID, or an error when not logged in
+CREATE OR REPLACE FUNCTION require_user_id()
+RETURNS UUID
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+    END IF;
+    RETURN auth.uid();
+END;
+$$;
+
+-- Team by slug, or an error when it doesn't exist or the caller isn't a member
+CREATE OR REPLACE FUNCTION find_member_team(p_team_slug TEXT, uid UUID)
+RETURNS teams
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+DECLARE
+    v_team teams;
+BEGIN
+    SELECT t.* INTO v_team
+    FROM teams t
+    JOIN team_members m ON m.team_id = t.id AND m.user_id = uid
+    WHERE t.slug = lower(p_team_slug);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'You are not a member of team "%"', p_team_slug USING ERRCODE = 'P0002';
+    END IF;
+    RETURN v_team;
+END;
+$$;
+
+-- Create a team; the caller becomes its owner
+CREATE OR REPLACE FUNCTION create_team(p_slug TEXT, p_name TEXT DEFAULT NULL)
+RETURNS teams
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_uid UUID := require_user_id();
+    v_team teams;
+BEGIN
+    IF lower(p_slug) !~ '^[a-z0-9][a-z0-9-]{1,38}$' THEN
+        RAISE EXCEPTION 'Team names are 2-39 letters, digits and dashes, starting with a letter or digit'
+            USING ERRCODE = '22023';
+    END IF;
+
+    BEGIN
+        INSERT INTO teams (slug, name, created_by)
+        VALUES (lower(p_slug), COALESCE(NULLIF(trim(p_name), ''), lower(p_slug)), v_uid)
+        RETURNING * INTO v_team;
+    EXCEPTION WHEN unique_violation THEN
+        RAISE EXCEPTION 'Team "%" already exists', lower(p_slug) USING ERRCODE = '23505';
+    END;
+
+    INSERT INTO team_members (team_id, user_id, role) VALUES (v_team.id, v_uid, 'owner');
+    RETURN v_team;
+END;
+$$;
+
+-- Create an invite and return its code (shown once; only the hash is kept)
+-- Admins invite members; only owners invite admins
+CREATE OR REPLACE FUNCTION create_team_invite(
+    p_team_slug TEXT,
+    p_role TEXT DEFAULT 'member',
+    p_github_username TEXT DEFAULT NULL,
+    p_valid_days INTEGER DEFAULT 7
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_uid UUID := require_user_id();
+    v_team teams := find_member_team(p_team_slug, v_uid);
+    v_role TEXT := get_team_role(v_team.id, v_uid);
+    v_code TEXT;
+BEGIN
+    IF v_role NOT IN ('owner', 'admin') THEN
+        RAISE EXCEPTION 'Only owners and admins of "%" can invite', v_team.slug USING ERRCODE = '42501';
+    END IF;
+    IF p_role NOT IN ('admin', 'member') THEN
+        RAISE EXCEPTION 'Invites are for the admin or member role' USING ERRCODE = '22023';
+    END IF;
+    IF p_role = 'admin' AND v_role <> 'owner' THEN
+        RAISE EXCEPTION 'Only owners can invite admins' USING ERRCODE = '42501';
+    END IF;
+    IF p_valid_days IS NULL OR p_valid_days < 1 OR p_valid_days > 30 THEN
+        RAISE EXCEPTION 'Invites are valid for 1 to 30 days' USING ERRCODE = '22023';
+    END IF;
+
+    v_code := encode(gen_random_bytes(16), 'hex');
+    INSERT INTO team_invites (team_id, code_hash, role, github_username, invited_by, expires_at)
+    VALUES (
+        v_team.id,
+        encode(digest(v_code, 'sha256'), 'hex'),
+        p_role,
+        NULLIF(lower(ltrim(trim(p_github_username), '@')), ''),
+        v_uid,
+        NOW() + make_interval(days => p_valid_days)
+    );
+    RETURN v_code;
+END;
+$$;
+
+-- Join a team with an invite code; each code works once
+CREATE OR REPLACE FUNCTION accept_team_invite(p_code TEXT)
+RETURNS teams
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+    v_uid UUID := require_user_id();
+    v_invite team_invites;
+    v_team teams;
+    v_username TEXT;
+BEGIN
+    SELECT * INTO v_invite
+    FROM team_invites
+    WHERE code_hash = encode(digest(lower(trim(p_code)), 'sha256'), 'hex')
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invite code not found' USING ERRCODE = 'P0002';
+    END IF;
+    IF v_invite.accepted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This invite has already been used' USING ERRCODE = '22023';
+    END IF;
+    IF v_invite.expires_at < NOW() THEN
+        RAISE EXCEPTION 'This invite has expired' USING ERRCODE = '22023';
+    END IF;
+
+    IF v_invite.github_username IS NOT NULL THEN
+        SELECT lower(github_username) INTO v_username FROM users WHERE id = v_uid;
+        IF v_username IS DISTINCT FROM v_invite.github_username THEN
+            RAISE EXCEPTION 'This invite is for @%', v_invite.github_username USING ERRCODE = '42501';
+        END IF;
+    END IF;
+
+    SELECT * INTO v_team FROM teams WHERE id = v_invite.team_id;
+
+    IF get_team_role(v_team.id, v_uid) IS NOT NULL THEN
+        RAISE EXCEPTION 'You are already a member of "%"', v_team.slug USING ERRCODE = '23505';
+    END IF;
+
+    INSERT INTO team_members (team_id, user_id, role) VALUES (v_team.id, v_uid, v_invite.role);
+    UPDATE team_invites SET accepted_by = v_uid, accepted_at = NOW() WHERE id = v_invite.id;
+    RETURN v_team;
+END;
+$$;
+
+-- Change a member's role (owners only); a team always keeps an owner
+CREATE OR REPLACE FUNCTION set_team_member_role(p_team_slug TEXT, p_github_username TEXT, p_role TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_uid UUID := require_user_id();
+    v_team teams := find_member_team(p_team_slug, v_uid);
+    v_target UUID;
+    v_current TEXT;
+BEGIN
+    IF get_team_role(v_team.id, v_uid) <> 'owner' THEN
+        RAISE EXCEPTION 'Only owners of "%" can change roles', v_team.slug USING ERRCODE = '42501';
+    END IF;
+    IF p_role NOT IN ('owner', 'admin', 'member') THEN
+        RAISE EXCEPTION 'Unknown role "%"', p_role USING ERRCODE = '22023';
+    END IF;
+
+    SELECT m.user_id, m.role INTO v_target, v_current
+    FROM team_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.team_id = v_team.id AND lower(u.github_username) = lower(ltrim(p_github_username, '@'));
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION '@% is not a member of "%"', ltrim(p_github_username, '@'), v_team.slug USING ERRCODE = 'P0002';
+    END IF;
+    IF v_current = 'owner' AND p_role <> 'owner'
+       AND NOT EXISTS (SELECT 1 FROM team_members WHERE team_id = v_team.id AND role = 'owner' AND user_id <> v_target) THEN
+        RAISE EXCEPTION 'A team needs at least one owner' USING ERRCODE = '22023';
+    END IF;
+
+    UPDATE team_members SET role = p_role WHERE team_id = v_team.id AND user_id = v_target;
+END;
+$$;
+
+-- Remove a member, or leave when it's the caller
+-- Admins remove members; owners remove anyone; a team always keeps an owner
+CREATE OR REPLACE FUNCTION remove_team_member(p_team_slug TEXT, p_github_username TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_uid UUID := require_user_id();
+    v_team teams := find_member_team(p_team_slug, v_uid);
+    v_role TEXT := get_team_role(v_team.id, v_uid);
+    v_target UUID;
+    v_target_role TEXT;
+BEGIN
+    SELECT m.user_id, m.role INTO v_target, v_target_role
+    FROM team_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.team_id = v_team.id AND lower(u.github_username) = lower(ltrim(p_github_username, '@'));
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION '@% is not a member of "%"', ltrim(p_github_username, '@'), v_team.slug USING ERRCODE = 'P0002';
+    END IF;
+
+    IF v_target <> v_uid AND NOT (v_role = 'owner' OR (v_role = 'admin' AND v_target_role = 'member')) THEN
+        RAISE EXCEPTION 'You can''t remove @% from "%"', ltrim(p_github_username, '@'), v_team.slug USING ERRCODE = '42501';
+    END IF;
+    IF v_target_role = 'owner'
+       AND NOT EXISTS (SELECT 1 FROM team_members WHERE team_id = v_team.id AND role = 'owner' AND user_id <> v_target) THEN
+        RAISE EXCEPTION 'A team needs at least one owner; make someone else owner first' USING ERRCODE = '22023';
+    END IF;
+
+    DELETE FROM team_members WHERE team_id = v_team.id AND user_id = v_target;
+END;
+$$;
+
+-- Claim a repository for a team (owners and admins)
+-- From then on only team members can add sessions to it. Nothing here ties
+-- the caller to the repository, so it isn't callable until
+-- 014_repo_access.sql also requires verified admin access on GitHub
+CREATE OR REPLACE FUNCTION claim_repo(p_owner_name TEXT, p_repo_name TEXT, p_team_slug TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_uid UUID := require_user_id();
+    v_team teams := find_member_team(p_team_slug, v_uid);
+    v_repo repos;
+BEGIN
+    IF get_team_role(v_team.id, v_uid) NOT IN ('owner', 'admin') THEN
+        RAISE EXCEPTION 'Only owners and admins of "%" can claim repositories', v_team.slug USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO v_repo FROM repos
+    WHERE owner_name = p_owner_name AND repo_name = p_repo_name
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION '%/% has no sessions yet', p_owner_name, p_repo_name USING ERRCODE = 'P0002';
+    END IF;
+    IF v_repo.team_id IS NOT NULL AND v_repo.team_id <> v_team.id THEN
+        RAISE EXCEPTION '%/% is already claimed by another team', p_owner_name, p_repo_name USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE repos SET team_id = v_team.id WHERE id = v_repo.id;
+END;
+$$;
+
+-- Release a repository from its team (owners and admins of that team)
+CREATE OR REPLACE FUNCTION release_repo(p_owner_name TEXT, p_repo_name TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_uid UUID := require_user_id();
+    v_repo repos;
+BEGIN
+    SELECT * INTO v_repo FROM repos
+    WHERE owner_name = p_owner_name AND repo_name = p_repo_name
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_repo.team_id IS NULL THEN
+        RAISE EXCEPTION '%/% is not claimed by a team', p_owner_name, p_repo_name USING ERRCODE = 'P0002';
+    END IF;
+    IF COALESCE(get_team_role(v_repo.team_id, v_uid), 'none') NOT IN ('owner', 'admin') THEN
+        RAISE EXCEPTION 'Only owners and admins of the claiming team can release %/%', p_owner_name, p_repo_name
+            USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE repos SET team_id = NULL WHERE id = v_repo.id;
+END;
+$$;
+
+-- =============================================
+-- STEP 4: ROW LEVEL SECURITY FOR TEAM TABLES
+-- Read-only for members; all writes go through the functions above
+-- =============================================
+ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_invites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE teams FORCE ROW LEVEL SECURITY;
+ALTER TABLE team_members FORCE ROW LEVEL SECURITY;
+ALTER TABLE team_invites FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can read their teams" ON teams;
+DROP POLICY IF EXISTS "Members can read team members" ON team_members;
+DROP POLICY IF EXISTS "Admins can read team invites" ON team_invites;
+
+CREATE POLICY "Members can read their teams"
+    ON teams FOR SELECT
+    USING (id IN (SELECT get_my_team_ids()));
+
+CREATE POLICY "Members can read team members"
+    ON team_members FOR SELECT
+    USING (team_id IN (SELECT get_my_team_ids()));
+
+CREATE POLICY "Admins can read team invites"
+    ON team_invites FOR SELECT
+    USING (get_my_team_role(team_id) IN ('owner', 'admin'));
+
+-- =============================================
+-- STEP 5: SCOPE EXISTING POLICIES TO TEAMS
+-- =============================================
+
+-- New repositories start unclaimed; claiming goes through claim_repo()
+DROP POLICY IF EXISTS "Authenticated users can create repos" ON repos;
+CREATE POLICY "Authenticated users can create repos"
+    ON repos FOR INSERT
+    WITH CHECK (auth.role() = 'authenticated' AND team_id IS NULL);
+
+-- Tasks in a claimed repository are created by its members only
+DROP POLICY IF EXISTS "Authenticated users can create tasks" ON tasks;
+CREATE POLICY "Authenticated users can create tasks"
+    ON tasks FOR INSERT
+    WITH CHECK (auth.role() = 'authenticated' AND can_i_write_repo(repo_id));
+
+-- Teammates' sessions: fellow members, in repositories their team claimed.
+-- Everyone still reads their own sessions ("Users can read own sessions")
+DROP POLICY IF EXISTS "Users can read team sessions" ON sessions;
+CREATE POLICY "Users can read team sessions"
+    ON sessions FOR SELECT
+    USING ((repo_id, user_id) IN (SELECT repo_id, user_id FROM get_my_team_session_scope()));
+
+DROP POLICY IF EXISTS "Users can insert own sessions" ON sessions;
+CREATE POLICY "Users can insert own sessions"
+    ON sessions FOR INSERT
+    WITH CHECK (auth.uid() = user_id AND can_i_write_repo(repo_id));
+
+DROP POLICY IF EXISTS "Users can update own sessions" ON sessions;
+CREATE POLICY "Users can update own sessions"
+    ON sessions FOR UPDATE
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id AND can_i_write_repo(repo_id));
+
+-- Teammates are fellow team members now (get_teammate_ids() above)
+DROP POLICY IF EXISTS "Users can read teammates" ON users;
+CREATE POLICY "Users can read teammates"
+    ON users FOR SELECT
+    USING (id IN (SELECT get_my_teammate_ids()));
+
+-- =============================================
+-- STEP 6: GRANT PERMISSIONS
+-- =============================================
+GRANT SELECT ON teams TO authenticated;
+GRANT SELECT ON team_members TO authenticated;
+GRANT SELECT ON team_invites TO authenticated;
+
+-- Helpers that take a user ID would let anyone look up other users'
+-- teams, roles and teammates over RPC; they are internal only
+REVOKE EXECUTE ON FUNCTION require_user_id() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION find_member_team(TEXT, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_user_team_ids(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_team_role(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION can_write_repo(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_team_session_scope(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_teammate_ids(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Policies run with the caller's rights, so the wrappers must be callable
+REVOKE EXECUTE ON FUNCTION get_my_team_ids() FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION get_my_team_role(UUID) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION can_i_write_repo(UUID) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION get_my_team_session_scope() FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION get_my_teammate_ids() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_my_team_ids() TO authenticated;
+GRANT EXECUTE ON FUNCTION get_my_team_role(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION can_i_write_repo(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_my_team_session_scope() TO authenticated;
+GRANT EXECUTE ON FUNCTION get_my_teammate_ids() TO authenticated;
+GRANT EXECUTE ON FUNCTION create_team(TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION create_team_invite(TEXT, TEXT, TEXT, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION accept_team_invite(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION set_team_member_role(TEXT, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION remove_team_member(TEXT, TEXT) TO authenticated;
+REVOKE EXECUTE ON FUNCTION claim_repo(TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION release_repo(TEXT, TEXT) TO authenticated;
+
+-- Verification
+SELECT tablename, policyname, cmd
+FROM pg_policies
+WHERE tablename IN ('teams', 'team_members', 'team_invites', 'repos', 'tasks', 'sessions')
+ORDER BY tablename, policyname;
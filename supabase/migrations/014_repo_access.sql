@@ -0,0 +1,166 @@
+-- =============================================
+-- Dev-Timr Repository Access
+-- Migration: 014_repo_access.sql
+-- Description: Writing to a repository requires GitHub access to
+--              it, verified by the github-login Edge Function and
+--              cached per user until it expires. Claiming one for a
+--              team requires admin access on GitHub. Repositories are
+--              no longer created from a bare owner/name pair.
+-- =============================================
+-- Run this AFTER 013_teams.sql
+-- Execute in: Supabase Dashboard > SQL Editor
+-- Deploy the updated github-login function first, or clients
+-- can't sync until it is
+-- =============================================
+
+-- =============================================
+-- STEP 1: VERIFIED ACCESS
+-- Written only by the Edge Function (service role); a row is
+-- proof the user could access the repository on GitHub when it
+-- was verified, and counts until expires_at. permission is the
+-- user's highest permission on GitHub at that time, which may be
+-- more than syncing needs (REPO_ACCESS_PERMISSION)
+-- =============================================
+CREATE TABLE IF NOT EXISTS repo_access (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    repo_id UUID NOT NULL REFERENCES repos(id) ON DELETE CASCADE,
+    permission TEXT NOT NULL CHECK (permission IN ('pull', 'triage', 'push', 'maintain', 'admin')),
+    verified_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (user_id, repo_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_repo_access_repo ON repo_access(repo_id);
+
+-- =============================================
+-- STEP 2: HELPER FUNCTIONS
+-- =============================================
+
+-- Whether a user's GitHub access to a repository is verified and current
+CREATE OR REPLACE FUNCTION has_repo_access(p_repo_id UUID, uid UUID)
+RETURNS BOOLEAN
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM repo_access a
+        WHERE a.repo_id = p_repo_id
+          AND a.user_id = uid
+          AND a.expires_at > NOW()
+    );
+$$;
+
+-- Whether a user is a verified admin of a repository on GitHub; claiming takes
+-- more than syncing, or anyone who can read a public repository could claim it
+CREATE OR REPLACE FUNCTION has_repo_admin(p_repo_id UUID, uid UUID)
+RETURNS BOOLEAN
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM repo_access a
+        WHERE a.repo_id = p_repo_id
+          AND a.user_id = uid
+          AND a.permission = 'admin'
+          AND a.expires_at > NOW()
+    );
+$$;
+
+-- Writing takes verified access, and for a claimed repository team membership (013)
+CREATE OR REPLACE FUNCTION can_write_repo(p_repo_id UUID, uid UUID)
+RETURNS BOOLEAN
+LANGUAGE SQL
+SECURITY DEFINER
+SET search_path = public
+STABLE
+AS $$
+    SELECT has_repo_access(p_repo_id, uid) AND NOT EXISTS (
+        SELECT 1
+        FROM repos r
+        WHERE r.id = p_repo_id
+          AND r.team_id IS NOT NULL
+          AND NOT EXISTS (
+              SELECT 1 FROM team_members m WHERE m.team_id = r.team_id AND m.user_id = uid
+          )
+    );
+$$;
+
+-- Claiming takes verified admin access; the repository is created by
+-- github-login when access is verified, so it has to exist already
+CREATE OR REPLACE FUNCTION claim_repo(p_owner_name TEXT, p_repo_name TEXT, p_team_slug TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_uid UUID := require_user_id();
+    v_team teams := find_member_team(p_team_slug, v_uid);
+    v_repo repos;
+BEGIN
+    IF get_team_role(v_team.id, v_uid) NOT IN ('owner', 'admin') THEN
+        RAISE EXCEPTION 'Only owners and admins of "%" can claim repositories', v_team.slug USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO v_repo FROM repos
+    WHERE owner_name = p_owner_name AND repo_name = p_repo_name
+    FOR UPDATE;
+
+    IF NOT FOUND OR NOT has_repo_access(v_repo.id, v_uid) THEN
+        RAISE EXCEPTION 'Your access to %/% on GitHub has not been verified', p_owner_name, p_repo_name
+            USING ERRCODE = '42501';
+    END IF;
+    IF NOT has_repo_admin(v_repo.id, v_uid) THEN
+        RAISE EXCEPTION 'Only admins of %/% on GitHub can claim it', p_owner_name, p_repo_name
+            USING ERRCODE = '42501';
+    END IF;
+    IF v_repo.team_id IS NOT NULL AND v_repo.team_id <> v_team.id THEN
+        RAISE EXCEPTION '%/% is already claimed by another team', p_owner_name, p_repo_name USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE repos SET team_id = v_team.id WHERE id = v_repo.id;
+END;
+$$;
+
+-- =============================================
+-- STEP 3: ROW LEVEL SECURITY
+-- =============================================
+ALTER TABLE repo_access ENABLE ROW LEVEL SECURITY;
+ALTER TABLE repo_access FORCE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read own repo access" ON repo_access;
+CREATE POLICY "Users can read own repo access"
+    ON repo_access FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Repositories are created by github-login after verifying access
+DROP POLICY IF EXISTS "Authenticated users can create repos" ON repos;
+
+-- Tasks and sessions already check can_write_repo() (013), which now
+-- includes verified access
+
+-- =============================================
+-- STEP 4: GRANT PERMISSIONS
+-- =============================================
+GRANT SELECT ON repo_access TO authenticated;
+REVOKE INSERT ON repos FROM authenticated;
+
+-- Only used by can_write_repo() and claim_repo(); callable by anyone they
+-- would tell which repositories other users can access
+REVOKE EXECUTE ON FUNCTION has_repo_access(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION has_repo_admin(UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Held back in 013 until claims were tied to GitHub admin access
+GRANT EXECUTE ON FUNCTION claim_repo(TEXT, TEXT, TEXT) TO authenticated;
+
+-- Verification
+SELECT tablename, policyname, cmd
+FROM pg_policies
+WHERE tablename IN ('repo_access', 'repos', 'tasks', 'sessions')
+ORDER BY tablename, policyname;
@@ -0,0 +1,179 @@
+-- =============================================
+-- Dev-Timr Repository Hosts
+-- Migration: 015_repo_host.sql
+-- Description: A repository is identified by host, namespace and
+--              name, so github.com/acme/api and
+--              gitlab.example.com/acme/api are different repositories.
+--              Namespaces may be nested (GitLab subgroups).
+-- =============================================
+-- Run this AFTER 014_repo_access.sql
+-- Execute in: Supabase Dashboard > SQL Editor
+-- Deploy the updated github-login function along with it
+-- =============================================
+
+-- Existing rows were created without a host and are assumed to be on
+-- github.com. Rows that really belong to another host can be moved (and
+-- merged into that host's row, if one exists by then) with
+--   SELECT move_repo_host('<repo id>', 'gitlab.example.com');
+-- run here in the SQL Editor; it is not callable through the API.
+
+-- =============================================
+-- STEP 1: HOST COLUMN
+-- =============================================
+ALTER TABLE repos ADD COLUMN IF NOT EXISTS host TEXT NOT NULL DEFAULT 'github.com';
+
+ALTER TABLE repos DROP CONSTRAINT IF EXISTS repos_host_lowercase;
+ALTER TABLE repos ADD CONSTRAINT repos_host_lowercase CHECK (host <> '' AND host = lower(host));
+
+-- Unique per host instead of globally
+ALTER TABLE repos DROP CONSTRAINT IF EXISTS repos_owner_name_repo_name_key;
+ALTER TABLE repos DROP CONSTRAINT IF EXISTS repos_host_owner_name_repo_name_key;
+ALTER TABLE repos ADD CONSTRAINT repos_host_owner_name_repo_name_key UNIQUE (host, owner_name, repo_name);
+
+-- Lookups always include the host now; the unique constraint's index serves them
+DROP INDEX IF EXISTS idx_repos_owner_repo;
+
+-- Repositories on hosts the server can't check (UNVERIFIED_REPO_HOSTS in github-login)
+ALTER TABLE repo_access DROP CONSTRAINT IF EXISTS repo_access_permission_check;
+ALTER TABLE repo_access ADD CONSTRAINT repo_access_permission_check
+    CHECK (permission IN ('pull', 'triage', 'push', 'maintain', 'admin', 'unverified'));
+
+-- =============================================
+-- STEP 2: TEAM FUNCTIONS TAKE THE HOST
+-- A repository's verified admins on GitHub can take it over from
+-- another team (p_take_over) or release it, so a team that claimed
+-- a repository it has no say over can't keep it
+-- =============================================
+DROP FUNCTION IF EXISTS claim_repo(TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS release_repo(TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION claim_repo(p_host TEXT, p_owner_name TEXT, p_repo_name TEXT, p_team_slug TEXT, p_take_over BOOLEAN DEFAULT FALSE)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_uid UUID := require_user_id();
+    v_team teams := find_member_team(p_team_slug, v_uid);
+    v_repo repos;
+BEGIN
+    IF get_team_role(v_team.id, v_uid) NOT IN ('owner', 'admin') THEN
+        RAISE EXCEPTION 'Only owners and admins of "%" can claim repositories', v_team.slug USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO v_repo FROM repos
+    WHERE host = lower(p_host) AND owner_name = p_owner_name AND repo_name = p_repo_name
+    FOR UPDATE;
+
+    IF NOT FOUND OR NOT has_repo_access(v_repo.id, v_uid) THEN
+        RAISE EXCEPTION 'Your access to %/%/% has not been verified', lower(p_host), p_owner_name, p_repo_name
+            USING ERRCODE = '42501';
+    END IF;
+    -- Repositories on UNVERIFIED_REPO_HOSTS have no admins we know of, so they can't be claimed
+    IF NOT has_repo_admin(v_repo.id, v_uid) THEN
+        RAISE EXCEPTION 'Only admins of %/%/% on % can claim it', lower(p_host), p_owner_name, p_repo_name, lower(p_host)
+            USING ERRCODE = '42501';
+    END IF;
+    IF v_repo.team_id IS NOT NULL AND v_repo.team_id <> v_team.id AND NOT p_take_over THEN
+        RAISE EXCEPTION '%/%/% is already claimed by another team', lower(p_host), p_owner_name, p_repo_name
+            USING ERRCODE = '42501', HINT = 'Admins of the repository can take it over';
+    END IF;
+
+    UPDATE repos SET team_id = v_team.id WHERE id = v_repo.id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION release_repo(p_host TEXT, p_owner_name TEXT, p_repo_name TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_uid UUID := require_user_id();
+    v_repo repos;
+BEGIN
+    SELECT * INTO v_repo FROM repos
+    WHERE host = lower(p_host) AND owner_name = p_owner_name AND repo_name = p_repo_name
+    FOR UPDATE;
+
+    IF NOT FOUND OR v_repo.team_id IS NULL THEN
+        RAISE EXCEPTION '%/%/% is not claimed by a team', lower(p_host), p_owner_name, p_repo_name USING ERRCODE = 'P0002';
+    END IF;
+    IF COALESCE(get_team_role(v_repo.team_id, v_uid), 'none') NOT IN ('owner', 'admin')
+       AND NOT has_repo_admin(v_repo.id, v_uid) THEN
+        RAISE EXCEPTION 'Only owners and admins of the claiming team, or admins of %/%/% on %, can release it', lower(p_host), p_owner_name, p_repo_name, lower(p_host)
+            USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE repos SET team_id = NULL WHERE id = v_repo.id;
+END;
+$$;
+
+-- =============================================
+-- STEP 3: MOVING EXISTING ROWS TO THEIR HOST
+-- Returns the ID the repository ends up with. When the target host
+-- already has the repository, sessions and tasks are merged into it
+-- (tasks by name) and the old row is deleted. Verified access is for
+-- the old host, so it is dropped and checked again on the next sync.
+-- =============================================
+CREATE OR REPLACE FUNCTION move_repo_host(p_repo_id UUID, p_host TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+    v_repo repos;
+    v_target UUID;
+BEGIN
+    SELECT * INTO v_repo FROM repos WHERE id = p_repo_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Repository % not found', p_repo_id USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT id INTO v_target FROM repos
+    WHERE host = lower(p_host) AND owner_name = v_repo.owner_name AND repo_name = v_repo.repo_name
+    FOR UPDATE;
+
+    IF v_target = p_repo_id THEN
+        RETURN p_repo_id;
+    END IF;
+
+    IF v_target IS NULL THEN
+        UPDATE repos SET host = lower(p_host) WHERE id = p_repo_id;
+        DELETE FROM repo_access WHERE repo_id = p_repo_id;
+        RETURN p_repo_id;
+    END IF;
+
+    INSERT INTO tasks (repo_id, name, created_by)
+    SELECT v_target, t.name, t.created_by FROM tasks t WHERE t.repo_id = p_repo_id
+    ON CONFLICT (repo_id, name) DO NOTHING;
+
+    UPDATE sessions s
+    SET repo_id = v_target,
+        task_id = (
+            SELECT target.id
+            FROM tasks source
+            JOIN tasks target ON target.repo_id = v_target AND target.name = source.name
+            WHERE source.id = s.task_id
+        )
+    WHERE s.repo_id = p_repo_id;
+
+    DELETE FROM repos WHERE id = p_repo_id;
+    RETURN v_target;
+END;
+$$;
+
+-- =============================================
+-- STEP 4: GRANT PERMISSIONS
+-- =============================================
+REVOKE EXECUTE ON FUNCTION move_repo_host(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_repo(TEXT, TEXT, TEXT, TEXT, BOOLEAN) TO authenticated;
+GRANT EXECUTE ON FUNCTION release_repo(TEXT, TEXT, TEXT) TO authenticated;
+
+-- Verification
+SELECT host, COUNT(*) AS repos
+FROM repos
+GROUP BY host
+ORDER BY host;
@@ -0,0 +1,39 @@
+-- =============================================
+-- Dev-Timr Session Branches
+-- Migration: 016_session_branch.sql
+-- Description: Records the git branch a session was on and the
+--              HEAD commit when it started and ended. A session
+--              is split when the branch changes, so each row
+--              belongs to one branch
+-- =============================================
+-- Run this AFTER 015_repo_host.sql
+-- Execute in: Supabase Dashboard > SQL Editor
+-- =============================================
+
+-- =============================================
+-- STEP 1: ADD GIT COLUMNS
+-- All optional: sessions logged by hand, imported ones and ones
+-- recorded before this migration have no branch or commits
+-- =============================================
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS branch TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS start_commit TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS end_commit TEXT;
+
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_branch_valid;
+ALTER TABLE sessions ADD CONSTRAINT sessions_branch_valid
+    CHECK (branch IS NULL OR (branch <> '' AND length(branch) <= 255));
+
+-- SHA-1 (40) or SHA-256 (64) object names
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_commits_valid;
+ALTER TABLE sessions ADD CONSTRAINT sessions_commits_valid
+    CHECK (
+        (start_commit IS NULL OR start_commit ~ '^([0-9a-f]{40}|[0-9a-f]{64})$')
+        AND (end_commit IS NULL OR end_commit ~ '^([0-9a-f]{40}|[0-9a-f]{64})$')
+    );
+
+-- Verification
+SELECT COALESCE(branch, '(none)') AS branch, COUNT(*) AS sessions
+FROM sessions
+GROUP BY branch
+ORDER BY sessions DESC
+LIMIT 20;
@@ -0,0 +1,30 @@
+-- =============================================
+-- Dev-Timr Session Pauses
+-- Migration: 017_session_pauses.sql
+-- Description: Keeps the pauses of tracked sessions with the
+--              reason the timer stopped (paused by hand, idle,
+--              or a crash). Totals still come from segments
+-- =============================================
+-- Run this AFTER 016_session_branch.sql
+-- Execute in: Supabase Dashboard > SQL Editor
+-- =============================================
+
+-- =============================================
+-- STEP 1: ADD PAUSES COLUMN
+-- JSON array of { "start": <ms>, "end": <ms>, "reason": "manual" | "idle" | "crash" }
+-- NULL for sessions without pauses, logged or imported ones, and
+-- ones recorded before this migration
+-- =============================================
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS pauses JSONB;
+
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_pauses_is_array;
+ALTER TABLE sessions ADD CONSTRAINT sessions_pauses_is_array
+    CHECK (pauses IS NULL OR jsonb_typeof(pauses) = 'array');
+
+-- Verification
+SELECT pause->>'reason' AS reason,
+       COUNT(*) AS pauses,
+       SUM((pause->>'end')::BIGINT - (pause->>'start')::BIGINT) / 60000 AS minutes
+FROM sessions, jsonb_array_elements(pauses) AS pause
+GROUP BY pause->>'reason'
+ORDER BY pauses DESC;